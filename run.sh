@@ -4,13 +4,36 @@
 # Git History Timeline — Run Script
 # 
 # Usage: ./run.sh [options]
+#        ./run.sh cache <inspect|prune|verify> [args]
+#        ./run.sh config [setting] [options]
+#
+# Settings are read from timeline.config.json or timeline.config.js when
+# present (see README); options override them.
 #
 # Options:
+#   --config <file>    Read settings from this file instead of timeline.config.{json,js}
 #   --user <username>  Specify GitHub username (default: authenticated user)
 #   --no-open          Don't open browser after generation
 #   --cached           Use cached data, skip all API calls
 #   --refresh          Force refresh, ignore incremental cache
 #   --repos <type>     Filter repositories: all, owned, forks, contributions (default: all)
+#   --local <paths>    Read local clones instead of GitHub (comma-separated, no token needed)
+#   --author <emails>  Author emails/names to match in local clones (comma-separated)
+#   --provider <name>  Hosting provider: github, gitlab, gitea, forgejo (default: github)
+#   --base-url <url>   Instance URL for self-hosted GitLab/Gitea or GitHub Enterprise API
+#   --identities <file> Merge several accounts/emails listed in a JSON file
+#   --org <name>       Team timeline for every member of an organization
+#   --users <a,b,c>    Team timeline for a list of users
+#   --strategy <name>  Fetch strategy: rest, graphql (GitHub only, far fewer API calls)
+#   --resolve-branches Look up branches of searched commits via their pull requests
+#   --stale <mode>     Commits lost to force-pushes/deleted branches: prune, flag (default: prune)
+#   --timezone <zone>  Day boundaries: IANA zone (Europe/Berlin), UTC, local, author (default: UTC)
+#   --scale <name>     Heatmap colors: auto, quantile, log, global or thresholds like 1,3,6,10
+#   --weight <name>    What colors a day: commits, lines (changed), score (default: commits)
+#   --activity         Also collect pull requests, issues and reviews (heatmap layers)
+#   --filters <file>   Drop commits by repo, message, merges, bot co-authors or daily caps (JSON)
+#   --theme <name>     Default theme of the generated pages: dark, light
+#   --output <dir>     Write generated files here (default: dist)
 #   --help             Show this help message
 #
 # Repository Types:
@@ -35,47 +58,28 @@ cd "$SCRIPT_DIR"
 
 # Default options
 OPEN_BROWSER=true
-USE_CACHE=false
-FORCE_REFRESH=false
-TARGET_USER=""
-REPO_FILTER="all"
+NODE_ARGS=()
+
+# Cache maintenance and settings lookups need no token or build
+if [ "$1" = "cache" ] || [ "$1" = "config" ]; then
+    exec node src/index.js "$@"
+fi
 
-# Parse arguments
+# Parse arguments (everything else is validated by src/config.js,
+# which also knows the config file)
 while [[ $# -gt 0 ]]; do
     case $1 in
-        --user)
-            TARGET_USER="$2"
-            shift 2
-            ;;
         --no-open)
             OPEN_BROWSER=false
             shift
             ;;
-        --cached)
-            USE_CACHE=true
-            shift
-            ;;
-        --refresh)
-            FORCE_REFRESH=true
-            shift
-            ;;
-        --repos)
-            REPO_FILTER="$2"
-            if [[ ! "$REPO_FILTER" =~ ^(all|owned|forks|contributions)$ ]]; then
-                echo -e "${RED}Invalid --repos value: $REPO_FILTER${NC}"
-                echo "Valid options: all, owned, forks, contributions"
-                exit 1
-            fi
-            shift 2
-            ;;
         --help|-h)
-            head -20 "$0" | tail -n +2 | sed 's/^# //' | sed 's/^#//'
+            head -43 "$0" | tail -n +2 | sed 's/^# //' | sed 's/^#//'
             exit 0
             ;;
         *)
-            echo -e "${RED}Unknown option: $1${NC}"
-            echo "Use --help for usage information"
-            exit 1
+            NODE_ARGS+=("$1")
+            shift
             ;;
     esac
 done
@@ -88,32 +92,6 @@ echo "║   Your complete contribution story    ║"
 echo "╚═══════════════════════════════════════╝"
 echo -e "${NC}"
 
-# Check for .env file
-if [ ! -f ".env" ]; then
-    echo -e "${RED}Error: .env file not found${NC}"
-    echo ""
-    echo "Create one with:"
-    echo "  echo \"GITHUB_TOKEN=ghp_your_token_here\" > .env"
-    echo ""
-    echo "Generate a token at:"
-    echo "  https://github.com/settings/tokens/new"
-    echo "  (Select 'repo' and 'read:user' scopes)"
-    exit 1
-fi
-
-# Check for GITHUB_TOKEN in .env
-if ! grep -q "GITHUB_TOKEN=" .env || grep -q "GITHUB_TOKEN=$" .env; then
-    echo -e "${RED}Error: GITHUB_TOKEN not set in .env${NC}"
-    echo ""
-    echo "Add your token to .env:"
-    echo "  GITHUB_TOKEN=ghp_xxxxxxxxxxxxxxxxxxxx"
-    echo ""
-    echo "Generate a token at:"
-    echo "  https://github.com/settings/tokens/new"
-    echo "  (Select 'repo' and 'read:user' scopes)"
-    exit 1
-fi
-
 # Check Node.js version
 if ! command -v node &> /dev/null; then
     echo -e "${RED}Error: Node.js not found${NC}"
@@ -133,32 +111,17 @@ if [ ! -d "node_modules" ]; then
     npm install
 fi
 
-# Build arguments for node script
-NODE_ARGS=""
-if [ -n "$TARGET_USER" ]; then
-    NODE_ARGS="$NODE_ARGS --user $TARGET_USER"
-fi
-if [ "$USE_CACHE" = true ]; then
-    NODE_ARGS="$NODE_ARGS --cached"
-fi
-if [ "$FORCE_REFRESH" = true ]; then
-    NODE_ARGS="$NODE_ARGS --refresh"
-fi
-if [ "$REPO_FILTER" != "all" ]; then
-    NODE_ARGS="$NODE_ARGS --repos $REPO_FILTER"
-fi
-
 # Run the generator
 echo -e "${GREEN}Fetching commit history...${NC}"
 echo ""
 
-# Unset any existing GITHUB_TOKEN to ensure .env is used
-unset GITHUB_TOKEN
-
-node src/index.js $NODE_ARGS
+# Tokens come from .env (see README), which overrides the environment
+node src/index.js "${NODE_ARGS[@]}"
 
 # Check if output was generated
-OUTPUT_FILE="dist/index.html"
+OUTPUT_DIR=$(node src/index.js config output.dir "${NODE_ARGS[@]}")
+OUTPUT_DIR="${OUTPUT_DIR#"$SCRIPT_DIR/"}"
+OUTPUT_FILE="$OUTPUT_DIR/index.html"
 if [ ! -f "$OUTPUT_FILE" ]; then
     echo -e "${RED}Error: Failed to generate output${NC}"
     exit 1
@@ -170,11 +133,11 @@ echo -e "${GREEN}✓ Generated: $OUTPUT_FILE${NC}"
 # Build animated widget
 echo ""
 echo -e "${BLUE}Building animated widget...${NC}"
-npm run widget --silent
+node src/cli.js widget "${NODE_ARGS[@]}"
 
-if [ -f "dist/widget.html" ]; then
-    echo -e "${GREEN}✓ Generated: dist/widget.html${NC}"
-    echo -e "${GREEN}✓ Generated: dist/widget-demo.html${NC}"
+if [ -f "$OUTPUT_DIR/widget.html" ]; then
+    echo -e "${GREEN}✓ Generated: $OUTPUT_DIR/widget.html${NC}"
+    echo -e "${GREEN}✓ Generated: $OUTPUT_DIR/widget-demo.html${NC}"
 else
     echo -e "${YELLOW}⚠ Widget generation skipped${NC}"
 fi
@@ -2,20 +2,31 @@
  * Commit Aggregation
  * 
  * Processes raw commit data into structured format for visualization.
+ * Commits are bucketed into days in the given timezone (see timezone.js).
  */
 
+import { createDateBucketer } from './timezone.js';
+import { commitWeight, computeYearThresholds } from './scale.js';
+
 /**
  * Aggregate commits by date and year
+ * 
+ * @param {Array} commits - All commits
+ * @param {string} timezone - Day boundaries: 'UTC', an IANA zone or 'author'
+ * @param {object} scale - Color scale (see parseScale() in scale.js)
+ * @param {string} weight - What colors a day: 'commits', 'lines' or 'score' (see scale.js)
  */
-export function aggregateCommits(commits) {
+export function aggregateCommits(commits, timezone = 'UTC', scale = { strategy: 'auto' }, weight = 'commits') {
+  const bucket = createDateBucketer(timezone);
   const byDate = {};      // "2025-01-13" -> count
   const byYear = {};      // "2025" -> { "2025-01-13" -> count, ... }
+  const valueByYear = {}; // "2025" -> { "2025-01-13" -> weighted value, ... }
+  const linesByDate = {}; // "2025-01-13" -> [additions, deletions] (commits with line counts only)
   const repoSet = new Set();
+  const identityTotals = {}; // "work" -> count (only for merged identities)
   
   for (const commit of commits) {
-    // Parse date in UTC
-    const date = new Date(commit.date);
-    const dateKey = date.toISOString().split('T')[0]; // "2025-01-13"
+    const dateKey = bucket(commit.date).date; // "2025-01-13"
     const year = dateKey.substring(0, 4);
     
     // Count by date
@@ -24,11 +35,25 @@ export function aggregateCommits(commits) {
     // Organize by year
     if (!byYear[year]) {
       byYear[year] = {};
+      valueByYear[year] = {};
     }
     byYear[year][dateKey] = (byYear[year][dateKey] || 0) + 1;
+    valueByYear[year][dateKey] = (valueByYear[year][dateKey] || 0) + commitWeight(commit, weight);
+    
+    // Lines changed, when the provider reported them
+    if (commit.additions != null) {
+      const lines = linesByDate[dateKey] || (linesByDate[dateKey] = [0, 0]);
+      lines[0] += commit.additions;
+      lines[1] += commit.deletions || 0;
+    }
     
     // Track repos
     repoSet.add(commit.repo);
+    
+    // Track identities
+    if (commit.identity) {
+      identityTotals[commit.identity] = (identityTotals[commit.identity] || 0) + 1;
+    }
   }
   
   // Calculate year totals and per-year max daily commits
@@ -39,51 +64,291 @@ export function aggregateCommits(commits) {
     const yearDailyCounts = Object.values(byYear[year]);
     yearTotals[year] = yearDailyCounts.reduce((a, b) => a + b, 0);
     yearMaxDaily[year] = Math.max(...yearDailyCounts, 0);
+    
+    // Scores are sums of logarithms; one decimal is plenty
+    if (weight === 'score') {
+      for (const dateKey of Object.keys(valueByYear[year])) {
+        valueByYear[year][dateKey] = Math.round(valueByYear[year][dateKey] * 10) / 10;
+      }
+    }
   }
   
   return {
     byDate,
     byYear,
+    valueByYear,
+    linesByDate,
     yearTotals,
-    yearMaxDaily,  // Per-year max for proper color scaling
+    yearMaxDaily,
+    scale,
+    weight,
+    yearThresholds: computeYearThresholds(valueByYear, scale), // Per-year color levels
     repoCount: repoSet.size,
+    identityTotals,
     years: Object.keys(byYear).sort((a, b) => b - a) // Descending
   };
 }
 
 /**
- * Generate contribution level (0-4) based on commit count
- * Uses quartile-based scaling similar to GitHub
+ * Aggregate a team's commits per member
+ * Returns members sorted by commit count (leaderboard order)
+ * 
+ * @param {Array} commits - Commits tagged with a `member` field
+ * @param {string[]} memberNames - All members, including those without commits
+ * @param {string} timezone - Day boundaries (see aggregateCommits)
+ * @param {object} scale - Color scale (see aggregateCommits)
+ * @param {string} weight - What colors a day (see aggregateCommits)
+ */
+export function aggregateMembers(commits, memberNames, timezone = 'UTC', scale = { strategy: 'auto' }, weight = 'commits') {
+  const commitsByMember = {};
+  for (const name of memberNames) {
+    commitsByMember[name] = [];
+  }
+  for (const commit of commits) {
+    if (commit.member && commitsByMember[commit.member]) {
+      commitsByMember[commit.member].push(commit);
+    }
+  }
+  
+  return memberNames
+    .map(name => {
+      const aggregated = aggregateCommits(commitsByMember[name], timezone, scale, weight);
+      return {
+        name,
+        totalCommits: commitsByMember[name].length,
+        activeDays: Object.keys(aggregated.byDate).length,
+        repoCount: aggregated.repoCount,
+        commits: aggregated
+      };
+    })
+    .sort((a, b) => b.totalCommits - a.totalCommits || a.name.localeCompare(b.name));
+}
+
+/**
+ * Aggregate commits per repository and language
+ * 
+ * @param {Array} commits - All commits
+ * @param {object} languages - Repo name -> primary language (repos without one count as "Unknown")
+ * @param {string} timezone - Day boundaries (see aggregateCommits)
+ * @param {string} weight - What colors a day (see aggregateCommits)
+ * @returns {object} repos (sorted by commits), languages (sorted by commits),
+ *   byYear (year -> repos ranked by commits that year), byDate (date -> { repo: count })
+ *   and valueByDate (date -> { repo: weighted value }, null when weighing commits)
  */
-export function getContributionLevel(count, maxDaily) {
-  if (count === 0) return 0;
-  if (maxDaily <= 4) {
-    // For low-activity users, use absolute thresholds
-    if (count >= 4) return 4;
-    if (count >= 3) return 3;
-    if (count >= 2) return 2;
-    return 1;
+export function aggregateRepos(commits, languages = {}, timezone = 'UTC', weight = 'commits') {
+  const bucket = createDateBucketer(timezone);
+  const repos = {};   // "owner/name" -> { commits, days, firstDate, lastDate }
+  const byYear = {};  // "2025" -> { "owner/name" -> count }
+  const byDate = {};  // "2025-01-13" -> { "owner/name" -> count }
+  const valueByDate = weight === 'commits' ? null : {};
+  
+  for (const commit of commits) {
+    const dateKey = bucket(commit.date).date;
+    const year = dateKey.substring(0, 4);
+    
+    if (!repos[commit.repo]) {
+      repos[commit.repo] = { commits: 0, days: new Set(), firstDate: dateKey, lastDate: dateKey };
+    }
+    const repo = repos[commit.repo];
+    repo.commits++;
+    repo.days.add(dateKey);
+    if (dateKey < repo.firstDate) repo.firstDate = dateKey;
+    if (dateKey > repo.lastDate) repo.lastDate = dateKey;
+    
+    byYear[year] = byYear[year] || {};
+    byYear[year][commit.repo] = (byYear[year][commit.repo] || 0) + 1;
+    
+    byDate[dateKey] = byDate[dateKey] || {};
+    byDate[dateKey][commit.repo] = (byDate[dateKey][commit.repo] || 0) + 1;
+    
+    if (valueByDate) {
+      valueByDate[dateKey] = valueByDate[dateKey] || {};
+      valueByDate[dateKey][commit.repo] = (valueByDate[dateKey][commit.repo] || 0) + commitWeight(commit, weight);
+    }
+  }
+  
+  const byCommits = (a, b) => b.commits - a.commits || a.name.localeCompare(b.name);
+  
+  const repoList = Object.entries(repos)
+    .map(([name, repo]) => ({
+      name,
+      commits: repo.commits,
+      activeDays: repo.days.size,
+      firstDate: repo.firstDate,
+      lastDate: repo.lastDate,
+      language: languages[name] || null
+    }))
+    .sort(byCommits);
+  
+  const languageTotals = {};
+  for (const repo of repoList) {
+    const name = repo.language || 'Unknown';
+    languageTotals[name] = languageTotals[name] || { name, commits: 0, repos: 0 };
+    languageTotals[name].commits += repo.commits;
+    languageTotals[name].repos++;
   }
   
-  // For active users, use relative thresholds
-  const ratio = count / maxDaily;
-  if (ratio >= 0.75) return 4;
-  if (ratio >= 0.5) return 3;
-  if (ratio >= 0.25) return 2;
-  return 1;
+  const yearRankings = {};
+  for (const [year, counts] of Object.entries(byYear)) {
+    yearRankings[year] = Object.entries(counts)
+      .map(([name, count]) => ({ name, commits: count }))
+      .sort(byCommits);
+  }
+  
+  return {
+    repos: repoList,
+    languages: Object.values(languageTotals).sort(byCommits),
+    byYear: yearRankings,
+    byDate,
+    valueByDate
+  };
+}
+
+/**
+ * Build the per-day commit index embedded in the page for the day panel
+ * 
+ * Kept compact: repositories, branches, URL prefixes and authors are
+ * stored once in lookup tables and referenced by index. Most commit URLs
+ * end in their SHA, so they're stored as prefix index + SHA.
+ * 
+ * Day entries: [time, repo, branch, message, sha, urlPrefix, author, stale?]
+ * (time is local to the timezone; in 'author' mode it includes the offset)
+ * (urlPrefix -1: no URL, author -1: no identity/member, stale: 1 if flagged)
+ * 
+ * @param {Array} commits - All commits
+ * @param {string} timezone - Day boundaries (see aggregateCommits)
+ * @param {number} maxMessageLength - Longer messages are cut off
+ * @returns {{ timezone, repos, branches, urls, authors, days }} days: date -> entries (oldest first)
+ */
+export function buildCommitIndex(commits, timezone = 'UTC', maxMessageLength = 120) {
+  const bucket = createDateBucketer(timezone);
+  const tables = { repos: [], branches: [], urls: [], authors: [] };
+  const lookups = { repos: new Map(), branches: new Map(), urls: new Map(), authors: new Map() };
+  const indexOf = (table, value) => {
+    if (!lookups[table].has(value)) {
+      lookups[table].set(value, tables[table].length);
+      tables[table].push(value);
+    }
+    return lookups[table].get(value);
+  };
+  
+  const days = {};
+  const sorted = [...commits].sort((a, b) => new Date(a.date) - new Date(b.date));
+  
+  for (const commit of sorted) {
+    const local = bucket(commit.date);
+    
+    let urlPrefix = -1;
+    if (commit.url && commit.url.endsWith(commit.sha)) {
+      urlPrefix = indexOf('urls', commit.url.slice(0, -commit.sha.length));
+    }
+    
+    const message = commit.message.length > maxMessageLength
+      ? commit.message.slice(0, maxMessageLength - 1) + '…'
+      : commit.message;
+    const author = commit.member || commit.identity;
+    
+    const entry = [
+      local.time,
+      indexOf('repos', commit.repo),
+      indexOf('branches', commit.branch || 'unknown'),
+      message,
+      commit.sha,
+      urlPrefix,
+      author ? indexOf('authors', author) : -1
+    ];
+    if (commit.stale) {
+      entry.push(1);
+    }
+    
+    days[local.date] = days[local.date] || [];
+    days[local.date].push(entry);
+  }
+  
+  return { timezone, ...tables, days };
+}
+
+/**
+ * Count commits per weekday and hour of day (punch card), all-time and per year
+ *
+ * @param {Array} commits - All commits
+ * @param {string} timezone - Day boundaries (see aggregateCommits)
+ * @returns {{ timezone, all, byYear }} grids are [weekday (Sun..Sat)][hour] counts
+ */
+export function aggregatePunchCard(commits, timezone = 'UTC') {
+  const bucket = createDateBucketer(timezone);
+  const emptyGrid = () => Array.from({ length: 7 }, () => new Array(24).fill(0));
+  const all = emptyGrid();
+  const byYear = {};
+
+  for (const commit of commits) {
+    const local = bucket(commit.date);
+    const year = local.date.substring(0, 4);
+    byYear[year] = byYear[year] || emptyGrid();
+    all[local.weekday][local.hour]++;
+    byYear[year][local.weekday][local.hour]++;
+  }
+
+  return { timezone, all, byYear };
+}
+
+/**
+ * Count pull requests, issues and reviews per day and repository
+ *
+ * @param {Array} activity - [{ type, date, repo, ... }] (see providers/index.js)
+ * @param {string} timezone - Day boundaries (see aggregateCommits)
+ * @returns {{ totals, byDate, byRepo }} totals and byDate: date -> { pullRequest, issue, review },
+ *   byRepo: date -> { repo -> { pullRequest, issue, review } }
+ */
+export function aggregateActivity(activity, timezone = 'UTC') {
+  const bucket = createDateBucketer(timezone);
+  const empty = () => ({ pullRequest: 0, issue: 0, review: 0 });
+  const totals = empty();
+  const byDate = {};
+  const byRepo = {};
+
+  for (const item of activity) {
+    const dateKey = bucket(item.date).date;
+    byDate[dateKey] = byDate[dateKey] || empty();
+    byRepo[dateKey] = byRepo[dateKey] || {};
+    byRepo[dateKey][item.repo] = byRepo[dateKey][item.repo] || empty();
+
+    totals[item.type]++;
+    byDate[dateKey][item.type]++;
+    byRepo[dateKey][item.repo][item.type]++;
+  }
+
+  return { totals, byDate, byRepo };
+}
+
+/**
+ * Generate contribution level (0-4) based on a day's weighted value
+ * 
+ * @param {number} value - Commits (or lines, or score) on the day
+ * @param {number[]} thresholds - Minimum value for levels 1-4 (see scale.js)
+ */
+export function getContributionLevel(value, thresholds) {
+  let level = 0;
+  while (level < 4 && value >= thresholds[level]) {
+    level++;
+  }
+  return level;
 }
 
 /**
  * Generate calendar data for a year
  * Returns an array of weeks, each containing 7 days
  * 
+ * Days carry the commit count, the weighted value behind their level and
+ * lines changed ([additions, deletions], null when unknown).
+ * 
  * @param {string} year - The year to generate
- * @param {object} byYear - Commits organized by year
- * @param {object} yearMaxDaily - Per-year max daily commits for color scaling
+ * @param {object} aggregated - Result of aggregateCommits()
  */
-export function generateYearCalendar(year, byYear, yearMaxDaily) {
-  const yearData = byYear[year] || {};
-  const maxDaily = yearMaxDaily[year] || 1; // Use THIS year's max for color scaling
+export function generateYearCalendar(year, aggregated) {
+  const yearData = aggregated.byYear[year] || {};
+  const yearValues = aggregated.valueByYear[year] || {};
+  const thresholds = aggregated.yearThresholds[year] || [1, 2, 3, 4]; // Use THIS year's scale
   const weeks = [];
   
   // Start from the first day of the year
@@ -103,12 +368,15 @@ export function generateYearCalendar(year, byYear, yearMaxDaily) {
       const dateKey = currentDate.toISOString().split('T')[0];
       const currentYear = currentDate.getUTCFullYear().toString();
       const count = (currentYear === year) ? (yearData[dateKey] || 0) : 0;
+      const value = (currentYear === year) ? (yearValues[dateKey] || 0) : 0;
       const inYear = currentYear === year;
       
       week.push({
         date: dateKey,
         count,
-        level: inYear ? getContributionLevel(count, maxDaily) : -1,
+        value,
+        lines: inYear ? (aggregated.linesByDate[dateKey] || null) : null,
+        level: inYear ? getContributionLevel(value, thresholds) : -1,
         inYear
       });
       
@@ -0,0 +1,229 @@
+/**
+ * Widget Animation
+ *
+ * The animated widget as a GIF, an APNG or numbered PNG frames (to turn
+ * into a video), without a browser or screen recording. Frames replay the
+ * widget's rolling 365-day window (renderFrame and createCalendarGrid in
+ * templates/widget.html.template) on the data of widget-data.json, laid
+ * out like image.js and drawn by png.js.
+ *
+ * Layout units are the CSS pixels of the widget at full width.
+ */
+
+import { PALETTES } from './image.js';
+import { drawLayout, encodePNG, encodeAPNG } from './png.js';
+import { encodeGIF } from './gif.js';
+import { progress } from './runtime.js';
+
+export const ANIMATION_FORMATS = ['gif', 'apng', 'frames'];
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const WEEKDAY_LABELS = { 1: 'Mon', 3: 'Wed', 5: 'Fri' };
+const DAYS_IN_WINDOW = 365;
+const WEEKS_IN_WINDOW = 52;
+
+const PADDING = 16;
+const CELL = 11;
+const GAP = 3;
+const LEGEND_GAP = 2;
+const PANEL_PADDING = 12;
+const DAY_LABEL_WIDTH = 28;
+const MONTHS_HEIGHT = 20;
+const HEADER_HEIGHT = 26;
+const YEAR_BOX_WIDTH = 130;
+
+/**
+ * The 52 × 7 grid of the window starting at a day, weeks from Sunday
+ * (createCalendarGrid of the widget)
+ */
+function calendarGrid(windowData) {
+  const firstDayOfWeek = windowData.length > 0 ? new Date(windowData[0].date + 'T00:00:00Z').getUTCDay() : 0;
+  let dataIndex = -firstDayOfWeek;
+  const grid = [];
+  for (let week = 0; week < WEEKS_IN_WINDOW; week++) {
+    const weekData = [];
+    for (let day = 0; day < 7; day++) {
+      weekData.push(dataIndex >= 0 && dataIndex < windowData.length ? windowData[dataIndex] : { date: '', level: 0 });
+      dataIndex++;
+    }
+    grid.push(weekData);
+  }
+  return grid;
+}
+
+/**
+ * Year indicator of a window: 2023, or 2023-2024 across New Year
+ */
+function windowYears(windowData) {
+  if (windowData.length === 0) return '—';
+  const startYear = windowData[0].date.slice(0, 4);
+  const endYear = windowData[windowData.length - 1].date.slice(0, 4);
+  return startYear === endYear ? startYear : `${startYear}-${endYear}`;
+}
+
+/**
+ * Lay out one frame of the widget
+ *
+ * @param {object} data - From buildWidgetData() (widget-data.json)
+ * @param {number} startDayIndex - First day of the window in data.commits
+ * @param {object} options - { theme: dark or light }
+ * @returns {{ width, height, background, items }} See layoutTimeline() in image.js
+ */
+export function layoutWidgetFrame(data, startDayIndex, { theme = 'dark' } = {}) {
+  const palette = PALETTES[theme] || PALETTES.dark;
+  const windowData = data.commits.slice(startDayIndex, startDayIndex + DAYS_IN_WINDOW);
+  const grid = calendarGrid(windowData);
+  const gridWidth = WEEKS_IN_WINDOW * (CELL + GAP) - GAP;
+  // Panel: 1px border around the padding
+  const panelWidth = 2 + 2 * PANEL_PADDING + DAY_LABEL_WIDTH + gridWidth;
+  const items = [];
+  const rect = (x, y, width, height, radius, fill) => items.push({ type: 'rect', x, y, width, height, radius, fill });
+  const text = (x, y, value, size, fill, extra = {}) => items.push({ type: 'text', x, y, text: value, size, fill, weight: 'normal', anchor: 'start', ...extra });
+
+  // Header: who, and the years in the window
+  let y = PADDING;
+  text(PADDING, y + 18, `@${data.username}`, 14, palette.accent, { weight: 'bold' });
+  const boxLeft = PADDING + panelWidth - YEAR_BOX_WIDTH;
+  rect(boxLeft, y, YEAR_BOX_WIDTH, HEADER_HEIGHT, 4, palette.border);
+  rect(boxLeft + 1, y + 1, YEAR_BOX_WIDTH - 2, HEADER_HEIGHT - 2, 3, palette.panel);
+  text(boxLeft + YEAR_BOX_WIDTH / 2, y + 18, windowYears(windowData), 14, palette.secondary, { anchor: 'middle' });
+  y += HEADER_HEIGHT + 12;
+
+  const panelTop = y;
+  const monthsTop = panelTop + 1 + PANEL_PADDING;
+  const gridLeft = PADDING + 1 + PANEL_PADDING + DAY_LABEL_WIDTH;
+  const gridTop = monthsTop + MONTHS_HEIGHT;
+  const legendTop = gridTop + 7 * (CELL + GAP) - GAP + 8;
+  const panelHeight = legendTop + CELL + PANEL_PADDING + 1 - panelTop;
+  rect(PADDING, panelTop, panelWidth, panelHeight, 6, palette.border);
+  rect(PADDING + 1, panelTop + 1, panelWidth - 2, panelHeight - 2, 5, palette.panel);
+
+  // Months above the first week they start in, none in the last four
+  // weeks; a month cut to a week or two gives way to the next
+  const months = [];
+  grid.forEach((week, weekIndex) => {
+    const day = week.find(d => d.date);
+    if (!day || weekIndex >= WEEKS_IN_WINDOW - 4) return;
+    const month = parseInt(day.date.slice(5, 7)) - 1;
+    const last = months[months.length - 1];
+    if (last && last.month === month) return;
+    if (last && weekIndex - last.weekIndex < 3) months.pop();
+    months.push({ month, weekIndex });
+  });
+  for (const { month, weekIndex } of months) {
+    text(gridLeft + weekIndex * (CELL + GAP), monthsTop + 12, MONTHS[month], 9, palette.muted);
+  }
+
+  for (const [row, label] of Object.entries(WEEKDAY_LABELS)) {
+    text(PADDING + 1 + PANEL_PADDING, gridTop + row * (CELL + GAP) + CELL - 1, label, 9, palette.muted);
+  }
+  grid.forEach((week, weekIndex) => {
+    week.forEach((day, weekday) => {
+      rect(gridLeft + weekIndex * (CELL + GAP), gridTop + weekday * (CELL + GAP), CELL, CELL, 2, palette.levels[day.level]);
+    });
+  });
+
+  // Legend: Less ■■■■■ More, right-aligned
+  const cellsWidth = 5 * (CELL + LEGEND_GAP) - LEGEND_GAP;
+  const cellsLeft = gridLeft + gridWidth - 30 - cellsWidth;
+  text(cellsLeft - 6, legendTop + CELL - 1, 'Less', 9, palette.muted, { anchor: 'end' });
+  palette.levels.forEach((fill, level) => {
+    rect(cellsLeft + level * (CELL + LEGEND_GAP), legendTop, CELL, CELL, 2, fill);
+  });
+  text(cellsLeft + cellsWidth + 6, legendTop + CELL - 1, 'More', 9, palette.muted);
+
+  return { width: 2 * PADDING + panelWidth, height: panelTop + panelHeight + PADDING, background: palette.background, items };
+}
+
+/**
+ * First day of the window in each frame: the widget's loop from day 0 up
+ * to the last full window, sampled at the frame rate
+ *
+ * @returns {number[]} Day indexes (one frame when the history fits one window)
+ */
+export function frameDays(data, { duration, fps }) {
+  const maxDayIndex = Math.max(0, data.totalDays - DAYS_IN_WINDOW);
+  const count = maxDayIndex === 0 ? 1 : Math.max(1, Math.round(duration * fps));
+  return Array.from({ length: count }, (_, frame) => Math.floor(frame / count * maxDayIndex));
+}
+
+/**
+ * Bounding box of the pixels that differ, or null
+ */
+function changedRegion(previous, image) {
+  const { width, height } = image;
+  let left = width;
+  let right = -1;
+  let top = height;
+  let bottom = -1;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const offset = (y * width + x) * 3;
+      if (previous.pixels[offset] !== image.pixels[offset] ||
+          previous.pixels[offset + 1] !== image.pixels[offset + 1] ||
+          previous.pixels[offset + 2] !== image.pixels[offset + 2]) {
+        left = Math.min(left, x);
+        right = Math.max(right, x);
+        top = Math.min(top, y);
+        bottom = Math.max(bottom, y);
+      }
+    }
+  }
+  return right === -1 ? null : { x: left, y: top, width: right - left + 1, height: bottom - top + 1 };
+}
+
+/**
+ * RGB pixels of a region
+ */
+function crop(image, region) {
+  const pixels = Buffer.alloc(region.width * region.height * 3);
+  for (let row = 0; row < region.height; row++) {
+    const start = ((region.y + row) * image.width + region.x) * 3;
+    image.pixels.copy(pixels, row * region.width * 3, start, start + region.width * 3);
+  }
+  return pixels;
+}
+
+/**
+ * The widget animation
+ *
+ * @param {object} data - From buildWidgetData() (widget-data.json)
+ * @param {object} options
+ * @param {string} options.format - gif, apng or frames
+ * @param {number} options.duration - Seconds for the whole history
+ * @param {number} options.fps - Frames per second
+ * @param {string} options.theme - dark or light
+ * @param {number|null} options.width - Pixels, null for the widget's own width
+ * @returns {Buffer|Buffer[]} GIF or APNG file contents, for frames one PNG
+ *   per frame (identical frames included, for a constant frame rate)
+ */
+export function renderWidgetAnimation(data, { format = 'gif', duration = 30, fps = 12, theme = 'dark', width = null } = {}) {
+  const days = frameDays(data, { duration, fps });
+  const delay = duration * 1000 / days.length;
+  const scale = width ? width / layoutWidgetFrame(data, 0, { theme }).width : 1;
+
+  // Frames after the first only hold what changed, identical ones extend the previous
+  const frames = [];
+  let previous = null;
+  days.forEach((day, index) => {
+    progress(`\r[${index + 1}/${days.length}] Drawing frames...`);
+    const image = drawLayout(layoutWidgetFrame(data, day, { theme }), scale);
+    if (format === 'frames') {
+      frames.push(encodePNG(image.width, image.height, image.pixels));
+      return;
+    }
+    const region = previous ? changedRegion(previous, image) : { x: 0, y: 0, width: image.width, height: image.height };
+    if (region) {
+      frames.push({ ...region, pixels: crop(image, region), delay });
+    } else {
+      frames[frames.length - 1].delay += delay;
+    }
+    previous = image;
+  });
+  progress('\n');
+
+  if (format === 'frames') return frames;
+  return format === 'gif'
+    ? encodeGIF(previous.width, previous.height, frames)
+    : encodeAPNG(previous.width, previous.height, frames);
+}
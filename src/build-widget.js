@@ -1,48 +1,85 @@
 /**
  * Build the widget.html file with embedded data
- * Injects the commit data into the HTML template
+ * Injects the commit data (widget-data.json, see widget-data.js) and the
+ * widget defaults from timeline.config.{json,js} into the HTML template.
+ * The data is validated first, so a stale or hand-edited file fails here
+ * instead of in the browser.
+ *
+ * renderWidget() returns the page (see lib.js), buildWidget() writes it.
+ * loadWidgetData() also feeds the widget animation (see animation.js).
  */
 
-import { readFileSync, writeFileSync } from 'fs';
+import { existsSync, readFileSync, writeFileSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { outputPath, widgetDefaults } from './config.js';
+import { validateWidgetData } from './widget-data.js';
+import { log } from './runtime.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
-const DATA_FILE = join(__dirname, '..', 'dist', 'widget-data.json');
 const TEMPLATE_FILE = join(__dirname, '..', 'templates', 'widget.html.template');
-const OUTPUT_FILE = join(__dirname, '..', 'dist', 'widget.html');
 
-function buildWidget() {
-  console.log('🔨 Building animated widget...');
-  
-  // Load data
-  const data = JSON.parse(readFileSync(DATA_FILE, 'utf-8'));
-  console.log(`   Loaded data: ${data.totalDays} days, ${data.totalCommits.toLocaleString()} commits`);
-  
-  // Load template
-  let template = readFileSync(TEMPLATE_FILE, 'utf-8');
+/**
+ * The widget page
+ *
+ * @param {object} data - From buildWidgetData() (widget-data.json)
+ * @param {object} defaults - From widgetDefaults() (see config.js)
+ * @param {string} source - Names the data in validation errors
+ * @returns {string} widget.html
+ */
+export function renderWidget(data, defaults, source = 'widget data') {
+  validateWidgetData(data, source);
+  const template = readFileSync(TEMPLATE_FILE, 'utf-8');
   
-  // Inject data
-  const dataJson = JSON.stringify(data);
-  template = template.replace('{{WIDGET_DATA}}', dataJson);
+  // Inject data and the configured defaults of the URL parameters
+  // (escaped, so a username with </script> cannot end the script block)
+  return template
+    .replace('{{WIDGET_DATA}}', () => JSON.stringify(data).replace(/</g, '\\u003c'))
+    .replace('{{WIDGET_DEFAULTS}}', () => JSON.stringify(defaults).replace(/</g, '\\u003c'));
+}
+
+/**
+ * The widget data of the render step, validated
+ *
+ * @param {object} settings - From loadSettings() (see config.js)
+ * @returns {{ data, dataFile }}
+ */
+export function loadWidgetData(settings) {
+  const dataFile = outputPath(settings, 'widget-data.json');
+  if (!existsSync(dataFile)) {
+    throw new Error(`${dataFile} not found, render the timeline first`);
+  }
+  let data;
+  try {
+    data = JSON.parse(readFileSync(dataFile, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Invalid JSON in ${dataFile}: ${err.message}`);
+  }
+  validateWidgetData(data, dataFile);
+  return { data, dataFile };
+}
+
+/**
+ * @param {object} settings - From loadSettings() (see config.js)
+ */
+export function buildWidget(settings) {
+  log('🔨 Building animated widget...');
+  const outputFile = outputPath(settings, 'widget.html');
+  const { data, dataFile } = loadWidgetData(settings);
+  const html = renderWidget(data, widgetDefaults(settings), dataFile);
+  log(`   Loaded data: ${data.totalDays} days, ${data.totalCommits.toLocaleString()} commits`);
   
   // Write output
-  writeFileSync(OUTPUT_FILE, template);
+  writeFileSync(outputFile, html);
   
-  console.log(`✅ Widget built successfully: ${OUTPUT_FILE}`);
-  console.log(`\n📦 Embed code:`);
-  console.log(`<iframe`);
-  console.log(`  src="widget.html?duration=30&theme=dark&autoplay=true"`);
-  console.log(`  width="100%"`);
-  console.log(`  height="300"`);
-  console.log(`  frameborder="0"`);
-  console.log(`  style="border: none; border-radius: 8px;">`);
-  console.log(`</iframe>`);
-}
-
-try {
-  buildWidget();
-} catch (err) {
-  console.error('❌ Error:', err.message);
-  process.exit(1);
+  log(`✅ Widget built successfully: ${outputFile}`);
+  log(`\n📦 Embed code:`);
+  log(`<iframe`);
+  const defaults = widgetDefaults(settings);
+  log(`  src="widget.html?duration=${defaults.duration}&theme=${defaults.theme}&autoplay=${defaults.autoplay}"`);
+  log(`  width="100%"`);
+  log(`  height="300"`);
+  log(`  frameborder="0"`);
+  log(`  style="border: none; border-radius: 8px;">`);
+  log(`</iframe>`);
 }
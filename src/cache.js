@@ -0,0 +1,663 @@
+/**
+ * Cache Storage
+ *
+ * Everything under .cache/ goes through this module:
+ *
+ *   .cache/
+ *     commits.json                 Snapshot of the last run (used by --cached)
+ *     <cacheKey>/
+ *       manifest.json              Sync state, branch lookups, file checksums
+ *       repos/<owner%2Fname>.json  Commits of one repository
+ *       activity.json              Pull requests, issues and reviews (--activity)
+ *
+ * One store per provider, identity or team member (see fetch.js cacheKey).
+ * Commits live in one file per repository, so a broken file only costs
+ * that repository (it's refetched) instead of the whole cache, and a run
+ * only rewrites the repositories whose commits changed.
+ *
+ * Every file carries a schema version. Older layouts are migrated on load,
+ * including the original single-file caches (.cache/repos.json and
+ * .cache/repos-<cacheKey>.json, schema 1). All writes are atomic
+ * (temporary file + rename), so an interrupted run never leaves half a file.
+ */
+
+import { createHash } from 'crypto';
+import { existsSync, readFileSync, writeFileSync, renameSync, mkdirSync, readdirSync, statSync, unlinkSync } from 'fs';
+import { dirname, join } from 'path';
+import { log, runtime } from './runtime.js';
+
+// .cache/ unless lib.js callers pick another directory (see runtime.js)
+const cacheDir = () => runtime().cacheDir;
+const snapshotFile = () => join(cacheDir(), 'commits.json');
+
+export const CACHE_VERSION = 2;
+
+/**
+ * Upgrades from one schema version to the next, keyed by the old version.
+ * Each takes the in-memory cache ({ repos, commits, branchLookups, lastUpdated })
+ * as read from disk and returns it in the next version's shape.
+ */
+const MIGRATIONS = {
+  // 1 -> 2: single JSON file split into manifest + per-repo files on save,
+  // the never-used lastSearchDate field is dropped
+  1: (cache) => ({
+    repos: cache.repos || {},
+    commits: cache.commits || [],
+    branchLookups: cache.branchLookups || {},
+    lastUpdated: cache.lastUpdated || null
+  })
+};
+
+function migrate(cache, version, label) {
+  if (version > CACHE_VERSION) {
+    throw new Error(`${label} uses cache schema v${version}, but this version only knows v${CACHE_VERSION} (delete it or run with --refresh)`);
+  }
+  let migrated = cache;
+  for (let v = version; v < CACHE_VERSION; v++) {
+    migrated = MIGRATIONS[v](migrated);
+  }
+  return migrated;
+}
+
+/**
+ * Write a file so readers only ever see the old or the new content
+ */
+function writeFileAtomic(file, content) {
+  mkdirSync(dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  writeFileSync(tmp, content);
+  renameSync(tmp, file);
+}
+
+function readJson(file) {
+  return JSON.parse(readFileSync(file, 'utf-8'));
+}
+
+function checksum(content) {
+  return createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Move an unreadable file out of the way (kept for inspection)
+ */
+function quarantine(file) {
+  const target = `${file}.corrupt-${Date.now()}`;
+  renameSync(file, target);
+  return target;
+}
+
+function emptyCache() {
+  return { repos: {}, commits: [], branchLookups: {}, lastUpdated: null };
+}
+
+function storeDir(cacheKey) {
+  return join(cacheDir(), cacheKey);
+}
+
+function manifestFile(cacheKey) {
+  return join(storeDir(cacheKey), 'manifest.json');
+}
+
+function reposDir(cacheKey) {
+  return join(storeDir(cacheKey), 'repos');
+}
+
+/**
+ * Schema 1 file of a store (GitHub kept the original name)
+ */
+function legacyFile(cacheKey) {
+  return join(cacheDir(), cacheKey === 'github' ? 'repos.json' : `repos-${cacheKey}.json`);
+}
+
+function activityFile(cacheKey) {
+  return join(storeDir(cacheKey), 'activity.json');
+}
+
+function repoFileName(repoName) {
+  return `${encodeURIComponent(repoName)}.json`;
+}
+
+/**
+ * Read one repository file, checking it against the manifest entry if given
+ *
+ * @returns {object[]} commits
+ */
+function readRepoFile(cacheKey, repoName, entry = null) {
+  const file = join(reposDir(cacheKey), entry ? entry.file : repoFileName(repoName));
+  const content = readFileSync(file, 'utf-8');
+  if (entry && checksum(content) !== entry.checksum) {
+    throw new Error('checksum mismatch');
+  }
+  const data = JSON.parse(content);
+  if (!Array.isArray(data.commits)) {
+    throw new Error('no commits array');
+  }
+  return data.commits;
+}
+
+/**
+ * Rebuild a store from its repository files when the manifest is lost.
+ * Sync state is gone, so every repository is fetched again, but commits
+ * only found via search survive.
+ */
+function recoverFromRepoFiles(cacheKey) {
+  const cache = emptyCache();
+  const dir = reposDir(cacheKey);
+  if (!existsSync(dir)) return cache;
+
+  for (const file of readdirSync(dir).filter(name => name.endsWith('.json'))) {
+    try {
+      cache.commits.push(...readJson(join(dir, file)).commits);
+    } catch {
+      // Unreadable too - nothing to recover
+    }
+  }
+  return cache;
+}
+
+/**
+ * Load the cache of one store
+ *
+ * Broken repository files are skipped (and their repositories marked for
+ * refetching), a broken manifest is set aside and rebuilt from the repository
+ * files. Schema 1 caches are migrated and written in the current layout.
+ *
+ * @param {string} cacheKey - Store name (provider, identity or member)
+ * @returns {{ repos, commits, branchLookups, lastUpdated }}
+ */
+export function loadRepoCache(cacheKey) {
+  const file = manifestFile(cacheKey);
+
+  if (!existsSync(file)) {
+    const legacy = legacyFile(cacheKey);
+    if (!existsSync(legacy)) {
+      // New store, or its manifest was set aside by verify --fix
+      const cache = recoverFromRepoFiles(cacheKey);
+      if (cache.commits.length > 0) {
+        log(`   Recovered ${cache.commits.length} commits of ${cacheKey} without a manifest, all repositories will be refetched`);
+      }
+      return cache;
+    }
+
+    let cache;
+    try {
+      cache = migrate(readJson(legacy), 1, legacy);
+    } catch (err) {
+      if (err instanceof SyntaxError) {
+        log(`   ⚠️  Cache ${legacy} is corrupt, moved to ${quarantine(legacy)}`);
+        return emptyCache();
+      }
+      throw err;
+    }
+    saveRepoCache(cacheKey, cache);
+    unlinkSync(legacy);
+    log(`📦 Migrated cache ${cacheKey} to schema v${CACHE_VERSION}`);
+    return cache;
+  }
+
+  let manifest;
+  try {
+    manifest = readJson(file);
+  } catch {
+    log(`   ⚠️  Cache manifest ${file} is corrupt, moved to ${quarantine(file)}`);
+    const cache = recoverFromRepoFiles(cacheKey);
+    log(`   Recovered ${cache.commits.length} commits, all repositories will be refetched`);
+    return cache;
+  }
+
+  const cache = {
+    repos: { ...manifest.repos },
+    commits: [],
+    branchLookups: manifest.branchLookups || {},
+    lastUpdated: manifest.lastUpdated || null
+  };
+
+  for (const [repoName, entry] of Object.entries(manifest.files || {})) {
+    try {
+      cache.commits.push(...readRepoFile(cacheKey, repoName, entry));
+    } catch (err) {
+      const displayName = process.env.CI ? '[repository]' : repoName;
+      log(`   ⚠️  Cached commits of ${displayName} unreadable (${err.message}), refetching`);
+      delete cache.repos[repoName];
+    }
+  }
+
+  return migrate(cache, manifest.version || 1, file);
+}
+
+/**
+ * Save the cache of one store
+ *
+ * Only repositories whose commits changed are rewritten, the manifest is
+ * written last so it never points at files that don't exist yet.
+ */
+export function saveRepoCache(cacheKey, cache) {
+  const file = manifestFile(cacheKey);
+  let previous = {};
+  try {
+    previous = readJson(file).files || {};
+  } catch {
+    // First save or broken manifest - write every file
+  }
+
+  const byRepo = new Map();
+  for (const commit of cache.commits) {
+    if (!byRepo.has(commit.repo)) {
+      byRepo.set(commit.repo, []);
+    }
+    byRepo.get(commit.repo).push(commit);
+  }
+
+  const dir = reposDir(cacheKey);
+  const files = {};
+  for (const [repoName, commits] of byRepo) {
+    const content = JSON.stringify({ version: CACHE_VERSION, repo: repoName, commits });
+    const entry = { file: repoFileName(repoName), commits: commits.length, checksum: checksum(content) };
+    const old = previous[repoName];
+    if (!old || old.checksum !== entry.checksum || !existsSync(join(dir, entry.file))) {
+      writeFileAtomic(join(dir, entry.file), content);
+    }
+    files[repoName] = entry;
+  }
+
+  writeFileAtomic(file, JSON.stringify({
+    version: CACHE_VERSION,
+    lastUpdated: cache.lastUpdated,
+    repos: cache.repos,
+    files,
+    branchLookups: cache.branchLookups || {}
+  }, null, 2));
+
+  // Repositories that no longer have commits
+  for (const [repoName, entry] of Object.entries(previous)) {
+    if (!files[repoName] && existsSync(join(dir, entry.file))) {
+      unlinkSync(join(dir, entry.file));
+    }
+  }
+}
+
+/**
+ * Load the pull request, issue and review activity of a store
+ *
+ * @returns {{ items, fetchedAt }} fetchedAt: null when never fetched
+ */
+export function loadActivityCache(cacheKey) {
+  const file = activityFile(cacheKey);
+  if (!existsSync(file)) {
+    return { items: [], fetchedAt: null };
+  }
+
+  let data;
+  try {
+    data = readJson(file);
+  } catch {
+    log(`   ⚠️  Activity cache is corrupt, moved to ${quarantine(file)}`);
+    return { items: [], fetchedAt: null };
+  }
+
+  if ((data.version || 1) > CACHE_VERSION) {
+    throw new Error(`${file} uses cache schema v${data.version}, but this version only knows v${CACHE_VERSION}`);
+  }
+
+  return { items: data.items || [], fetchedAt: data.fetchedAt || null };
+}
+
+/**
+ * Save the activity of a store
+ */
+export function saveActivityCache(cacheKey, { items, fetchedAt }) {
+  writeFileAtomic(activityFile(cacheKey), JSON.stringify({
+    version: CACHE_VERSION,
+    fetchedAt,
+    items
+  }, null, 2));
+}
+
+/**
+ * Load the snapshot of the last run
+ *
+ * @returns {{ username, members, commits, languages, activity, savedAt }|null} null if missing or unreadable
+ */
+export function loadSnapshot() {
+  if (!existsSync(snapshotFile())) {
+    return null;
+  }
+
+  let snapshot;
+  try {
+    snapshot = readJson(snapshotFile());
+  } catch {
+    log(`   ⚠️  Cached snapshot is corrupt, moved to ${quarantine(snapshotFile())}`);
+    return null;
+  }
+
+  // The snapshot shape hasn't changed since schema 1, only the version field is new
+  if ((snapshot.version || 1) > CACHE_VERSION) {
+    throw new Error(`${snapshotFile()} uses cache schema v${snapshot.version}, but this version only knows v${CACHE_VERSION}`);
+  }
+
+  return {
+    username: snapshot.username,
+    members: snapshot.members || null,
+    commits: snapshot.commits || [],
+    languages: snapshot.languages || {},
+    activity: snapshot.activity || null,
+    savedAt: snapshot.savedAt || null
+  };
+}
+
+/**
+ * Save the snapshot of this run
+ */
+export function saveSnapshot({ username, members = null, commits, languages = {}, activity = null }) {
+  writeFileAtomic(snapshotFile(), JSON.stringify({
+    version: CACHE_VERSION,
+    savedAt: new Date().toISOString(),
+    username,
+    members,
+    languages,
+    activity,
+    commits
+  }, null, 2));
+}
+
+/**
+ * Total size of a file or directory in bytes
+ */
+function diskUsage(path) {
+  if (!existsSync(path)) return 0;
+  const stats = statSync(path);
+  if (!stats.isDirectory()) return stats.size;
+  return readdirSync(path).reduce((total, name) => total + diskUsage(join(path, name)), 0);
+}
+
+/**
+ * Names of all stores, including schema 1 files not yet migrated
+ */
+function listStores() {
+  if (!existsSync(cacheDir())) return [];
+
+  const stores = [];
+  for (const name of readdirSync(cacheDir())) {
+    const path = join(cacheDir(), name);
+    if (statSync(path).isDirectory() && existsSync(join(path, 'manifest.json'))) {
+      stores.push({ key: name, legacy: false });
+    } else if (name === 'repos.json') {
+      stores.push({ key: 'github', legacy: true });
+    } else if (/^repos-.+\.json$/.test(name)) {
+      stores.push({ key: name.slice('repos-'.length, -'.json'.length), legacy: true });
+    }
+  }
+  return stores.sort((a, b) => a.key.localeCompare(b.key));
+}
+
+/**
+ * Summary of every store and the snapshot
+ *
+ * @param {string|null} cacheKey - Only this store, with a per-repository listing
+ */
+export function inspectCache(cacheKey = null) {
+  const stores = listStores()
+    .filter(store => !cacheKey || store.key === cacheKey)
+    .map(({ key, legacy }) => {
+      if (legacy) {
+        return { key, legacy, version: 1, bytes: diskUsage(legacyFile(key)) };
+      }
+
+      let manifest;
+      try {
+        manifest = readJson(manifestFile(key));
+      } catch (err) {
+        return { key, legacy, error: err.message, bytes: diskUsage(storeDir(key)) };
+      }
+
+      const files = manifest.files || {};
+      const summary = {
+        key,
+        legacy,
+        version: manifest.version || 1,
+        lastUpdated: manifest.lastUpdated || null,
+        syncedRepos: Object.keys(manifest.repos || {}).length,
+        repoFiles: Object.keys(files).length,
+        commits: Object.values(files).reduce((total, entry) => total + entry.commits, 0),
+        branchLookups: Object.keys(manifest.branchLookups || {}).length,
+        activity: existsSync(activityFile(key)) ? loadActivityCache(key).items.length : null,
+        bytes: diskUsage(storeDir(key))
+      };
+
+      if (cacheKey) {
+        const names = new Set([...Object.keys(files), ...Object.keys(manifest.repos || {})]);
+        summary.repos = Array.from(names).sort().map(name => ({
+          name,
+          commits: files[name] ? files[name].commits : 0,
+          pushedAt: manifest.repos && manifest.repos[name] ? manifest.repos[name].pushed_at : null,
+          updatedAt: manifest.repos && manifest.repos[name] ? manifest.repos[name].updated_at : null
+        }));
+      }
+
+      return summary;
+    });
+
+  let snapshot = null;
+  if (existsSync(snapshotFile())) {
+    try {
+      const data = readJson(snapshotFile());
+      snapshot = {
+        version: data.version || 1,
+        username: data.username,
+        commits: (data.commits || []).length,
+        savedAt: data.savedAt || null,
+        bytes: diskUsage(snapshotFile())
+      };
+    } catch (err) {
+      snapshot = { error: err.message, bytes: diskUsage(snapshotFile()) };
+    }
+  }
+
+  return { dir: cacheDir(), version: CACHE_VERSION, stores, snapshot };
+}
+
+/**
+ * Turn "owner/*" style patterns into a matcher for repository names
+ */
+function repoMatcher(patterns) {
+  const regexes = patterns.map(pattern => new RegExp(
+    '^' + pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$',
+    'i'
+  ));
+  return (repoName) => regexes.some(regex => regex.test(repoName));
+}
+
+/**
+ * Remove repositories from the cache so the next run fetches them again
+ *
+ * Also drops their commits and activity from the snapshot, their activity
+ * and their branch lookups.
+ *
+ * @param {string[]} patterns - Full repository names, '*' matches anything
+ * @param {string|null} cacheKey - Only this store (default: all)
+ * @returns {Array} [{ key, repos: [names] }] for stores that changed
+ */
+export function pruneCache(patterns, cacheKey = null) {
+  const matches = repoMatcher(patterns);
+  const results = [];
+  const prunedRepos = new Set();
+
+  for (const { key, legacy } of listStores()) {
+    if (cacheKey && key !== cacheKey) continue;
+
+    // Bring old caches into the current layout first
+    if (legacy) {
+      loadRepoCache(key);
+    }
+
+    let manifest;
+    try {
+      manifest = readJson(manifestFile(key));
+    } catch {
+      continue; // Broken stores are handled by verify
+    }
+
+    const activity = loadActivityCache(key);
+    const names = new Set([...Object.keys(manifest.files || {}), ...Object.keys(manifest.repos || {}), ...activity.items.map(item => item.repo)]);
+    const removed = Array.from(names).filter(matches).sort();
+    if (removed.length === 0) continue;
+
+    const items = activity.items.filter(item => !matches(item.repo));
+    if (items.length !== activity.items.length) {
+      saveActivityCache(key, { ...activity, items });
+    }
+
+    const files = { ...manifest.files };
+    for (const name of removed) {
+      const entry = files[name];
+      if (entry) {
+        const file = join(reposDir(key), entry.file);
+        try {
+          for (const commit of readRepoFile(key, name, entry)) {
+            delete (manifest.branchLookups || {})[commit.sha];
+          }
+        } catch {
+          // Unreadable anyway
+        }
+        if (existsSync(file)) {
+          unlinkSync(file);
+        }
+        delete files[name];
+      }
+      delete (manifest.repos || {})[name];
+      prunedRepos.add(name);
+    }
+
+    writeFileAtomic(manifestFile(key), JSON.stringify({ ...manifest, files }, null, 2));
+    results.push({ key, repos: removed });
+  }
+
+  const snapshot = prunedRepos.size > 0 ? loadSnapshot() : null;
+  if (snapshot) {
+    const commits = snapshot.commits.filter(commit => !prunedRepos.has(commit.repo));
+    const activity = snapshot.activity && snapshot.activity.filter(item => !prunedRepos.has(item.repo));
+    if (commits.length !== snapshot.commits.length || (activity && activity.length !== snapshot.activity.length)) {
+      saveSnapshot({ ...snapshot, commits, activity });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Check every store for problems
+ *
+ * Looks for unreadable manifests and repository files, checksum and
+ * commit count mismatches, commits filed under the wrong repository,
+ * duplicate SHAs and files the manifest doesn't know about.
+ *
+ * @param {boolean} fix - Drop broken repositories (refetched next run) and orphaned files
+ * @returns {Array} [{ key, problems: [string], fixed: boolean }]
+ */
+export function verifyCache(fix = false) {
+  const results = [];
+
+  for (const { key, legacy } of listStores()) {
+    const problems = [];
+
+    if (legacy) {
+      try {
+        readJson(legacyFile(key));
+      } catch (err) {
+        problems.push(`${legacyFile(key)}: ${err.message}`);
+      }
+      results.push({ key, legacy, problems, fixed: false });
+      continue;
+    }
+
+    let manifest;
+    try {
+      manifest = readJson(manifestFile(key));
+    } catch (err) {
+      problems.push(`manifest.json: ${err.message}`);
+      if (fix) {
+        // Next load rebuilds the store from its repository files
+        quarantine(manifestFile(key));
+      }
+      results.push({ key, legacy, problems, fixed: fix });
+      continue;
+    }
+
+    if ((manifest.version || 1) !== CACHE_VERSION) {
+      problems.push(`manifest.json: schema v${manifest.version || 1}, expected v${CACHE_VERSION}`);
+    }
+
+    const files = manifest.files || {};
+    const broken = [];
+    const seen = new Set();
+
+    for (const [repoName, entry] of Object.entries(files)) {
+      let commits;
+      try {
+        commits = readRepoFile(key, repoName, entry);
+      } catch (err) {
+        problems.push(`${repoName}: ${err.code === 'ENOENT' ? 'file missing' : err.message}`);
+        broken.push(repoName);
+        continue;
+      }
+
+      if (commits.length !== entry.commits) {
+        problems.push(`${repoName}: ${commits.length} commits, manifest says ${entry.commits}`);
+        broken.push(repoName);
+        continue;
+      }
+
+      const strays = commits.filter(commit => !commit.sha || !commit.date || commit.repo !== repoName);
+      if (strays.length > 0) {
+        problems.push(`${repoName}: ${strays.length} commits without sha/date or from another repository`);
+        broken.push(repoName);
+      }
+
+      for (const commit of commits) {
+        if (seen.has(commit.sha)) {
+          problems.push(`${repoName}: duplicate commit ${commit.sha}`);
+        }
+        seen.add(commit.sha);
+      }
+    }
+
+    if (existsSync(activityFile(key))) {
+      try {
+        readJson(activityFile(key));
+      } catch (err) {
+        problems.push(`activity.json: ${err.message}`);
+        if (fix) {
+          // Fetched again on the next run with --activity
+          quarantine(activityFile(key));
+        }
+      }
+    }
+
+    const known = new Set(Object.values(files).map(entry => entry.file));
+    const dir = reposDir(key);
+    const orphans = existsSync(dir) ? readdirSync(dir).filter(name => !known.has(name)) : [];
+    for (const name of orphans) {
+      problems.push(`repos/${name}: not in manifest`);
+    }
+
+    if (fix && (broken.length > 0 || orphans.length > 0)) {
+      for (const repoName of broken) {
+        const file = join(dir, files[repoName].file);
+        if (existsSync(file)) {
+          unlinkSync(file);
+        }
+        delete files[repoName];
+        delete (manifest.repos || {})[repoName];
+      }
+      for (const name of orphans) {
+        unlinkSync(join(dir, name));
+      }
+      writeFileAtomic(manifestFile(key), JSON.stringify({ ...manifest, files }, null, 2));
+    }
+
+    results.push({ key, legacy, problems, fixed: fix && problems.length > 0 });
+  }
+
+  return results;
+}
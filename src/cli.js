@@ -0,0 +1,216 @@
+#!/usr/bin/env node
+/**
+ * git-history-timeline
+ *
+ * One entry point for every step (see commands.js):
+ *
+ *   git-history-timeline fetch     # network only, fills the cache
+ *   git-history-timeline render    # cache -> HTML and widget data, no token needed
+ *   git-history-timeline widget    # widget data -> animated widget
+ *   git-history-timeline animate   # widget data -> GIF, APNG or video frames
+ *   git-history-timeline stats     # summary in the terminal
+ *   git-history-timeline serve     # preview on localhost (--watch: live rebuild)
+ *
+ * Options and --help are generated from COMMANDS and the settings of
+ * config.js. Every command accepts every setting (a shared config file
+ * holds them all anyway); --help lists the ones it uses.
+ */
+
+import dotenv from 'dotenv';
+
+// Load .env file, overriding any existing environment variables
+dotenv.config({ override: true });
+import { existsSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { SETTINGS, RUN_FLAGS, loadSettings } from './config.js';
+import {
+  fetchTimeline,
+  loadCachedTimeline,
+  renderTimelineFiles,
+  buildWidgetFiles,
+  buildAnimationFiles,
+  printStats,
+  runCacheCommand,
+  runConfigCommand,
+  printError,
+  displayPath
+} from './commands.js';
+import { serveDirectory, createLiveReload } from './serve.js';
+import { watchedFiles, watchAndRebuild, rebuildFromCache } from './watch.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const BIN = 'git-history-timeline';
+const EXAMPLES_DIR = join(__dirname, '..', 'examples');
+
+/**
+ * The snapshot of the last fetch, required
+ */
+function requireCache() {
+  const snapshot = loadCachedTimeline();
+  if (!snapshot) {
+    throw new Error(`No cached commits yet, run \`${BIN} fetch\` first`);
+  }
+  return snapshot;
+}
+
+/**
+ * `serve`: the output directory, plus examples/ (and dist/ for their
+ * ../dist/ links); with --watch rebuilt from the cache and reloaded on changes
+ */
+async function serve(settings, run, { args, configFile }) {
+  const dir = settings.output.dir;
+  const liveReload = run.watch ? createLiveReload() : null;
+  if (run.watch) {
+    console.log('🔨 Building from the cache...');
+    await rebuildFromCache(args);
+  }
+  if (!existsSync(dir)) {
+    throw new Error(`Nothing to serve in ${displayPath(dir)} yet, run \`${BIN} render\` first (or serve with --watch)`);
+  }
+
+  const url = `http://127.0.0.1:${settings.port}/`;
+  await serveDirectory(dir, settings.port, { mounts: { '/examples/': EXAMPLES_DIR, '/dist/': dir }, liveReload });
+  console.log(`🌐 Serving ${displayPath(dir)} at ${url} (Ctrl+C to stop)`);
+  console.log(`   Widget: ${url}widget.html?duration=10, examples: ${url}examples/widget-demo.html`);
+  if (!run.watch) return;
+
+  const files = watchedFiles(configFile);
+  watchAndRebuild(files, async () => {
+    const started = Date.now();
+    await rebuildFromCache(args);
+    console.log(`🔄 Rebuilt in ${((Date.now() - started) / 1000).toFixed(1)}s, reloading the browser`);
+    liveReload.reload();
+  });
+  console.log(`👀 Watching ${files.map(displayPath).join(', ')}`);
+}
+
+// Command -> summary, options for --help (setting names or run flags) and
+// what it does. Raw commands parse their own arguments.
+const COMMANDS = {
+  fetch: {
+    summary: 'Fetch commit history into the cache (network only, needs a token)',
+    options: ['--config', '--refresh', 'user', 'provider', 'baseUrl', 'repos', 'local', 'authors', 'identities', 'org', 'users', 'strategy', 'resolveBranches', 'stale', 'weight', 'activity'],
+    run: (settings, run) => fetchTimeline(settings, { refresh: run.refresh })
+  },
+  render: {
+    summary: 'Generate the HTML pages from the cache (no token needed)',
+    options: ['--config', 'timezone', 'scale', 'weight', 'activity', 'filters', 'identities', 'theme', 'image', 'output'],
+    run: (settings) => renderTimelineFiles(settings, requireCache(), { cached: true })
+  },
+  widget: {
+    summary: 'Build the animated widget from the rendered widget data',
+    options: ['--config', 'theme', 'output'],
+    run: (settings) => buildWidgetFiles(settings)
+  },
+  animate: {
+    summary: 'Export the widget animation as a GIF, an APNG or video frames',
+    options: ['--config', 'animation', 'theme', 'output'],
+    run: (settings) => buildAnimationFiles(settings)
+  },
+  stats: {
+    summary: 'Print a summary of the cached history',
+    options: ['--config', 'timezone', 'filters'],
+    run: (settings) => printStats(settings, requireCache())
+  },
+  serve: {
+    summary: 'Preview the generated files on localhost (--watch rebuilds and reloads)',
+    options: ['--config', '--watch', 'output', 'port'],
+    run: serve
+  },
+  cache: {
+    summary: 'Inspect, prune or verify the cache',
+    usage: ['cache inspect [store]', 'cache prune <repo|pattern...> [--store <name>]', 'cache verify [--fix]'],
+    raw: true,
+    run: runCacheCommand
+  },
+  config: {
+    summary: 'Print the settings a run would use (all, or one like output.dir)',
+    usage: ['config [setting] [options]'],
+    raw: true,
+    run: runConfigCommand
+  }
+};
+
+/**
+ * Two aligned columns
+ */
+function columns(rows) {
+  const width = Math.max(...rows.map(([left]) => left.length));
+  return rows.map(([left, right]) => `  ${left.padEnd(width)}  ${right}`).join('\n');
+}
+
+/**
+ * Overview of all commands
+ */
+function usage() {
+  return [
+    `Usage: ${BIN} <command> [options]`,
+    '',
+    'Commands:',
+    columns(Object.entries(COMMANDS).map(([name, command]) => [name, command.summary])),
+    '',
+    `Run \`${BIN} <command> --help\` for its options. Settings can also live in`,
+    'timeline.config.json or timeline.config.js; options override them.'
+  ].join('\n');
+}
+
+/**
+ * Options of one command
+ */
+function commandHelp(name) {
+  const command = COMMANDS[name];
+  const lines = command.usage
+    ? command.usage.map((line, index) => `${index === 0 ? 'Usage:' : '      '} ${BIN} ${line}`)
+    : [`Usage: ${BIN} ${name} [options]`];
+  lines.push('', command.summary);
+
+  if (command.options) {
+    const rows = command.options.map(option => {
+      const entry = RUN_FLAGS[option] ? { flag: option, ...RUN_FLAGS[option] } : SETTINGS[option];
+      return [entry.arg ? `${entry.flag} ${entry.arg}` : entry.flag, entry.help];
+    });
+    rows.push(['--help', 'Show this help']);
+    lines.push('', 'Options:', columns(rows));
+  }
+  return lines.join('\n');
+}
+
+// Set once settings are loaded, for the token hint on errors
+let settings = null;
+
+async function main(args) {
+  const [name, ...rest] = args;
+  if (!name || name === '--help' || name === '-h' || (name === 'help' && !rest[0])) {
+    console.log(usage());
+    return;
+  }
+  if (name === 'help') {
+    return main([rest[0], '--help']);
+  }
+
+  const command = COMMANDS[name];
+  if (!command) {
+    throw new Error(`Unknown command: ${name} (run \`${BIN} --help\` for a list)`);
+  }
+  if (rest.includes('--help') || rest.includes('-h')) {
+    console.log(commandHelp(name));
+    return;
+  }
+  if (command.raw) {
+    await command.run(rest);
+    return;
+  }
+
+  const loaded = await loadSettings(rest);
+  settings = loaded.settings;
+  if (loaded.file) {
+    console.log(`⚙️  Using ${loaded.file}\n`);
+  }
+  await command.run(settings, loaded.run, { args: rest, configFile: loaded.file });
+}
+
+main(process.argv.slice(2)).catch(err => {
+  printError(err, settings);
+  process.exit(1);
+});
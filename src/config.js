@@ -0,0 +1,423 @@
+/**
+ * Configuration
+ *
+ * Settings come from three places, later ones winning:
+ * 1. the defaults below
+ * 2. timeline.config.json or timeline.config.js in the working directory
+ *    (or the file passed with --config)
+ * 3. command line flags
+ *
+ *   {
+ *     "user": "octocat",
+ *     "repos": "owned",
+ *     "timezone": "Europe/Berlin",
+ *     "weight": "score",
+ *     "filters": { "skipMerges": true, "excludeRepos": ["octocat/vendor-*"] },
+ *     "output": { "dir": "public" },
+ *     "theme": "light",
+ *     "widget": { "duration": 20, "autoplay": false }
+ *   }
+ *
+ * timeline.config.js default-exports the same object. Relative paths in a
+ * config file (local, identities, filters, output.dir) are relative to
+ * the file, so it works from any directory. `filters` takes either a
+ * filters file or the rules themselves.
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { homedir } from 'os';
+import { dirname, join, resolve } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { PROVIDERS } from './providers/index.js';
+import { WEIGHTS, parseScale } from './scale.js';
+import { resolveTimezone } from './timezone.js';
+import { parseFilters } from './filters.js';
+import { IMAGE_FORMATS } from './image.js';
+import { ANIMATION_FORMATS } from './animation.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const CONFIG_FILES = ['timeline.config.json', 'timeline.config.js'];
+export const THEMES = ['dark', 'light'];
+
+// Setting -> command line flag, value type, default, allowed values and
+// help text. Booleans are switched on by their flag alone; object
+// settings take their `flagKey` from the flag.
+export const SETTINGS = {
+  user: { flag: '--user', arg: '<username>', type: 'string', default: null, help: 'User to fetch (default: authenticated user)' },
+  provider: { flag: '--provider', arg: '<name>', type: 'string', default: 'github', values: Object.keys(PROVIDERS), help: 'Hosting provider: github, gitlab, gitea, forgejo (default: github)' },
+  baseUrl: { flag: '--base-url', arg: '<url>', type: 'string', default: null, help: 'Instance URL for self-hosted GitLab/Gitea or GitHub Enterprise API' },
+  repos: { flag: '--repos', arg: '<type>', type: 'string', default: 'all', values: ['all', 'owned', 'forks', 'contributions'], help: 'Repositories: all, owned, forks, contributions (default: all)' },
+  local: { flag: '--local', arg: '<paths>', type: 'list', default: null, path: true, help: 'Read local clones instead (comma-separated, no token needed)' },
+  authors: { flag: '--author', arg: '<emails>', type: 'list', default: [], help: 'Author emails/names to match in local clones (comma-separated)' },
+  identities: { flag: '--identities', arg: '<file>', type: 'string', default: null, path: true, help: 'Merge several accounts/emails listed in a JSON file' },
+  org: { flag: '--org', arg: '<name>', type: 'string', default: null, help: 'Team timeline for every member of an organization' },
+  users: { flag: '--users', arg: '<a,b,c>', type: 'list', default: null, help: 'Team timeline for a list of users' },
+  strategy: { flag: '--strategy', arg: '<name>', type: 'string', default: 'rest', values: ['rest', 'graphql'], help: 'Fetch strategy: rest, graphql (GitHub only, far fewer API calls)' },
+  resolveBranches: { flag: '--resolve-branches', type: 'boolean', default: false, help: 'Look up branches of searched commits via their pull requests' },
+  stale: { flag: '--stale', arg: '<mode>', type: 'string', default: 'prune', values: ['prune', 'flag'], help: 'Commits lost to force-pushes/deleted branches: prune, flag (default: prune)' },
+  timezone: { flag: '--timezone', arg: '<zone>', type: 'string', default: 'UTC', help: 'Day boundaries: IANA zone (Europe/Berlin), UTC, local, author (default: UTC)' },
+  scale: { flag: '--scale', arg: '<name>', type: 'string', default: 'auto', help: 'Heatmap colors: auto, quantile, log, global or thresholds like 1,3,6,10' },
+  weight: { flag: '--weight', arg: '<name>', type: 'string', default: 'commits', values: WEIGHTS, help: 'What colors a day: commits, lines (changed), score (default: commits)' },
+  activity: { flag: '--activity', type: 'boolean', default: false, help: 'Pull requests, issues and reviews as heatmap layers' },
+  filters: { flag: '--filters', arg: '<file>', type: 'filters', default: null, path: true, help: 'Drop commits by repo, message, merges, bot co-authors or daily caps (JSON)' },
+  theme: { flag: '--theme', arg: '<name>', type: 'string', default: null, values: THEMES, help: 'Default theme of the generated pages: dark, light' },
+  output: { flag: '--output', flagKey: 'dir', arg: '<dir>', type: 'object', keys: ['dir'], default: { dir: join(__dirname, '..', 'dist') }, help: 'Write generated files here (default: dist)' },
+  widget: { type: 'object', keys: ['duration', 'theme', 'autoplay', 'speed', 'start', 'end', 'loop', 'controls'], default: {} },
+  image: { flag: '--image', flagKey: 'formats', arg: '<formats>', type: 'object', keys: ['formats', 'year', 'theme', 'scale'], default: { formats: [] }, help: 'Also render timeline.svg/.png for READMEs: svg, png or svg,png' },
+  animation: { flag: '--animation', flagKey: 'format', arg: '<format>', type: 'object', keys: ['format', 'duration', 'fps', 'theme', 'width'], default: {}, help: 'Format of the widget animation: gif, apng or frames (PNGs for a video)' },
+  port: { flag: '--port', arg: '<port>', type: 'number', default: 8080, help: 'Port to serve on (default: 8080)' }
+};
+
+// Flags that only make sense for a single run, never in a config file
+export const RUN_FLAGS = {
+  '--config': { name: 'config', arg: '<file>', help: 'Read settings from this file instead of timeline.config.{json,js}' },
+  '--cached': { name: 'cached', help: 'Use cached data, skip all API calls' },
+  '--refresh': { name: 'refresh', help: 'Force refresh, ignore incremental cache' },
+  '--watch': { name: 'watch', help: 'Rebuild from the cache on changes and reload the browser' }
+};
+
+/**
+ * Parse command line flags
+ *
+ * @param {string[]} args - process.argv without node and the script
+ * @returns {{ configFile, flags, run }} flags: setting -> raw value,
+ *   run: { cached, refresh, watch }
+ */
+export function parseArgs(args) {
+  const flagNames = Object.fromEntries(
+    Object.entries(SETTINGS).filter(([, setting]) => setting.flag).map(([name, setting]) => [setting.flag, name])
+  );
+  const parsed = { configFile: null, flags: {}, run: { cached: false, refresh: false, watch: false } };
+
+  for (let index = 0; index < args.length; index++) {
+    const arg = args[index];
+    const name = flagNames[arg];
+    const runFlag = RUN_FLAGS[arg];
+    if (!name && !runFlag) {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+    if (runFlag && !runFlag.arg) {
+      parsed.run[runFlag.name] = true;
+      continue;
+    }
+    if (name && SETTINGS[name].type === 'boolean') {
+      parsed.flags[name] = true;
+      continue;
+    }
+
+    const value = args[index + 1];
+    if (value === undefined || value.startsWith('--')) {
+      throw new Error(`${arg} needs a value`);
+    }
+    index++;
+
+    if (runFlag) {
+      parsed.configFile = value;
+      continue;
+    }
+    const setting = SETTINGS[name];
+    if (setting.type === 'object') {
+      parsed.flags[name] = { [setting.flagKey]: value };
+    } else if (setting.type === 'list') {
+      parsed.flags[name] = value.split(',');
+    } else if (setting.type === 'number') {
+      parsed.flags[name] = Number(value);
+    } else {
+      parsed.flags[name] = value;
+    }
+  }
+
+  return parsed;
+}
+
+/**
+ * Find and load a config file
+ *
+ * @param {string|null} file - --config value, or null to look for one of
+ *   CONFIG_FILES in the working directory
+ * @returns {{ file, config }} file is null (and config empty) without one
+ */
+export async function loadConfig(file = null) {
+  if (file && !existsSync(file)) {
+    throw new Error(`Config file not found: ${file}`);
+  }
+  const path = file || CONFIG_FILES.find(name => existsSync(name));
+  if (!path) {
+    return { file: null, config: {} };
+  }
+
+  let config;
+  if (path.endsWith('.js') || path.endsWith('.mjs')) {
+    try {
+      config = (await import(pathToFileURL(resolve(path)).href)).default;
+    } catch (err) {
+      throw new Error(`Could not load ${path}: ${err.message}`);
+    }
+  } else {
+    try {
+      config = JSON.parse(readFileSync(path, 'utf-8'));
+    } catch (err) {
+      throw new Error(`Invalid JSON in ${path}: ${err.message}`);
+    }
+  }
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`${path} must ${path.endsWith('.json') ? 'contain' : 'default-export'} an object of settings`);
+  }
+  return { file: path, config: checkConfig(config, path) };
+}
+
+/**
+ * Check the types of a config file's settings and resolve its paths
+ * (against the file's directory unless base says otherwise)
+ */
+function checkConfig(config, file, base = dirname(resolve(file))) {
+  const toPath = (path) => resolve(base, path.replace(/^~(?=$|\/)/, homedir()));
+  const checked = {};
+
+  for (const [name, value] of Object.entries(config)) {
+    const setting = SETTINGS[name];
+    if (!setting) {
+      throw new Error(`${file}: unknown setting "${name}" (valid: ${Object.keys(SETTINGS).join(', ')})`);
+    }
+
+    switch (setting.type) {
+      case 'string':
+        if (typeof value !== 'string' || value === '') {
+          throw new Error(`${file}: "${name}" must be a non-empty string`);
+        }
+        checked[name] = setting.path ? toPath(value) : value;
+        break;
+
+      case 'list': {
+        // "a,b" like on the command line, or ["a", "b"]
+        const list = typeof value === 'string' ? value.split(',') : value;
+        if (!Array.isArray(list) || !list.every(item => typeof item === 'string' && item !== '')) {
+          throw new Error(`${file}: "${name}" must be an array of strings`);
+        }
+        checked[name] = setting.path ? list.map(toPath) : list;
+        break;
+      }
+
+      case 'number':
+        if (typeof value !== 'number') {
+          throw new Error(`${file}: "${name}" must be a number`);
+        }
+        checked[name] = value;
+        break;
+
+      case 'boolean':
+        if (typeof value !== 'boolean') {
+          throw new Error(`${file}: "${name}" must be true or false`);
+        }
+        checked[name] = value;
+        break;
+
+      case 'filters':
+        if (typeof value === 'string') {
+          checked[name] = toPath(value);
+        } else {
+          parseFilters(value, `${file} "filters"`);
+          checked[name] = value;
+        }
+        break;
+
+      case 'object':
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+          throw new Error(`${file}: "${name}" must be an object`);
+        }
+        for (const key of Object.keys(value)) {
+          if (!setting.keys.includes(key)) {
+            throw new Error(`${file}: unknown setting "${name}.${key}" (valid: ${setting.keys.join(', ')})`);
+          }
+        }
+        checked[name] = name === 'output' && typeof value.dir === 'string' ? { ...value, dir: toPath(value.dir) } : value;
+        break;
+    }
+  }
+
+  return checked;
+}
+
+/**
+ * Merge defaults, config file and flags, and validate the result
+ *
+ * @param {object} config - From loadConfig()
+ * @param {object} flags - From parseArgs()
+ * @param {string|null} file - Config file name, for error messages
+ * @returns {object} setting -> value, for every setting
+ */
+export function resolveSettings(config, flags, file = null) {
+  const settings = {};
+  const origins = {};
+
+  for (const [name, setting] of Object.entries(SETTINGS)) {
+    if (flags[name] !== undefined) {
+      settings[name] = setting.type === 'object' ? { ...setting.default, ...config[name], ...flags[name] } : flags[name];
+      origins[name] = setting.flag;
+    } else if (config[name] !== undefined) {
+      settings[name] = setting.type === 'object' ? { ...setting.default, ...config[name] } : config[name];
+      origins[name] = `${file} "${name}"`;
+    } else {
+      settings[name] = setting.default;
+      origins[name] = `default "${name}"`;
+    }
+  }
+
+  // Errors name the flag or config file the value came from
+  const fail = (name, message) => {
+    throw new Error(`${origins[name]}: ${message}`);
+  };
+
+  for (const [name, setting] of Object.entries(SETTINGS)) {
+    const value = settings[name];
+    if (setting.values && value !== null && !setting.values.includes(value)) {
+      fail(name, `invalid value "${value}" (valid: ${setting.values.join(', ')})`);
+    }
+  }
+
+  try {
+    resolveTimezone(settings.timezone);
+  } catch (err) {
+    fail('timezone', err.message);
+  }
+  try {
+    parseScale(settings.scale);
+  } catch (err) {
+    fail('scale', err.message);
+  }
+
+  if (!(Number.isInteger(settings.port) && settings.port > 0 && settings.port < 65536)) {
+    fail('port', `must be a whole number from 1 to 65535 (got ${settings.port})`);
+  }
+
+  if (typeof settings.output.dir !== 'string' || settings.output.dir === '') {
+    fail('output', '"dir" must be a non-empty string');
+  }
+
+  const widget = settings.widget;
+  if (widget.duration !== undefined && !(typeof widget.duration === 'number' && widget.duration > 0)) {
+    fail('widget', `"duration" must be a positive number of seconds (got ${widget.duration})`);
+  }
+  if (widget.speed !== undefined && !(typeof widget.speed === 'number' && widget.speed >= 0.1 && widget.speed <= 10)) {
+    fail('widget', `"speed" must be a number from 0.1 to 10 (got ${widget.speed})`);
+  }
+  if (widget.autoplay !== undefined && typeof widget.autoplay !== 'boolean') {
+    fail('widget', '"autoplay" must be true or false');
+  }
+  if (widget.theme !== undefined && !THEMES.includes(widget.theme)) {
+    fail('widget', `"theme" must be one of ${THEMES.join(', ')} (got ${widget.theme})`);
+  }
+  for (const key of ['start', 'end']) {
+    if (widget[key] !== undefined && widget[key] !== null && !/^\d{4}(-\d{2}-\d{2})?$/.test(String(widget[key]))) {
+      fail('widget', `"${key}" must be a date like 2020-06-01 or a year like 2020 (got ${widget[key]})`);
+    }
+  }
+  for (const key of ['loop', 'controls']) {
+    if (widget[key] !== undefined && typeof widget[key] !== 'boolean') {
+      fail('widget', `"${key}" must be true or false`);
+    }
+  }
+
+  // "svg,png" from the flag, a list (or the same string) from the config file
+  const image = settings.image;
+  const formats = typeof image.formats === 'string' ? image.formats.split(',') : image.formats;
+  if (!Array.isArray(formats) || !formats.every(format => IMAGE_FORMATS.includes(format))) {
+    fail('image', `"formats" must list ${IMAGE_FORMATS.join(', ')} (got ${formats})`);
+  }
+  if (image.year !== undefined && image.year !== null && !/^\d{4}$/.test(String(image.year))) {
+    fail('image', `"year" must be a year like 2024, or null for all years (got ${image.year})`);
+  }
+  if (image.theme !== undefined && !THEMES.includes(image.theme)) {
+    fail('image', `"theme" must be one of ${THEMES.join(', ')} (got ${image.theme})`);
+  }
+  if (image.scale !== undefined && !(typeof image.scale === 'number' && image.scale >= 1 && image.scale <= 4)) {
+    fail('image', `"scale" must be a number from 1 to 4 (got ${image.scale})`);
+  }
+  settings.image = { ...image, formats: [...new Set(formats)] };
+
+  const animation = settings.animation;
+  if (animation.format !== undefined && !ANIMATION_FORMATS.includes(animation.format)) {
+    fail('animation', `"format" must be one of ${ANIMATION_FORMATS.join(', ')} (got ${animation.format})`);
+  }
+  if (animation.duration !== undefined && !(typeof animation.duration === 'number' && animation.duration > 0 && animation.duration <= 300)) {
+    fail('animation', `"duration" must be a number of seconds up to 300 (got ${animation.duration})`);
+  }
+  // Browsers slow down GIF delays under 20 ms
+  if (animation.fps !== undefined && !(Number.isInteger(animation.fps) && animation.fps >= 1 && animation.fps <= 50)) {
+    fail('animation', `"fps" must be a whole number from 1 to 50 (got ${animation.fps})`);
+  }
+  if (animation.theme !== undefined && !THEMES.includes(animation.theme)) {
+    fail('animation', `"theme" must be one of ${THEMES.join(', ')} (got ${animation.theme})`);
+  }
+  if (animation.width !== undefined && animation.width !== null && !(Number.isInteger(animation.width) && animation.width >= 200 && animation.width <= 4000)) {
+    fail('animation', `"width" must be a whole number of pixels from 200 to 4000, or null (got ${animation.width})`);
+  }
+
+  return settings;
+}
+
+/**
+ * Settings of a run: config file plus flags
+ *
+ * @param {string[]} args - process.argv without node and the script
+ * @returns {{ file, settings, run }} file: config file used, or null
+ */
+export async function loadSettings(args) {
+  const { configFile, flags, run } = parseArgs(args);
+  const { file, config } = await loadConfig(configFile);
+  return { file, settings: resolveSettings(config, flags, file), run };
+}
+
+/**
+ * Settings given as an object (see lib.js), checked like a config file;
+ * relative paths resolve against the working directory
+ *
+ * @param {object} options - Config file settings, by name
+ * @param {string} label - Names the object in error messages
+ * @returns {object} setting -> value, for every setting
+ */
+export function settingsFromObject(options, label = 'options') {
+  return resolveSettings(checkConfig(options, label, process.cwd()), {}, label);
+}
+
+/**
+ * Defaults of the animated widget (URL parameters still override them)
+ */
+export function widgetDefaults(settings) {
+  return {
+    duration: 30,
+    theme: settings.theme || 'dark',
+    autoplay: true,
+    speed: 1,
+    start: null,
+    end: null,
+    loop: true,
+    controls: true,
+    ...settings.widget
+  };
+}
+
+/**
+ * Options of the widget animation: the "animation" setting, else as long
+ * and in the theme of the widget
+ */
+export function animationDefaults(settings) {
+  const widget = widgetDefaults(settings);
+  return {
+    format: 'gif',
+    duration: widget.duration / widget.speed,
+    fps: 12,
+    theme: widget.theme,
+    width: null,
+    ...settings.animation
+  };
+}
+
+/**
+ * Path of a generated file
+ */
+export function outputPath(settings, name) {
+  return join(settings.output.dir, name);
+}
@@ -1,124 +1,28 @@
 /**
- * GitHub API Fetching
+ * Commit Fetching
  * 
- * Handles all communication with the GitHub REST API.
- * Implements rate limiting, pagination, and error handling.
+ * Walks every repository and branch through a provider (GitHub, GitLab,
+ * Gitea/Forgejo - see providers/index.js), which handles the API itself.
  * 
  * Uses two strategies to find ALL commits:
- * 1. /user/repos - Repos you own or have access to (all branches)
- * 2. /search/commits - All public repos you've contributed to
+ * 1. Repos you own or have access to (all branches)
+ * 2. Commit search - public repos you've contributed to (GitHub only)
  * 
- * Includes incremental caching to avoid refetching unchanged repos.
+ * Optionally also collects authored pull requests, issues and reviews
+ * (`activity`), cached per store as well.
+ * 
+ * Includes incremental caching to avoid refetching unchanged repos
+ * (one cache store per cacheKey, see cache.js). Refetched repos are
+ * reconciled with the cache, so commits lost to force-pushes, deleted
+ * branches or removed repos don't linger forever.
  */
 
-import { existsSync, readFileSync, writeFileSync, mkdirSync } from 'fs';
-import { dirname, join } from 'path';
-import { fileURLToPath } from 'url';
-
-const __dirname = dirname(fileURLToPath(import.meta.url));
-const CACHE_DIR = join(__dirname, '..', '.cache');
-const REPO_CACHE_FILE = join(CACHE_DIR, 'repos.json');
+import { createProvider } from './providers/index.js';
+import { loadRepoCache, saveRepoCache, loadActivityCache, saveActivityCache } from './cache.js';
+import { log, progress } from './runtime.js';
 
-const API_BASE = 'https://api.github.com';
 const MAX_CONCURRENT = 5;
-const COMMITS_PER_PAGE = 100;
-const SEARCH_DELAY_MS = 2500; // Search API has stricter rate limits (30/min)
-
-/**
- * Load cached repository data
- */
-function loadRepoCache() {
-  if (existsSync(REPO_CACHE_FILE)) {
-    try {
-      return JSON.parse(readFileSync(REPO_CACHE_FILE, 'utf-8'));
-    } catch {
-      return { repos: {}, commits: [], lastSearchDate: null };
-    }
-  }
-  return { repos: {}, commits: [], lastSearchDate: null };
-}
-
-/**
- * Save repository cache
- */
-function saveRepoCache(cache) {
-  if (!existsSync(CACHE_DIR)) {
-    mkdirSync(CACHE_DIR, { recursive: true });
-  }
-  writeFileSync(REPO_CACHE_FILE, JSON.stringify(cache, null, 2));
-}
-
-/**
- * Make an authenticated request to the GitHub API
- */
-async function githubFetch(endpoint, token, retries = 3) {
-  const url = endpoint.startsWith('http') ? endpoint : `${API_BASE}${endpoint}`;
-  
-  for (let attempt = 1; attempt <= retries; attempt++) {
-    const response = await fetch(url, {
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Accept': 'application/vnd.github.v3+json',
-        'User-Agent': 'git-history-timeline'
-      }
-    });
-
-    // Handle rate limiting
-    if (response.status === 403 || response.status === 429) {
-      const resetTime = response.headers.get('x-ratelimit-reset');
-      const remaining = response.headers.get('x-ratelimit-remaining');
-      
-      if (remaining === '0' && resetTime) {
-        const waitMs = (parseInt(resetTime) * 1000) - Date.now() + 1000;
-        const waitMins = Math.ceil(waitMs / 60000);
-        console.log(`\n⏳ Rate limited. Waiting ${waitMins} minutes...`);
-        await sleep(waitMs);
-        continue;
-      }
-      
-      // Secondary rate limit - exponential backoff
-      const backoff = Math.pow(2, attempt) * 1000;
-      console.log(`   Rate limited, retrying in ${backoff/1000}s...`);
-      await sleep(backoff);
-      continue;
-    }
-
-    if (!response.ok) {
-      const error = await response.text();
-      throw new Error(`GitHub API error (${response.status}): ${error}`);
-    }
-
-    return response;
-  }
-
-  throw new Error('Max retries exceeded');
-}
-
-/**
- * Fetch all pages of a paginated endpoint
- */
-async function fetchAllPages(endpoint, token) {
-  const items = [];
-  let url = `${API_BASE}${endpoint}`;
-  
-  while (url) {
-    const response = await githubFetch(url, token);
-    const data = await response.json();
-    items.push(...data);
-    
-    // Check for next page
-    const link = response.headers.get('link');
-    url = null;
-    if (link) {
-      const match = link.match(/<([^>]+)>;\s*rel="next"/);
-      if (match) {
-        url = match[1];
-      }
-    }
-  }
-  
-  return items;
-}
+const ACTIVITY_OVERLAP_MS = 24 * 60 * 60 * 1000; // Refetch the last day, late events included
 
 /**
  * Process items in parallel with concurrency limit
@@ -144,79 +48,230 @@ async function processInParallel(items, fn, concurrency = MAX_CONCURRENT) {
   return Promise.all(results);
 }
 
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+/**
+ * Look up the branch of every commit found via search (branch 'unknown')
+ * through the pull request that introduced it.
+ * 
+ * Lookups are remembered in the cache (including misses), so each
+ * commit is only ever asked about once.
+ */
+async function resolveUnknownBranches(provider, commitMap, cache) {
+  const unresolved = Array.from(commitMap.values())
+    .filter(commit => commit.branch === 'unknown' && !(commit.sha in cache.branchLookups));
+  
+  log('\n📚 Phase 3: Recovering branches of searched commits...');
+  if (unresolved.length === 0) {
+    log('✓ Nothing to resolve');
+    return;
+  }
+  
+  let processed = 0;
+  let resolved = 0;
+  
+  await processInParallel(unresolved, async (commit) => {
+    try {
+      const match = await provider.findCommitBranch(commit);
+      cache.branchLookups[commit.sha] = match ? match.branch : null;
+      if (match) {
+        commit.branch = match.branch;
+        commit.pullRequest = match.pullRequest;
+        resolved++;
+      }
+    } catch (err) {
+      // Leave unresolved (not cached) so the next run retries
+      if (!err.message.includes('404') && !err.message.includes('422')) {
+        log(`\n   ⚠️  Branch lookup failed: ${err.message}`);
+      }
+    }
+    processed++;
+    progress(`\r[${processed}/${unresolved.length}] Looking up pull requests...`);
+  });
+  
+  progress('\r' + ' '.repeat(80) + '\r');
+  log(`✓ Resolved ${resolved} of ${unresolved.length} branches via pull requests`);
 }
 
 /**
- * Search for commits by author across all public repositories
- * This catches contributions to repos you don't own/have access to
+ * Fetch lines added/deleted for commits that don't have them yet:
+ * commits cached before line stats were asked for, and those from
+ * endpoints that leave them out (GitHub REST and search).
+ * 
+ * Counts are stored on the commits, so the cache keeps them and each
+ * commit is only fetched once. Commits the provider can't find anymore
+ * get null counts instead of being retried forever.
  */
-async function searchCommitsByAuthor(username, token, commitMap, repoSet) {
-  console.log('\n🔍 Searching for contributions to other repositories...');
+async function fetchMissingLineStats(provider, commitMap) {
+  const missing = Array.from(commitMap.values())
+    .filter(commit => commit.additions === undefined && !commit.stale);
+  
+  log('\n📚 Phase 4: Counting lines changed...');
+  if (missing.length === 0) {
+    log('✓ All commits have line counts');
+    return;
+  }
   
-  let page = 1;
-  let totalFound = 0;
-  let newCommits = 0;
+  let processed = 0;
+  let counted = 0;
   
-  // Search API returns max 1000 results, paginated at 100/page
-  while (page <= 10) {
+  await processInParallel(missing, async (commit) => {
     try {
-      // Rate limit: 30 requests/minute for search API
-      if (page > 1) {
-        await sleep(SEARCH_DELAY_MS);
-      }
-      
-      const response = await githubFetch(
-        `/search/commits?q=author:${username}&sort=author-date&order=desc&per_page=100&page=${page}`,
-        token
-      );
-      
-      const data = await response.json();
-      
-      if (!data.items || data.items.length === 0) {
-        break;
+      const stats = await provider.getCommitStats(commit);
+      commit.additions = stats.additions;
+      commit.deletions = stats.deletions;
+      counted++;
+    } catch (err) {
+      if (err.message.includes('404') || err.message.includes('422')) {
+        commit.additions = null;
+        commit.deletions = null;
+      } else {
+        // Leave unset so the next run retries
+        log(`\n   ⚠️  Line count failed: ${err.message}`);
       }
-      
-      totalFound = data.total_count;
-      
-      for (const item of data.items) {
-        if (!commitMap.has(item.sha)) {
-          commitMap.set(item.sha, {
-            sha: item.sha,
-            message: item.commit.message.split('\n')[0],
-            date: item.commit.author.date,
-            repo: item.repository.full_name,
-            branch: 'unknown', // Search API doesn't include branch
-            url: item.html_url
-          });
-          repoSet.add(item.repository.full_name);
-          newCommits++;
+    }
+    processed++;
+    progress(`\r[${processed}/${missing.length}] Fetching commit stats...`);
+  });
+  
+  progress('\r' + ' '.repeat(80) + '\r');
+  log(`✓ Counted lines of ${counted} of ${missing.length} commits`);
+}
+
+/**
+ * Fetch pull requests, issues and reviews
+ * 
+ * Only activity since the last fetch (minus a day of overlap) is asked
+ * for; everything is merged into the store's activity cache by ID.
+ * 
+ * @returns {Array} All cached activity of the store
+ */
+async function fetchActivity(provider, user, cacheKey, forceRefresh) {
+  log('\n📚 Phase 5: Collecting pull requests, issues and reviews...');
+  
+  const cache = forceRefresh ? { items: [], fetchedAt: null } : loadActivityCache(cacheKey);
+  const since = cache.fetchedAt ? new Date(Date.parse(cache.fetchedAt) - ACTIVITY_OVERLAP_MS).toISOString() : null;
+  const fetchedAt = new Date().toISOString();
+  
+  let fetched;
+  try {
+    fetched = await provider.fetchActivity(user, since);
+  } catch (err) {
+    // Keep what we have, the next run asks for the same range again
+    log(`   ⚠️  Activity fetch failed: ${err.message}`);
+    return cache.items;
+  }
+  
+  const items = new Map(cache.items.map(item => [item.id, item]));
+  const before = items.size;
+  for (const item of fetched) {
+    items.set(item.id, item);
+  }
+  
+  const activity = Array.from(items.values()).sort((a, b) => new Date(a.date) - new Date(b.date));
+  saveActivityCache(cacheKey, { items: activity, fetchedAt });
+  
+  const count = (type) => activity.filter(item => item.type === type).length;
+  log(`✓ ${items.size - before} new, ${count('pullRequest')} pull requests, ${count('issue')} issues, ${count('review')} reviews in total`);
+  return activity;
+}
+
+/**
+ * Drop (or flag) cached commits that a refetch no longer finds
+ * 
+ * Only repositories that were refetched completely or have disappeared
+ * are looked at - everything else simply wasn't checked this run.
+ * A missing commit is blamed on its branch if that branch is gone,
+ * otherwise on rewritten history (force-push, rebase, reset).
+ * 
+ * @param {Map} commitMap - All commits, modified in place
+ * @param {Set} seen - SHAs found this run (any phase)
+ * @param {Map} refetched - full_name -> { previous, branches } head SHAs before/after
+ * @param {string[]} removedRepos - Repos no longer listed by the provider
+ * @param {string} staleCommits - 'prune' (delete) or 'flag' (keep, marked `stale`)
+ * @returns {object} Counts and names for the run summary
+ */
+function reconcileCommits(commitMap, seen, refetched, removedRepos, staleCommits) {
+  const removed = new Set(removedRepos);
+  const changes = {
+    rewritten: 0,
+    deletedBranch: 0,
+    removedRepo: 0,
+    rewrittenBranches: new Set(),
+    deletedBranches: new Set(),
+    removedRepos
+  };
+  const flaggedAt = new Date().toISOString();
+  
+  for (const [sha, commit] of commitMap) {
+    if (seen.has(sha) || commit.stale) continue;
+    
+    let reason;
+    if (removed.has(commit.repo)) {
+      reason = 'removed-repo';
+      changes.removedRepo++;
+    } else if (refetched.has(commit.repo)) {
+      const { previous, branches } = refetched.get(commit.repo);
+      if (previous && commit.branch in previous && !(commit.branch in branches)) {
+        reason = 'deleted-branch';
+        changes.deletedBranch++;
+        changes.deletedBranches.add(`${commit.repo}/${commit.branch}`);
+      } else {
+        reason = 'rewritten';
+        changes.rewritten++;
+        if (previous && previous[commit.branch] && previous[commit.branch] !== branches[commit.branch]) {
+          changes.rewrittenBranches.add(`${commit.repo}/${commit.branch}`);
         }
       }
-      
-      process.stdout.write(`\r   Searched ${page * 100} of ${Math.min(totalFound, 1000)} commits...`);
-      
-      // Check if we've got all results
-      if (data.items.length < 100 || page * 100 >= totalFound) {
-        break;
-      }
-      
-      page++;
-    } catch (err) {
-      if (err.message.includes('422')) {
-        // Search results exceeded - this is fine, we got what we could
-        break;
-      }
-      console.log(`\n   ⚠️  Search error: ${err.message}`);
-      break;
+    } else {
+      continue;
+    }
+    
+    if (staleCommits === 'flag') {
+      commit.stale = { reason, since: flaggedAt };
+    } else {
+      commitMap.delete(sha);
     }
   }
   
-  process.stdout.write('\r' + ' '.repeat(60) + '\r');
-  console.log(`✓ Found ${newCommits} additional commits from ${totalFound} total public contributions`);
+  return changes;
+}
+
+/**
+ * Print what this run changed compared to the cache
+ */
+function printChanges(changes, newCommits, staleCommits) {
+  const verb = staleCommits === 'flag' ? 'flagged stale' : 'removed';
+  const names = (set) => {
+    if (process.env.CI) return '';
+    const list = Array.from(set);
+    const shown = list.slice(0, 5).join(', ');
+    return list.length > 5 ? ` (${shown}, +${list.length - 5} more)` : ` (${shown})`;
+  };
+  const lines = [];
   
-  return newCommits;
+  if (newCommits > 0) {
+    lines.push(`+${newCommits} new commits`);
+  }
+  if (changes.rewritten > 0) {
+    const branches = changes.rewrittenBranches.size > 0
+      ? `, force-pushed: ${changes.rewrittenBranches.size} branches${names(changes.rewrittenBranches)}`
+      : '';
+    lines.push(`${changes.rewritten} commits ${verb} from rewritten history${branches}`);
+  }
+  if (changes.deletedBranch > 0) {
+    lines.push(`${changes.deletedBranch} commits ${verb} from ${changes.deletedBranches.size} deleted branches${names(changes.deletedBranches)}`);
+  }
+  if (changes.removedRepos.length > 0) {
+    lines.push(`${changes.removedRepo} commits ${verb} from ${changes.removedRepos.length} removed or inaccessible repositories${names(changes.removedRepos)}`);
+  }
+  
+  if (lines.length === 0) {
+    log('\n🔄 No changes since last run');
+    return;
+  }
+  log('\n🔄 Changes since last run:');
+  for (const line of lines) {
+    log(`   ${line}`);
+  }
 }
 
 /**
@@ -228,17 +283,37 @@ async function searchCommitsByAuthor(username, token, commitMap, repoSet) {
  * 3. Use Search API to find contributions to repos you don't have access to
  * 
  * Uses incremental caching - only fetches repos that have been updated since last run.
+ * Cached commits that refetched repos no longer contain are pruned or flagged.
  * 
- * @param {string} token - GitHub API token
+ * @param {string} token - API token for the provider
  * @param {string|null} targetUser - Username to fetch for (null = authenticated user)
  * @param {string} repoFilter - Filter: 'all', 'owned', 'forks', 'contributions'
  * @param {boolean} forceRefresh - If true, ignore cache and fetch everything
+ * @param {object} options
+ * @param {string} options.provider - 'github' (default), 'gitlab', 'gitea' or 'forgejo'
+ * @param {string} options.baseUrl - API/instance URL for self-hosted providers
+ * @param {string[]} options.emails - Additional commit author emails to match
+ * @param {string} options.cacheKey - Separate cache per identity (default: provider name)
+ * @param {string} options.strategy - 'rest' (default) or 'graphql' (GitHub: batch repos and branches)
+ * @param {boolean} options.resolveBranches - Look up branches of search results via their pull requests
+ * @param {string} options.staleCommits - 'prune' (default) or 'flag' commits lost to force-pushes/deletions
+ * @param {boolean} options.lineStats - Record additions/deletions of every commit (see --weight)
+ * @param {boolean} options.activity - Also collect pull requests, issues and reviews
+ * @param {object[]} options.repos - Repositories to walk instead of provider.listRepos()
+ *   (team timelines list them once for every member)
+ * @returns {{ username, commits, languages, changes, activity }} - languages: repo name -> primary language,
+ *   activity: [{ id, type, date, repo, title, url }] or null when not asked for
  */
-export async function fetchAllCommits(token, targetUser = null, repoFilter = 'all', forceRefresh = false) {
+export async function fetchAllCommits(token, targetUser = null, repoFilter = 'all', forceRefresh = false, options = {}) {
+  const { provider: providerName = 'github', baseUrl, emails = [], cacheKey = providerName, strategy = 'rest', resolveBranches = false, staleCommits = 'prune', lineStats = false, activity = false, repos: listedRepos = null } = options;
+  const provider = createProvider(providerName, { token, baseUrl, lineStats });
+  
   // Get authenticated user info
-  const userResponse = await githubFetch('/user', token);
-  const user = await userResponse.json();
-  const username = targetUser || user.login;
+  const user = { ...await provider.getUser(targetUser), emails };
+  const username = user.login;
+  
+  // Every branch is queried once per author (account plus extra emails)
+  const authors = [...new Set([user.author, ...emails].filter(Boolean))];
   
   const filterLabels = {
     all: 'all repositories',
@@ -247,34 +322,57 @@ export async function fetchAllCommits(token, targetUser = null, repoFilter = 'al
     contributions: 'external contributions only'
   };
   
-  console.log(`👤 Fetching commits for @${username}`);
-  console.log(`📋 Filter: ${filterLabels[repoFilter]}`);
+  log(`👤 Fetching commits for @${username} on ${provider.label}`);
+  if (emails.length > 0) {
+    log(`📧 Also matching ${emails.length} author email${emails.length === 1 ? '' : 's'}`);
+  }
+  log(`📋 Filter: ${filterLabels[repoFilter]}`);
   
   // Load existing cache
-  const cache = forceRefresh ? { repos: {}, commits: [], lastSearchDate: null } : loadRepoCache();
+  const cache = forceRefresh ? { repos: {}, commits: [], branchLookups: {} } : loadRepoCache(cacheKey);
   
   // Collect all commits (deduplicated by SHA)
   const commitMap = new Map();
   const repoSet = new Set();
   
+  // Reconciliation state: what this run found and which repos were fully refetched
+  const seen = new Set();
+  const refetched = new Map();
+  let removedRepos = [];
+  
   // Pre-populate with cached commits
   if (!forceRefresh && cache.commits.length > 0) {
-    console.log(`📦 Loaded ${cache.commits.length} cached commits`);
+    log(`📦 Loaded ${cache.commits.length} cached commits`);
     for (const commit of cache.commits) {
       commitMap.set(commit.sha, commit);
       repoSet.add(commit.repo);
     }
   }
+  const cachedShas = new Set(commitMap.keys());
   
   // === PHASE 1: Repos you have access to (skip if contributions-only) ===
   if (repoFilter !== 'contributions') {
-    console.log('\n📚 Phase 1: Loading your repositories...');
-    const allRepos = await fetchAllPages('/user/repos?per_page=100&type=all&sort=updated', token);
+    log('\n📚 Phase 1: Loading your repositories...');
+    const allRepos = listedRepos || await provider.listRepos();
+    
+    // Repos that are gone (deleted, transferred, access revoked) since last run
+    const listed = new Set(allRepos.map(repo => repo.full_name));
+    removedRepos = Object.keys(cache.repos).filter(name => !listed.has(name));
+    for (const name of removedRepos) {
+      delete cache.repos[name];
+    }
+    
+    // Languages can change without a push (e.g. a rename), keep them current
+    for (const repo of allRepos) {
+      if (cache.repos[repo.full_name]) {
+        cache.repos[repo.full_name].language = repo.language;
+      }
+    }
     
     // Filter repos based on user preference
     let repos = allRepos;
     if (repoFilter === 'owned') {
-      repos = allRepos.filter(repo => !repo.fork && repo.owner.login === username);
+      repos = allRepos.filter(repo => !repo.fork && repo.owner === username);
     } else if (repoFilter === 'forks') {
       repos = allRepos.filter(repo => repo.fork);
     }
@@ -295,96 +393,195 @@ export async function fetchAllCommits(token, targetUser = null, repoFilter = 'al
     }
     
     const skippedCount = repos.length - reposToUpdate.length;
-    console.log(`   Found ${repos.length} repositories (${skippedCount} cached, ${reposToUpdate.length} to update)`);
+    log(`   Found ${repos.length} repositories (${skippedCount} cached, ${reposToUpdate.length} to update)`);
   
     let processedRepos = 0;
     let newCommitsInPhase1 = 0;
     
+    const addCommit = (commit) => {
+      seen.add(commit.sha);
+      const existing = commitMap.get(commit.sha);
+      if (existing && existing.stale) {
+        // Flagged earlier, but reachable again
+        delete existing.stale;
+      }
+      if (existing && existing.additions === undefined && commit.additions !== undefined) {
+        // Cached before line stats were asked for
+        existing.additions = commit.additions;
+        existing.deletions = commit.deletions;
+      }
+      if (!existing) {
+        commitMap.set(commit.sha, commit);
+        repoSet.add(commit.repo);
+        newCommitsInPhase1++;
+      }
+    };
+    
+    // Mark repo as cached with current pushed_at and branch heads.
+    // Only complete refetches are reconciled - a failed branch proves nothing.
+    const markCached = (repo, branches, complete = true) => {
+      const previous = cache.repos[repo.full_name];
+      if (complete) {
+        refetched.set(repo.full_name, { previous: previous ? previous.branches : null, branches });
+      }
+      cache.repos[repo.full_name] = {
+        pushed_at: repo.pushed_at,
+        updated_at: new Date().toISOString(),
+        branches,
+        language: repo.language
+      };
+    };
+    
     // Process only repos that need updating
     if (reposToUpdate.length > 0) {
-      await processInParallel(reposToUpdate, async (repo) => {
+      // GraphQL: batch most repos into a few queries, REST picks up the rest
+      let restRepos = reposToUpdate;
+      if (strategy === 'graphql' && provider.fetchReposCommits) {
+        try {
+          const { commits, failed, heads } = await provider.fetchReposCommits(reposToUpdate, user, (done, total) => {
+            progress(`\r[${done}/${total}] Querying repositories via GraphQL...`);
+          });
+          
+          commits.forEach(addCommit);
+          const failedNames = new Set(failed.map(repo => repo.full_name));
+          reposToUpdate
+            .filter(repo => !failedNames.has(repo.full_name))
+            .forEach(repo => markCached(repo, heads[repo.full_name] || {}));
+          restRepos = failed;
+          
+          progress('\r' + ' '.repeat(80) + '\r');
+          log(`✓ GraphQL: ${reposToUpdate.length - failed.length} repositories (${failed.length} left for REST)`);
+        } catch (err) {
+          progress('\r' + ' '.repeat(80) + '\r');
+          log(`   ⚠️  GraphQL failed, falling back to REST: ${err.message}`);
+        }
+      } else if (strategy === 'graphql') {
+        log(`   ⚠️  ${provider.label} has no GraphQL strategy, using REST`);
+      }
+      
+      await processInParallel(restRepos, async (repo) => {
         processedRepos++;
-        const progress = `[${processedRepos}/${reposToUpdate.length}]`;
+        const position = `[${processedRepos}/${restRepos.length}]`;
         
         try {
           // Get all branches
-          const branches = await fetchAllPages(`/repos/${repo.full_name}/branches?per_page=100`, token);
+          const branches = await provider.listBranches(repo);
+          let complete = true;
           
           // Fetch commits from each branch
           for (const branch of branches) {
             try {
-              const commits = await fetchAllPages(
-                `/repos/${repo.full_name}/commits?sha=${encodeURIComponent(branch.name)}&per_page=${COMMITS_PER_PAGE}&author=${username}`,
-                token
-              );
-              
-              for (const commit of commits) {
-                if (!commitMap.has(commit.sha)) {
-                  commitMap.set(commit.sha, {
-                    sha: commit.sha,
-                    message: commit.commit.message.split('\n')[0], // First line only
-                    date: commit.commit.author.date,
-                    repo: repo.full_name,
-                    branch: branch.name,
-                    url: commit.html_url
-                  });
-                  repoSet.add(repo.full_name);
-                  newCommitsInPhase1++;
-                }
+              for (const author of authors) {
+                const commits = await provider.listCommits(repo, branch, { ...user, author });
+                commits.forEach(addCommit);
               }
             } catch (err) {
+              // 409: empty repository, nothing missed
+              if (!err.message.includes('409')) {
+                complete = false;
+              }
               // Skip branches we can't access
               if (!err.message.includes('409') && !err.message.includes('404')) {
                 const displayName = process.env.CI ? '[repository/branch]' : `${repo.name}/${branch.name}`;
-                console.log(`   ⚠️  Skipping ${displayName}: ${err.message}`);
+                log(`   ⚠️  Skipping ${displayName}: ${err.message}`);
               }
             }
           }
           
-          // Mark repo as cached with current pushed_at
-          cache.repos[repo.full_name] = {
-            pushed_at: repo.pushed_at,
-            updated_at: new Date().toISOString()
-          };
+          markCached(repo, Object.fromEntries(branches.map(branch => [branch.name, branch.head])), complete);
           
           // Show progress (hide repo names in CI for security)
           const displayName = process.env.CI ? '[repository]' : repo.name;
-          process.stdout.write(`\r${progress} Processing: ${displayName.padEnd(40)}`);
+          progress(`\r${position} Processing: ${displayName.padEnd(40)}`);
         } catch (err) {
           // Skip repos we can't access
           if (!err.message.includes('403') && !err.message.includes('404')) {
             const displayName = process.env.CI ? '[repository]' : repo.name;
-            console.log(`\n   ⚠️  Skipping ${displayName}: ${err.message}`);
+            log(`\n   ⚠️  Skipping ${displayName}: ${err.message}`);
           }
         }
       });
       
       // Clear progress line
-      process.stdout.write('\r' + ' '.repeat(80) + '\r');
-      console.log(`✓ Processed ${reposToUpdate.length} updated repositories`);
-      console.log(`✓ Found ${newCommitsInPhase1} new commits`);
+      progress('\r' + ' '.repeat(80) + '\r');
+      log(`✓ Processed ${reposToUpdate.length} updated repositories`);
+      log(`✓ Found ${newCommitsInPhase1} new commits`);
     }
     
-    console.log(`✓ Total: ${commitMap.size} unique commits across ${repoSet.size} repos`);
+    log(`✓ Total: ${commitMap.size} unique commits across ${repoSet.size} repos`);
   }
   
   // === PHASE 2: Search for external contributions (skip if owned or forks only) ===
   if (repoFilter === 'all' || repoFilter === 'contributions') {
-    console.log('\n📚 Phase 2: Finding external contributions...');
-    await searchCommitsByAuthor(username, token, commitMap, repoSet);
+    log('\n📚 Phase 2: Finding external contributions...');
+    if (provider.searchCommits) {
+      log('\n🔍 Searching for contributions to other repositories...');
+      const { commits, totalCount } = await provider.searchCommits(user);
+      
+      let newCommits = 0;
+      for (const commit of commits) {
+        seen.add(commit.sha);
+        if (!commitMap.has(commit.sha)) {
+          commitMap.set(commit.sha, commit);
+          repoSet.add(commit.repo);
+          newCommits++;
+        }
+      }
+      log(`✓ Found ${newCommits} additional commits from ${totalCount} total public contributions`);
+    } else {
+      log(`   ⚠️  ${provider.label} has no commit search, skipping`);
+    }
+  }
+  
+  // === Reconcile: drop commits refetched repos no longer have ===
+  const changes = reconcileCommits(commitMap, seen, refetched, removedRepos, staleCommits);
+  
+  // === PHASE 3: Recover branches of search results (opt-in, one request per commit) ===
+  if (resolveBranches && provider.findCommitBranch) {
+    await resolveUnknownBranches(provider, commitMap, cache);
+  }
+  
+  // === PHASE 4: Lines changed per commit (opt-in, one request per commit without them) ===
+  if (lineStats && provider.getCommitStats) {
+    await fetchMissingLineStats(provider, commitMap);
   }
   
   // Save updated cache
   const allCommits = Array.from(commitMap.values());
   cache.commits = allCommits;
   cache.lastUpdated = new Date().toISOString();
-  saveRepoCache(cache);
-  console.log(`\n💾 Saved cache (${Object.keys(cache.repos).length} repos, ${allCommits.length} commits)`);
+  saveRepoCache(cacheKey, cache);
+  log(`\n💾 Saved cache (${Object.keys(cache.repos).length} repos, ${allCommits.length} commits)`);
+  
+  if (cachedShas.size > 0) {
+    const newCommits = allCommits.filter(commit => !cachedShas.has(commit.sha)).length;
+    printChanges(changes, newCommits, staleCommits);
+  }
   
-  console.log(`\n✅ Total: ${commitMap.size} unique commits across ${repoSet.size} repositories`);
+  // === PHASE 5: Pull requests, issues and reviews (opt-in, own cache) ===
+  let activityItems = null;
+  if (activity) {
+    if (provider.fetchActivity) {
+      activityItems = await fetchActivity(provider, user, cacheKey, forceRefresh);
+    } else {
+      log(`\n   ⚠️  ${provider.label} has no activity API, skipping pull requests, issues and reviews`);
+    }
+  }
+  
+  log(`\n✅ Total: ${commitMap.size} unique commits across ${new Set(allCommits.map(commit => commit.repo)).size} repositories`);
+  
+  const languages = {};
+  for (const [name, repo] of Object.entries(cache.repos)) {
+    if (repo.language) {
+      languages[name] = repo.language;
+    }
+  }
   
   return {
     username,
-    commits: allCommits
+    commits: allCommits,
+    languages,
+    changes,
+    activity: activityItems
   };
 }
@@ -0,0 +1,190 @@
+/**
+ * Commit Filters
+ *
+ * Drops commits that distort the timeline (vendor imports, generated
+ * commits, merges, bot co-authored commits, bulk migrations) between
+ * fetching and aggregation. Rules live in a JSON file:
+ *
+ *   {
+ *     "includeRepos": ["octocat/*"],
+ *     "excludeRepos": ["octocat/vendor-*", "octocat/monorepo-migration"],
+ *     "excludeMessages": ["^Initial import", "\\[skip timeline\\]"],
+ *     "skipMerges": true,
+ *     "excludeCoAuthors": ["*[bot]*", "renovate*"],
+ *     "maxPerRepoPerDay": 50
+ *   }
+ *
+ * The same rules can be given inline as "filters" in timeline.config.json
+ * (see config.js).
+ *
+ * Repository and co-author patterns are case-insensitive globs ('*' matches
+ * anything), message patterns case-insensitive regular expressions.
+ * Rules run in the order above; each commit is counted against the first
+ * rule that removes it. Pull requests, issues and reviews (--activity)
+ * only go through the repository rules.
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { createDateBucketer } from './timezone.js';
+import { log } from './runtime.js';
+
+export const FILTER_RULES = ['includeRepos', 'excludeRepos', 'excludeMessages', 'skipMerges', 'excludeCoAuthors', 'maxPerRepoPerDay'];
+
+// Merges recorded before commits carried a `merge` flag
+const MERGE_MESSAGE = /^Merge (pull request|branch|remote-tracking branch|tag) /;
+
+/**
+ * Turn "owner/*" style patterns into a case-insensitive matcher
+ */
+function globMatcher(patterns) {
+  const regexes = patterns.map(pattern => new RegExp(
+    '^' + pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$',
+    'i'
+  ));
+  return (value) => regexes.some(regex => regex.test(value));
+}
+
+function isMerge(commit) {
+  return commit.merge === true || (commit.merge === undefined && MERGE_MESSAGE.test(commit.message));
+}
+
+/**
+ * Load and validate a filters file
+ */
+export function loadFilters(file) {
+  if (!existsSync(file)) {
+    throw new Error(`Filters file not found: ${file}`);
+  }
+
+  let config;
+  try {
+    config = JSON.parse(readFileSync(file, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Invalid JSON in ${file}: ${err.message}`);
+  }
+
+  return parseFilters(config, file);
+}
+
+/**
+ * Validate filter rules
+ *
+ * @param {object} config - Rules as in a filters file
+ * @param {string} file - Where the rules came from, for error messages
+ */
+export function parseFilters(config, file) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`${file}: filters must be an object of rules`);
+  }
+
+  for (const key of Object.keys(config)) {
+    if (!FILTER_RULES.includes(key)) {
+      throw new Error(`${file}: unknown rule "${key}" (valid: ${FILTER_RULES.join(', ')})`);
+    }
+  }
+
+  for (const key of ['includeRepos', 'excludeRepos', 'excludeMessages', 'excludeCoAuthors']) {
+    if (config[key] !== undefined && (!Array.isArray(config[key]) || !config[key].every(item => typeof item === 'string'))) {
+      throw new Error(`${file}: "${key}" must be an array of strings`);
+    }
+  }
+
+  const excludeMessages = (config.excludeMessages || []).map(pattern => {
+    try {
+      return new RegExp(pattern, 'i');
+    } catch (err) {
+      throw new Error(`${file}: invalid "excludeMessages" pattern ${pattern}: ${err.message}`);
+    }
+  });
+
+  if (config.maxPerRepoPerDay !== undefined && !(Number.isInteger(config.maxPerRepoPerDay) && config.maxPerRepoPerDay > 0)) {
+    throw new Error(`${file}: "maxPerRepoPerDay" must be a positive whole number`);
+  }
+
+  return {
+    includeRepos: config.includeRepos && config.includeRepos.length > 0 ? config.includeRepos : null,
+    excludeRepos: config.excludeRepos || [],
+    excludeMessages,
+    skipMerges: Boolean(config.skipMerges),
+    excludeCoAuthors: config.excludeCoAuthors || [],
+    maxPerRepoPerDay: config.maxPerRepoPerDay || null
+  };
+}
+
+/**
+ * Apply filters to a list of commits
+ *
+ * @param {Array} commits - Fetched commits
+ * @param {object} filters - Result of loadFilters()
+ * @param {string} timezone - Day boundaries for maxPerRepoPerDay (see timezone.js)
+ * @returns {{ commits, removed }} removed: rule -> number of commits it dropped
+ */
+export function applyFilters(commits, filters, timezone = 'UTC') {
+  const removed = Object.fromEntries(FILTER_RULES.map(rule => [rule, 0]));
+
+  const included = filters.includeRepos ? globMatcher(filters.includeRepos) : null;
+  const excluded = globMatcher(filters.excludeRepos);
+  const botCoAuthor = globMatcher(filters.excludeCoAuthors);
+
+  // First rule that drops a commit, or null to keep it
+  const ruleFor = (commit) => {
+    if (included && !included(commit.repo)) return 'includeRepos';
+    if (excluded(commit.repo)) return 'excludeRepos';
+    if (filters.excludeMessages.some(regex => regex.test(commit.message))) return 'excludeMessages';
+    if (filters.skipMerges && isMerge(commit)) return 'skipMerges';
+    if ((commit.coAuthors || []).some(coAuthor => botCoAuthor(coAuthor))) return 'excludeCoAuthors';
+    return null;
+  };
+
+  let kept = commits.filter(commit => {
+    const rule = ruleFor(commit);
+    if (rule) removed[rule]++;
+    return !rule;
+  });
+
+  // Bulk days: keep the earliest commits of each repository and day
+  if (filters.maxPerRepoPerDay) {
+    const bucket = createDateBucketer(timezone);
+    const perDay = new Map();
+    kept = kept
+      .slice()
+      .sort((a, b) => new Date(a.date) - new Date(b.date))
+      .filter(commit => {
+        const key = `${commit.repo}\n${bucket(commit.date).date}`;
+        const count = (perDay.get(key) || 0) + 1;
+        perDay.set(key, count);
+        if (count > filters.maxPerRepoPerDay) {
+          removed.maxPerRepoPerDay++;
+          return false;
+        }
+        return true;
+      });
+  }
+
+  return { commits: kept, removed };
+}
+
+/**
+ * Apply the repository rules to pull request, issue and review activity
+ *
+ * @param {Array} items - Activity from fetchAllCommits()
+ * @param {object} filters - Result of loadFilters()
+ */
+export function filterActivity(items, filters) {
+  const included = filters.includeRepos ? globMatcher(filters.includeRepos) : null;
+  const excluded = globMatcher(filters.excludeRepos);
+  return items.filter(item => (!included || included(item.repo)) && !excluded(item.repo));
+}
+
+/**
+ * Print how many commits each rule removed
+ */
+export function printFilterReport(removed, total) {
+  const dropped = Object.values(removed).reduce((sum, count) => sum + count, 0);
+  log(`\n🧹 Filters removed ${dropped.toLocaleString()} of ${total.toLocaleString()} commits`);
+  for (const rule of FILTER_RULES) {
+    if (removed[rule] > 0) {
+      log(`   ${rule}: ${removed[rule].toLocaleString()}`);
+    }
+  }
+}
@@ -0,0 +1,167 @@
+/**
+ * GIF Encoder
+ *
+ * Animated GIF89a in plain JavaScript, for the widget animation (see
+ * animation.js). Frames are regions that changed since the previous frame,
+ * drawn over it, which keeps long animations small.
+ *
+ * GIFs have at most 256 colors. The palette holds the most frequent
+ * colors of the first frame (the flat theme colors plus their anti-aliased
+ * edges); every later color maps to its nearest palette entry.
+ */
+
+const MAX_COLORS = 256;
+const MAX_CODE = 4096;
+
+/**
+ * RGB pixels -> 0xrrggbb per pixel
+ */
+function* colorsOf(pixels) {
+  for (let offset = 0; offset < pixels.length; offset += 3) {
+    yield (pixels[offset] << 16) | (pixels[offset + 1] << 8) | pixels[offset + 2];
+  }
+}
+
+/**
+ * Palette of the most frequent colors, and a color -> index lookup
+ */
+function createPalette(pixels) {
+  const counts = new Map();
+  for (const color of colorsOf(pixels)) {
+    counts.set(color, (counts.get(color) || 0) + 1);
+  }
+  const colors = [...counts.keys()]
+    .sort((a, b) => counts.get(b) - counts.get(a))
+    .slice(0, MAX_COLORS);
+
+  const indexes = new Map(colors.map((color, index) => [color, index]));
+  function indexOf(color) {
+    let index = indexes.get(color);
+    if (index === undefined) {
+      let best = Infinity;
+      colors.forEach((candidate, candidateIndex) => {
+        const dr = (candidate >> 16) - (color >> 16);
+        const dg = ((candidate >> 8) & 0xff) - ((color >> 8) & 0xff);
+        const db = (candidate & 0xff) - (color & 0xff);
+        const distance = dr * dr + dg * dg + db * db;
+        if (distance < best) {
+          best = distance;
+          index = candidateIndex;
+        }
+      });
+      indexes.set(color, index);
+    }
+    return index;
+  }
+
+  return { colors, indexOf };
+}
+
+/**
+ * LZW-compress color indexes into GIF data sub-blocks
+ */
+function compress(indexes, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const bytes = [];
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let table = new Map();
+  let buffer = 0;
+  let bits = 0;
+
+  function write(code) {
+    buffer |= code << bits;
+    bits += codeSize;
+    while (bits >= 8) {
+      bytes.push(buffer & 0xff);
+      buffer >>>= 8;
+      bits -= 8;
+    }
+  }
+
+  write(clearCode);
+  let prefix = indexes[0];
+  for (let i = 1; i < indexes.length; i++) {
+    const index = indexes[i];
+    const key = (prefix << 8) | index;
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+    write(prefix);
+    if (nextCode < MAX_CODE) {
+      table.set(key, nextCode);
+      if (nextCode >= 1 << codeSize) codeSize++;
+      nextCode++;
+    } else {
+      // Table full: start over
+      write(clearCode);
+      table = new Map();
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+    }
+    prefix = index;
+  }
+  write(prefix);
+  write(endCode);
+  if (bits > 0) bytes.push(buffer & 0xff);
+
+  // Sub-blocks of up to 255 bytes, then an empty one
+  const blocks = [minCodeSize];
+  for (let offset = 0; offset < bytes.length; offset += 255) {
+    const block = bytes.slice(offset, offset + 255);
+    blocks.push(block.length, ...block);
+  }
+  blocks.push(0);
+  return Buffer.from(blocks);
+}
+
+const uint16 = (value) => [value & 0xff, (value >> 8) & 0xff];
+
+/**
+ * Encode frames as an endlessly looping GIF
+ *
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {object[]} frames - { x, y, width, height, pixels (RGB of the region),
+ *   delay (ms) }; the first covers the canvas, the others are drawn over it
+ * @returns {Buffer} File contents
+ */
+export function encodeGIF(width, height, frames) {
+  const palette = createPalette(frames[0].pixels);
+  // Table sizes are powers of two, at least 4 for the LZW minimum code size
+  const bitsPerIndex = Math.max(2, Math.ceil(Math.log2(palette.colors.length)));
+  const table = Buffer.alloc(3 * (1 << bitsPerIndex));
+  palette.colors.forEach((color, index) => {
+    table[index * 3] = color >> 16;
+    table[index * 3 + 1] = (color >> 8) & 0xff;
+    table[index * 3 + 2] = color & 0xff;
+  });
+
+  const parts = [
+    Buffer.from('GIF89a', 'ascii'),
+    // Screen: global color table, 8 bits per channel, its size
+    Buffer.from([...uint16(width), ...uint16(height), 0xf0 | (bitsPerIndex - 1), 0, 0]),
+    table,
+    // Loop forever
+    Buffer.from([0x21, 0xff, 0x0b, ...Buffer.from('NETSCAPE2.0', 'ascii'), 0x03, 0x01, 0, 0, 0])
+  ];
+
+  // Delays are centiseconds: round the running time, so they add up
+  let elapsed = 0;
+  for (const frame of frames) {
+    const start = Math.round(elapsed / 10);
+    elapsed += frame.delay;
+    const delay = Math.min(0xffff, Math.round(elapsed / 10) - start);
+
+    // Disposal 1: keep the frame under the next one
+    parts.push(Buffer.from([0x21, 0xf9, 0x04, 1 << 2, ...uint16(delay), 0, 0]));
+    parts.push(Buffer.from([0x2c, ...uint16(frame.x), ...uint16(frame.y), ...uint16(frame.width), ...uint16(frame.height), 0]));
+    const indexes = Uint8Array.from(colorsOf(frame.pixels), palette.indexOf);
+    parts.push(compress(indexes, bitsPerIndex));
+  }
+  parts.push(Buffer.from([0x3b]));
+  return Buffer.concat(parts);
+}
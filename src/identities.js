@@ -0,0 +1,166 @@
+/**
+ * Multiple Identities
+ *
+ * Merges several accounts and commit emails into one timeline.
+ * Each identity is fetched on its own (with its own token and cache),
+ * then commits are deduplicated by SHA across all of them.
+ *
+ * Identities are listed in a JSON file. Tokens are never stored there,
+ * only the name of the environment variable holding them:
+ *
+ *   {
+ *     "username": "octocat",
+ *     "showBreakdown": true,
+ *     "identities": [
+ *       { "name": "work", "tokenEnv": "GITHUB_TOKEN_WORK", "emails": ["me@corp.com"] },
+ *       { "name": "personal", "tokenEnv": "GITHUB_TOKEN", "emails": ["me@home.org"] },
+ *       { "name": "gitlab", "provider": "gitlab", "tokenEnv": "GITLAB_TOKEN" },
+ *       { "name": "mirrors", "local": ["~/mirrors"], "emails": ["me@corp.com"] }
+ *     ]
+ *   }
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { homedir } from 'os';
+import { fetchAllCommits } from './fetch.js';
+import { fetchLocalCommits } from './local.js';
+import { PROVIDERS } from './providers/index.js';
+import { log } from './runtime.js';
+
+// Names that end up in a cache directory name (identities, team members)
+export const SAFE_NAME = /^[A-Za-z0-9_-][A-Za-z0-9_.-]*$/;
+
+/**
+ * Load and validate an identities file
+ */
+export function loadIdentities(file) {
+  if (!existsSync(file)) {
+    throw new Error(`Identities file not found: ${file}`);
+  }
+
+  let config;
+  try {
+    config = JSON.parse(readFileSync(file, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Invalid JSON in ${file}: ${err.message}`);
+  }
+
+  if (!Array.isArray(config.identities) || config.identities.length === 0) {
+    throw new Error(`${file} must contain a non-empty "identities" array`);
+  }
+
+  const names = new Set();
+  config.identities.forEach((identity, index) => {
+    const label = `identities[${index}]`;
+
+    if (!identity.name || typeof identity.name !== 'string') {
+      throw new Error(`${label} needs a "name"`);
+    }
+    // Part of the cache directory name (see fetchIdentities)
+    if (!SAFE_NAME.test(identity.name)) {
+      throw new Error(`${label}: "name" may only contain letters, digits, "-", "_" and "." (and not start with ".") (got "${identity.name}")`);
+    }
+    if (names.has(identity.name)) {
+      throw new Error(`${label}: duplicate name "${identity.name}"`);
+    }
+    names.add(identity.name);
+
+    if (identity.emails !== undefined && !Array.isArray(identity.emails)) {
+      throw new Error(`${label}: "emails" must be an array`);
+    }
+
+    if (identity.local) {
+      if (!Array.isArray(identity.local)) {
+        throw new Error(`${label}: "local" must be an array of paths`);
+      }
+      return;
+    }
+
+    const provider = identity.provider || 'github';
+    if (!PROVIDERS[provider]) {
+      throw new Error(`${label}: unknown provider "${provider}" (valid: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    if (!identity.tokenEnv) {
+      throw new Error(`${label} needs "tokenEnv" (the environment variable holding its token)`);
+    }
+  });
+
+  return {
+    username: config.username || null,
+    showBreakdown: Boolean(config.showBreakdown),
+    identities: config.identities
+  };
+}
+
+/**
+ * Fetch commits for every identity and merge them into one list
+ *
+ * Commits are tagged with the identity that found them first.
+ *
+ * @param {object} config - Result of loadIdentities()
+ * @param {string} repoFilter - Filter: 'all', 'owned', 'forks', 'contributions'
+ * @param {boolean} forceRefresh - If true, ignore cache and fetch everything
+ * @param {object} options - { strategy, resolveBranches, staleCommits, lineStats, activity } defaults for identities that don't set their own
+ */
+export async function fetchIdentities(config, repoFilter = 'all', forceRefresh = false, options = {}) {
+  const commitMap = new Map();
+  const activityMap = new Map();
+  const languages = {};
+  let firstUsername = null;
+
+  for (const identity of config.identities) {
+    log(`\n🪪 Identity: ${identity.name}`);
+    const emails = identity.emails || [];
+
+    let result;
+    if (identity.local) {
+      const paths = identity.local.map(path => path.replace(/^~(?=$|\/)/, homedir()));
+      result = await fetchLocalCommits(paths, emails, { lineStats: options.lineStats });
+    } else {
+      const provider = identity.provider || 'github';
+      const token = process.env[identity.tokenEnv];
+      if (!token) {
+        throw new Error(`${identity.tokenEnv} not configured (needed by identity "${identity.name}")`);
+      }
+
+      result = await fetchAllCommits(token, identity.user || null, repoFilter, forceRefresh, {
+        provider,
+        baseUrl: identity.baseUrl,
+        emails,
+        cacheKey: `${provider}-${identity.name}`,
+        strategy: identity.strategy || options.strategy,
+        resolveBranches: options.resolveBranches,
+        staleCommits: options.staleCommits,
+        lineStats: options.lineStats,
+        activity: options.activity
+      });
+    }
+
+    firstUsername = firstUsername || result.username;
+    Object.assign(languages, result.languages);
+
+    let added = 0;
+    for (const commit of result.commits) {
+      if (!commitMap.has(commit.sha)) {
+        commitMap.set(commit.sha, { ...commit, identity: identity.name });
+        added++;
+      }
+    }
+    log(`   +${added} new commits (${result.commits.length - added} already found by another identity)`);
+
+    for (const item of result.activity || []) {
+      if (!activityMap.has(item.id)) {
+        activityMap.set(item.id, { ...item, identity: identity.name });
+      }
+    }
+  }
+
+  log(`\n✅ Merged: ${commitMap.size} unique commits from ${config.identities.length} identities`);
+
+  return {
+    username: config.username || firstUsername,
+    commits: Array.from(commitMap.values()),
+    languages,
+    activity: options.activity ? Array.from(activityMap.values()) : null
+  };
+}
@@ -0,0 +1,201 @@
+/**
+ * Timeline Images
+ *
+ * The year calendars, legend and header stats as a standalone SVG, or as
+ * a PNG drawn in plain JavaScript (png.js), for places that run neither
+ * iframes nor scripts, like a GitHub profile README.
+ *
+ * Both formats draw the same layout: rectangles and text in layout units
+ * (one unit is a CSS pixel of the SVG), produced by layoutTimeline().
+ * Colors follow the themes of the pages (THEME_STYLES in render.js).
+ */
+
+import { generateYearCalendar } from './aggregate.js';
+import { rasterize } from './png.js';
+
+export const IMAGE_FORMATS = ['svg', 'png'];
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const WEEKDAY_LABELS = { 1: 'Mon', 3: 'Wed', 5: 'Fri' };
+
+// Also the colors of the widget (animation.js)
+export const PALETTES = {
+  dark: {
+    background: '#0d1117',
+    panel: '#161b22',
+    border: '#30363d',
+    text: '#f0f6fc',
+    secondary: '#8b949e',
+    muted: '#6e7681',
+    accent: '#58a6ff',
+    levels: ['#21262d', '#0e4429', '#006d32', '#26a641', '#39d353']
+  },
+  light: {
+    background: '#ffffff',
+    panel: '#f6f8fa',
+    border: '#d0d7de',
+    text: '#1f2328',
+    secondary: '#656d76',
+    muted: '#57606a',
+    accent: '#0969da',
+    levels: ['#ebedf0', '#9be9a8', '#40c463', '#30a14e', '#216e39']
+  }
+};
+
+const FONT_FAMILY = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Helvetica, Arial, sans-serif";
+const PADDING = 20;
+const CELL = 10;
+const GAP = 3;
+const WEEKDAY_WIDTH = 28;
+const YEAR_SPACING = 24;
+
+const plural = (count, word, words = `${word}s`) => `${count.toLocaleString('en-US')} ${count === 1 ? word : words}`;
+
+/**
+ * Lay out the header, year calendars and legend
+ *
+ * @param {object} data - Render data (see renderTimelinePages in commands.js):
+ *   username, commits (aggregateCommits), totalCommits, repoCount
+ * @param {object} options
+ * @param {string} options.theme - dark or light
+ * @param {string|number|null} options.year - One year, or null for all (newest first)
+ * @returns {{ width, height, background, items }} items: { type: 'rect', x, y,
+ *   width, height, radius, fill } or { type: 'text', x, y (baseline), text, size,
+ *   weight, fill, anchor }
+ */
+export function layoutTimeline(data, { theme = 'dark', year = null } = {}) {
+  const palette = PALETTES[theme] || PALETTES.dark;
+  const aggregated = data.commits;
+  const years = year === null ? aggregated.years : [String(year)];
+  const calendars = years.map(calendarYear => ({ year: calendarYear, weeks: generateYearCalendar(calendarYear, aggregated) }));
+  const weekCount = Math.max(53, ...calendars.map(calendar => calendar.weeks.length));
+  const gridWidth = weekCount * (CELL + GAP) - GAP;
+  const gridLeft = PADDING + WEEKDAY_WIDTH;
+  const width = gridLeft + gridWidth + PADDING;
+  const items = [];
+  const text = (x, y, value, size, fill, extra = {}) => items.push({ type: 'text', x, y, text: value, size, fill, weight: 'normal', anchor: 'start', ...extra });
+
+  // Header: who and how much
+  let y = PADDING + 18;
+  text(PADDING, y, `@${data.username}`, 18, palette.text, { weight: 'bold' });
+  y += 22;
+  if (year === null) {
+    text(PADDING, y, [
+      plural(data.totalCommits, 'commit'),
+      plural(data.repoCount, 'repository', 'repositories'),
+      plural(years.length, 'year')
+    ].join(' · '), 12, palette.secondary);
+  } else {
+    const days = Object.keys(aggregated.byYear[years[0]] || {}).length;
+    text(PADDING, y, `${plural(aggregated.yearTotals[years[0]] || 0, 'commit')} in ${years[0]} · ${plural(days, 'active day')}`, 12, palette.secondary);
+  }
+  y += YEAR_SPACING;
+
+  if (calendars.length === 0) {
+    text(PADDING, y + 12, 'No commits yet', 12, palette.muted);
+    y += 12 + YEAR_SPACING;
+  }
+
+  for (const { year: calendarYear, weeks } of calendars) {
+    // Year and its total
+    y += 14;
+    text(PADDING, y, calendarYear, 14, palette.text, { weight: 'bold' });
+    text(gridLeft + gridWidth, y, plural(aggregated.yearTotals[calendarYear] || 0, 'commit'), 12, palette.secondary, { anchor: 'end' });
+
+    // Months above the first week they start in
+    y += 16;
+    let lastMonth = -1;
+    weeks.forEach((week, weekIndex) => {
+      const yearDay = week.find(day => day.inYear);
+      const month = yearDay ? parseInt(yearDay.date.slice(5, 7)) - 1 : lastMonth;
+      if (month !== lastMonth) {
+        // The last label would overflow the grid
+        if (weekIndex < weekCount - 2) {
+          text(gridLeft + weekIndex * (CELL + GAP), y, MONTHS[month], 9, palette.muted);
+        }
+        lastMonth = month;
+      }
+    });
+
+    // Day cells, one column per week
+    const top = y + 6;
+    for (const [row, label] of Object.entries(WEEKDAY_LABELS)) {
+      text(PADDING, top + row * (CELL + GAP) + CELL - 1, label, 9, palette.muted);
+    }
+    weeks.forEach((week, weekIndex) => {
+      week.forEach((day, weekday) => {
+        if (!day.inYear) return;
+        items.push({
+          type: 'rect',
+          x: gridLeft + weekIndex * (CELL + GAP),
+          y: top + weekday * (CELL + GAP),
+          width: CELL,
+          height: CELL,
+          radius: 2,
+          fill: palette.levels[day.level]
+        });
+      });
+    });
+    y = top + 7 * (CELL + GAP) - GAP + YEAR_SPACING;
+  }
+
+  // Legend: Less ■■■■■ More
+  const legendRight = gridLeft + gridWidth;
+  const legendLeft = legendRight - 30 - 5 * (CELL + GAP);
+  text(legendLeft - 6, y + CELL - 1, 'Less', 9, palette.muted, { anchor: 'end' });
+  palette.levels.forEach((fill, level) => {
+    items.push({ type: 'rect', x: legendLeft + level * (CELL + GAP), y, width: CELL, height: CELL, radius: 2, fill });
+  });
+  text(legendLeft + 5 * (CELL + GAP) + 3, y + CELL - 1, 'More', 9, palette.muted);
+  y += CELL + PADDING;
+
+  return { width, height: y, background: palette.background, items };
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * The timeline as a standalone SVG
+ *
+ * @param {object} data - See layoutTimeline()
+ * @param {object} options - { theme, year }, see layoutTimeline()
+ * @returns {string} SVG document
+ */
+export function renderTimelineSVG(data, options = {}) {
+  const layout = layoutTimeline(data, options);
+  const elements = layout.items.map(item => {
+    if (item.type === 'rect') {
+      return `<rect x="${item.x}" y="${item.y}" width="${item.width}" height="${item.height}" rx="${item.radius}" fill="${item.fill}"/>`;
+    }
+    const anchor = item.anchor !== 'start' ? ` text-anchor="${item.anchor}"` : '';
+    const weight = item.weight !== 'normal' ? ` font-weight="${item.weight}"` : '';
+    return `<text x="${item.x}" y="${item.y}" font-size="${item.size}" fill="${item.fill}"${anchor}${weight}>${escapeXml(item.text)}</text>`;
+  });
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${layout.width}" height="${layout.height}" viewBox="0 0 ${layout.width} ${layout.height}" font-family="${escapeXml(FONT_FAMILY)}">`,
+    `<title>Git History Timeline — @${escapeXml(data.username)}</title>`,
+    `<rect width="100%" height="100%" rx="6" fill="${layout.background}"/>`,
+    ...elements,
+    '</svg>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * The timeline as a PNG, without a browser
+ *
+ * @param {object} data - See layoutTimeline()
+ * @param {object} options - { theme, year }, see layoutTimeline(), and
+ *   scale: pixels per SVG pixel (default 2)
+ * @returns {Buffer} PNG file contents
+ */
+export function renderTimelinePNG(data, { scale = 2, ...options } = {}) {
+  return rasterize(layoutTimeline(data, options), scale);
+}
@@ -0,0 +1,86 @@
+/**
+ * Library Entry
+ *
+ * git-history-timeline for build scripts and static site generators (the
+ * package's main export). Nothing runs on import, and nothing is written
+ * but the cache: the functions return data and HTML strings to put
+ * wherever the site wants them.
+ *
+ *   import { generateTimeline, silentLogger } from 'git-history-timeline';
+ *
+ *   const { files } = await generateTimeline({ user: 'octocat', token, logger: silentLogger });
+ *   // files: { 'index.html': '<!DOCTYPE html>...', 'widget.html': ..., ... }
+ *
+ * The steps behind it are exported too, for pipelines of their own. Wrap
+ * them in withRuntime() to swap the logger, fetch or cache directory
+ * (see runtime.js).
+ */
+
+import { settingsFromObject, widgetDefaults } from './config.js';
+import { OUTPUT_FILES, fetchTimeline, renderTimelinePages } from './commands.js';
+import { renderWidget } from './build-widget.js';
+import { withRuntime } from './runtime.js';
+
+export { fetchAllCommits } from './fetch.js';
+export { fetchLocalCommits } from './local.js';
+export { aggregateCommits, aggregateMembers, aggregateRepos, aggregatePunchCard, aggregateActivity, buildCommitIndex } from './aggregate.js';
+export { computeStats } from './stats.js';
+export { parseScale } from './scale.js';
+export { resolveTimezone } from './timezone.js';
+export { parseFilters, applyFilters } from './filters.js';
+export { renderTimeline, renderTimelineEmbed, renderPunchCardEmbed } from './render.js';
+export { renderTimelineSVG, renderTimelinePNG } from './image.js';
+export { renderWidgetAnimation } from './animation.js';
+export { buildWidgetData, validateWidgetData, WIDGET_DATA_VERSION } from './widget-data.js';
+export { renderWidget } from './build-widget.js';
+export { settingsFromObject, widgetDefaults, animationDefaults } from './config.js';
+export { withRuntime, silentLogger } from './runtime.js';
+
+// File names of generateTimeline(), replaceable with options.outputFiles
+const FILE_NAMES = {
+  ...OUTPUT_FILES,
+  widget: 'widget.html'
+};
+
+/**
+ * Fetch (or take) a history and render every page and the widget
+ *
+ * @param {object} options - Settings like in timeline.config.json (user,
+ *   provider, local, timezone, theme, widget, ...), plus:
+ * @param {string} options.token - Provider token (default: its environment variable)
+ * @param {object} options.snapshot - Render this instead of fetching, e.g. an
+ *   earlier result's snapshot
+ * @param {boolean} options.refresh - Ignore the incremental cache
+ * @param {object} options.logger - Progress output (default: console)
+ * @param {Function} options.fetch - HTTP implementation (default: global fetch)
+ * @param {string} options.cacheDir - Incremental cache and snapshot (default: .cache/)
+ * @param {object} options.outputFiles - Other names for page, embed, punchCard,
+ *   widgetData, widget, svg or png
+ * @returns {Promise<{ settings, snapshot, widgetData, files }>} files: name ->
+ *   contents (a Buffer for PNG, strings otherwise)
+ */
+export async function generateTimeline(options = {}) {
+  const { token, snapshot: givenSnapshot, refresh = false, logger, fetch, cacheDir, outputFiles = {}, ...rest } = options;
+
+  for (const key of Object.keys(outputFiles)) {
+    if (!FILE_NAMES[key]) {
+      throw new Error(`options "outputFiles": unknown file "${key}" (valid: ${Object.keys(FILE_NAMES).join(', ')})`);
+    }
+  }
+  const names = { ...FILE_NAMES, ...outputFiles };
+  const settings = settingsFromObject(rest);
+
+  return withRuntime({ logger, fetch, cacheDir }, async () => {
+    const snapshot = givenSnapshot || await fetchTimeline(settings, { refresh, token });
+    const { pages, widgetData, images } = renderTimelinePages(settings, snapshot, { cached: Boolean(givenSnapshot) });
+
+    const contents = {
+      ...pages,
+      widgetData: JSON.stringify(widgetData, null, 2),
+      widget: renderWidget(widgetData, widgetDefaults(settings)),
+      ...images
+    };
+    const files = Object.fromEntries(Object.entries(contents).map(([key, text]) => [names[key], text]));
+    return { settings, snapshot, widgetData, files };
+  });
+}
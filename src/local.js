@@ -0,0 +1,270 @@
+/**
+ * Local Git Repository Source
+ *
+ * Reads commit history straight from on-disk clones using the git CLI.
+ * Works fully offline and without a token, so self-hosted and mirrored
+ * repositories can be included in the timeline.
+ *
+ * Produces the same { sha, message, date, repo, branch, url } records as
+ * fetchAllCommits, so aggregation and rendering work unchanged.
+ */
+
+import { execFile } from 'child_process';
+import { existsSync, readdirSync, statSync } from 'fs';
+import { basename, join, resolve } from 'path';
+import { promisify } from 'util';
+import { commitMeta } from './providers/commit-meta.js';
+import { log, progress } from './runtime.js';
+
+const execFileAsync = promisify(execFile);
+
+const FIELD_SEP = '\x1f';
+const RECORD_SEP = '\x1e';
+const MAX_BUFFER = 512 * 1024 * 1024; // git log output for large monorepos
+
+// --shortstat summary, e.g. " 3 files changed, 12 insertions(+), 4 deletions(-)"
+const INSERTIONS = /(\d+) insertions?\(\+\)/;
+const DELETIONS = /(\d+) deletions?\(-\)/;
+
+/**
+ * Run a git command inside a repository and return stdout
+ */
+async function git(repoPath, args) {
+  const { stdout } = await execFileAsync('git', ['-C', repoPath, ...args], {
+    encoding: 'utf-8',
+    maxBuffer: MAX_BUFFER
+  });
+  return stdout;
+}
+
+/**
+ * Check whether a directory is a git repository (working tree or bare)
+ */
+function isGitRepo(dir) {
+  return existsSync(join(dir, '.git')) ||
+         (existsSync(join(dir, 'HEAD')) && existsSync(join(dir, 'objects')));
+}
+
+/**
+ * Expand the given paths into a list of repositories.
+ * A path that is not a repository itself is scanned one level deep,
+ * so `~/code` picks up every clone inside it.
+ */
+export function discoverRepositories(paths) {
+  const repos = [];
+
+  for (const path of paths) {
+    const dir = resolve(path);
+
+    if (!existsSync(dir)) {
+      throw new Error(`Local repository path not found: ${path}`);
+    }
+
+    if (isGitRepo(dir)) {
+      repos.push(dir);
+      continue;
+    }
+
+    for (const entry of readdirSync(dir).sort()) {
+      const child = join(dir, entry);
+      if (statSync(child).isDirectory() && isGitRepo(child)) {
+        repos.push(child);
+      }
+    }
+  }
+
+  return [...new Set(repos)];
+}
+
+/**
+ * Derive a display name and web URL from the origin remote.
+ *
+ * Handles both https://host/owner/name(.git) and git@host:owner/name(.git).
+ * Falls back to the directory name when there is no usable remote.
+ */
+export function parseRemote(remoteUrl, dir) {
+  const fallbackName = basename(dir).replace(/\.git$/, '');
+  if (!remoteUrl) {
+    return { name: fallbackName, webUrl: null };
+  }
+
+  const match = remoteUrl.trim().match(/^(?:https?:\/\/(?:[^@/]+@)?|ssh:\/\/(?:[^@/]+@)?|[^@/]+@)([^/:]+)(?::\d+)?[/:](.+?)(?:\.git)?\/?$/);
+  if (!match) {
+    return { name: fallbackName, webUrl: null };
+  }
+
+  const [, host, path] = match;
+  return { name: path, webUrl: `https://${host}/${path}` };
+}
+
+/**
+ * Turn a ref name reported by `git log --source` into a branch name
+ */
+function refToBranch(ref) {
+  return ref
+    .replace(/^refs\/heads\//, '')
+    .replace(/^refs\/remotes\/[^/]+\//, '');
+}
+
+/**
+ * Label a commit only reachable from a tag, e.g. "tags/v1.0"
+ */
+function refToTag(ref) {
+  return `tags/${ref.replace(/^refs\/tags\//, '')}`;
+}
+
+/**
+ * Read the configured author email of a repository (or the global one)
+ */
+async function defaultAuthor(repoPath) {
+  try {
+    return (await git(repoPath, ['config', 'user.email'])).trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Lines added/deleted from the --shortstat summary following a record
+ * (merges and empty commits have none)
+ */
+function parseShortstat(text) {
+  const insertions = text.match(INSERTIONS);
+  const deletions = text.match(DELETIONS);
+  return {
+    additions: insertions ? parseInt(insertions[1]) : 0,
+    deletions: deletions ? parseInt(deletions[1]) : 0
+  };
+}
+
+/**
+ * Run `git log --source` over the given revisions and parse the records,
+ * naming each commit's branch with label(ref)
+ */
+async function logCommits(repoPath, revisions, authors, lineStats, label, { name, webUrl }) {
+  const args = [
+    'log',
+    ...revisions,
+    '--source',
+    '--fixed-strings',
+    '--regexp-ignore-case',
+    ...authors.map(author => `--author=${author}`),
+    // Records start with the separator, so a --shortstat summary stays with its commit
+    `--format=${RECORD_SEP}%H${FIELD_SEP}%S${FIELD_SEP}%aI${FIELD_SEP}%s${FIELD_SEP}%P${FIELD_SEP}%(trailers:key=Co-authored-by)`,
+    ...(lineStats ? ['--shortstat'] : [])
+  ];
+
+  let output;
+  try {
+    output = await git(repoPath, args);
+  } catch (err) {
+    // Empty repositories have no refs to walk
+    if (err.stderr && err.stderr.includes('does not have any commits')) {
+      return [];
+    }
+    throw err;
+  }
+
+  const commits = [];
+  for (const record of output.split(RECORD_SEP)) {
+    const line = record.trim();
+    if (!line) continue;
+
+    // The summary (if any) trails the last field
+    const [sha, ref, date, message, parents, trailers] = line.split(FIELD_SEP);
+    commits.push({
+      sha,
+      message,
+      date,
+      repo: name,
+      branch: label(ref),
+      url: webUrl ? `${webUrl}/commit/${sha}` : null,
+      ...commitMeta(trailers, parents ? parents.split(' ').length : 0, lineStats ? parseShortstat(trailers) : null)
+    });
+  }
+
+  return commits;
+}
+
+/**
+ * Collect commits from a single repository across all branches, remote
+ * branches and tags. `git log --source` walks every ref once and reports
+ * the ref each commit was first reached from, which becomes its branch.
+ *
+ * Branches are walked first, without symbolic refs like origin/HEAD, so a
+ * tag pointing into a branch doesn't claim that branch's history. A second
+ * walk picks up commits no branch reaches and labels them with their tag.
+ */
+async function readRepository(repoPath, authors, lineStats = false) {
+  let remoteUrl = null;
+  try {
+    remoteUrl = await git(repoPath, ['remote', 'get-url', 'origin']);
+  } catch {
+    // No origin remote - use directory name
+  }
+  const remote = parseRemote(remoteUrl, repoPath);
+
+  const branches = ['--branches', '--exclude=*/HEAD', '--remotes'];
+  const commits = [
+    ...await logCommits(repoPath, branches, authors, lineStats, refToBranch, remote),
+    ...await logCommits(repoPath, ['--tags', '--not', ...branches], authors, lineStats, refToTag, remote)
+  ];
+
+  return { name: remote.name, commits };
+}
+
+/**
+ * Fetch all commits by the given authors from local repositories
+ *
+ * @param {string[]} paths - Repository paths, or directories containing repositories
+ * @param {string[]} authors - Author emails or names to match (default: git config user.email)
+ * @param {object} options - { lineStats: also count lines added/deleted (see --weight) }
+ */
+export async function fetchLocalCommits(paths, authors = [], options = {}) {
+  const repoPaths = discoverRepositories(paths);
+
+  if (repoPaths.length === 0) {
+    throw new Error(`No git repositories found in: ${paths.join(', ')}`);
+  }
+
+  if (authors.length === 0) {
+    const fallback = await defaultAuthor(repoPaths[0]);
+    if (!fallback) {
+      throw new Error('No author configured. Pass --author <email> or set git config user.email');
+    }
+    authors = [fallback];
+  }
+
+  log(`👤 Reading commits by ${authors.join(', ')}`);
+  log(`\n📂 Scanning ${repoPaths.length} local repositor${repoPaths.length === 1 ? 'y' : 'ies'}...`);
+
+  const commitMap = new Map();
+  const repoSet = new Set();
+
+  for (const [index, repoPath] of repoPaths.entries()) {
+    const position = `[${index + 1}/${repoPaths.length}]`;
+    const displayName = process.env.CI ? '[repository]' : basename(repoPath);
+    progress(`\r${position} Reading: ${displayName.padEnd(40)}`);
+
+    try {
+      const { name, commits } = await readRepository(repoPath, authors, options.lineStats);
+      for (const commit of commits) {
+        if (!commitMap.has(commit.sha)) {
+          commitMap.set(commit.sha, commit);
+          repoSet.add(name);
+        }
+      }
+    } catch (err) {
+      log(`\n   ⚠️  Skipping ${displayName}: ${err.message.split('\n')[0]}`);
+    }
+  }
+
+  // Clear progress line
+  progress('\r' + ' '.repeat(80) + '\r');
+  log(`\n✅ Total: ${commitMap.size} unique commits across ${repoSet.size} repositories`);
+
+  return {
+    username: authors[0],
+    commits: Array.from(commitMap.values())
+  };
+}
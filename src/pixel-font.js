@@ -0,0 +1,129 @@
+/**
+ * Pixel Font
+ *
+ * A 5×7 bitmap font (printable ASCII plus the few symbols the timeline
+ * uses), so png.js can draw text without a browser or font files. Rows
+ * top to bottom; rows 8 and 9 are descenders (g, j, p, q, y, comma, ...).
+ * The baseline sits below row 7.
+ */
+
+export const GLYPH_WIDTH = 5;
+export const GLYPH_HEIGHT = 7;
+
+const GLYPHS = {
+  ' ': '..... ..... ..... ..... ..... ..... .....',
+  '!': '..#.. ..#.. ..#.. ..#.. ..#.. ..... ..#..',
+  '"': '.#.#. .#.#. ..... ..... ..... ..... .....',
+  '#': '.#.#. .#.#. ##### .#.#. ##### .#.#. .#.#.',
+  '$': '..#.. .#### #.#.. .###. ..#.# ####. ..#..',
+  '%': '##... ##..# ...#. ..#.. .#... #..## ...##',
+  '&': '.##.. #..#. #.#.. .#... #.#.# #..#. .##.#',
+  "'": '..#.. ..#.. ..... ..... ..... ..... .....',
+  '(': '...#. ..#.. .#... .#... .#... ..#.. ...#.',
+  ')': '.#... ..#.. ...#. ...#. ...#. ..#.. .#...',
+  '*': '..... ..#.. #.#.# .###. #.#.# ..#.. .....',
+  '+': '..... ..#.. ..#.. ##### ..#.. ..#.. .....',
+  ',': '..... ..... ..... ..... ..... ..#.. ..#.. .#...',
+  '-': '..... ..... ..... .###. ..... ..... .....',
+  '.': '..... ..... ..... ..... ..... ..... ..#..',
+  '/': '..... ....# ...#. ..#.. .#... #.... .....',
+  '0': '.###. #...# #..## #.#.# ##..# #...# .###.',
+  '1': '..#.. .##.. ..#.. ..#.. ..#.. ..#.. .###.',
+  '2': '.###. #...# ....# ...#. ..#.. .#... #####',
+  '3': '####. ....# ....# .###. ....# ....# ####.',
+  '4': '...#. ..##. .#.#. #..#. ##### ...#. ...#.',
+  '5': '##### #.... ####. ....# ....# #...# .###.',
+  '6': '..##. .#... #.... ####. #...# #...# .###.',
+  '7': '##### ....# ...#. ..#.. .#... .#... .#...',
+  '8': '.###. #...# #...# .###. #...# #...# .###.',
+  '9': '.###. #...# #...# .#### ....# ...#. .##..',
+  ':': '..... ..#.. ..... ..... ..... ..#.. .....',
+  ';': '..... ..#.. ..... ..... ..... ..#.. ..#.. .#...',
+  '<': '...#. ..#.. .#... #.... .#... ..#.. ...#.',
+  '=': '..... ..... ##### ..... ##### ..... .....',
+  '>': '.#... ..#.. ...#. ....# ...#. ..#.. .#...',
+  '?': '.###. #...# ....# ...#. ..#.. ..... ..#..',
+  '@': '.###. #...# #.### #.#.# #.### #.... .###.',
+  'A': '.###. #...# #...# ##### #...# #...# #...#',
+  'B': '####. #...# #...# ####. #...# #...# ####.',
+  'C': '.###. #...# #.... #.... #.... #...# .###.',
+  'D': '###.. #..#. #...# #...# #...# #..#. ###..',
+  'E': '##### #.... #.... ####. #.... #.... #####',
+  'F': '##### #.... #.... ####. #.... #.... #....',
+  'G': '.###. #...# #.... #.### #...# #...# .####',
+  'H': '#...# #...# #...# ##### #...# #...# #...#',
+  'I': '.###. ..#.. ..#.. ..#.. ..#.. ..#.. .###.',
+  'J': '..### ...#. ...#. ...#. ...#. #..#. .##..',
+  'K': '#...# #..#. #.#.. ##... #.#.. #..#. #...#',
+  'L': '#.... #.... #.... #.... #.... #.... #####',
+  'M': '#...# ##.## #.#.# #.#.# #...# #...# #...#',
+  'N': '#...# #...# ##..# #.#.# #..## #...# #...#',
+  'O': '.###. #...# #...# #...# #...# #...# .###.',
+  'P': '####. #...# #...# ####. #.... #.... #....',
+  'Q': '.###. #...# #...# #...# #.#.# #..#. .##.#',
+  'R': '####. #...# #...# ####. #.#.. #..#. #...#',
+  'S': '.#### #.... #.... .###. ....# ....# ####.',
+  'T': '##### ..#.. ..#.. ..#.. ..#.. ..#.. ..#..',
+  'U': '#...# #...# #...# #...# #...# #...# .###.',
+  'V': '#...# #...# #...# #...# #...# .#.#. ..#..',
+  'W': '#...# #...# #...# #.#.# #.#.# #.#.# .#.#.',
+  'X': '#...# #...# .#.#. ..#.. .#.#. #...# #...#',
+  'Y': '#...# #...# .#.#. ..#.. ..#.. ..#.. ..#..',
+  'Z': '##### ....# ...#. ..#.. .#... #.... #####',
+  '[': '.###. .#... .#... .#... .#... .#... .###.',
+  '\\': '..... #.... .#... ..#.. ...#. ....# .....',
+  ']': '.###. ...#. ...#. ...#. ...#. ...#. .###.',
+  '^': '..#.. .#.#. #...# ..... ..... ..... .....',
+  '_': '..... ..... ..... ..... ..... ..... #####',
+  '`': '.#... ..#.. ..... ..... ..... ..... .....',
+  'a': '..... ..... .###. ....# .#### #...# .####',
+  'b': '#.... #.... #.##. ##..# #...# #...# ####.',
+  'c': '..... ..... .###. #.... #.... #...# .###.',
+  'd': '....# ....# .##.# #..## #...# #...# .####',
+  'e': '..... ..... .###. #...# ##### #.... .###.',
+  'f': '..##. .#..# .#... ###.. .#... .#... .#...',
+  'g': '..... ..... .#### #...# #...# #...# .#### ....# .###.',
+  'h': '#.... #.... #.##. ##..# #...# #...# #...#',
+  'i': '..#.. ..... .##.. ..#.. ..#.. ..#.. .###.',
+  'j': '...#. ..... ..##. ...#. ...#. ...#. ...#. #..#. .##..',
+  'k': '#.... #.... #..#. #.#.. ##... #.#.. #..#.',
+  'l': '.##.. ..#.. ..#.. ..#.. ..#.. ..#.. .###.',
+  'm': '..... ..... ##.#. #.#.# #.#.# #.#.# #.#.#',
+  'n': '..... ..... #.##. ##..# #...# #...# #...#',
+  'o': '..... ..... .###. #...# #...# #...# .###.',
+  'p': '..... ..... ####. #...# #...# #...# ####. #.... #....',
+  'q': '..... ..... .#### #...# #...# #...# .#### ....# ....#',
+  'r': '..... ..... #.##. ##..# #.... #.... #....',
+  's': '..... ..... .###. #.... .###. ....# ####.',
+  't': '.#... .#... ###.. .#... .#... .#..# ..##.',
+  'u': '..... ..... #...# #...# #...# #..## .##.#',
+  'v': '..... ..... #...# #...# #...# .#.#. ..#..',
+  'w': '..... ..... #...# #...# #.#.# #.#.# .#.#.',
+  'x': '..... ..... #...# .#.#. ..#.. .#.#. #...#',
+  'y': '..... ..... #...# #...# #...# #...# .#### ....# .###.',
+  'z': '..... ..... ##### ...#. ..#.. .#... #####',
+  '{': '...#. ..#.. ..#.. .#... ..#.. ..#.. ...#.',
+  '|': '..#.. ..#.. ..#.. ..#.. ..#.. ..#.. ..#..',
+  '}': '.#... ..#.. ..#.. ...#. ..#.. ..#.. .#...',
+  '~': '..... ..... .#... #.#.# ...#. ..... .....',
+  '·': '..... ..... ..... ..#.. ..... ..... .....',
+  '–': '..... ..... ..... ##### ..... ..... .....',
+  '—': '..... ..... ..... ##### ..... ..... .....',
+  '−': '..... ..... ..... .###. ..... ..... .....',
+  '…': '..... ..... ..... ..... ..... ..... #.#.#'
+};
+
+// Character -> rows of [x, ...] columns that are set
+const BITMAPS = new Map(Object.entries(GLYPHS).map(([char, rows]) => [
+  char,
+  rows.split(' ').map(row => [...row].flatMap((pixel, x) => pixel === '#' ? [x] : []))
+]));
+
+/**
+ * Pixel rows of a character (unknown characters draw as '?')
+ *
+ * @returns {number[][]} Per row, the set columns (0-4)
+ */
+export function glyph(char) {
+  return BITMAPS.get(char) || BITMAPS.get('?');
+}
@@ -0,0 +1,270 @@
+/**
+ * PNG Rasterizer
+ *
+ * Draws an image layout (see image.js: rounded rectangles and text) into
+ * pixels and encodes them as PNG, in plain JavaScript plus node's zlib,
+ * so images render in CI without a browser. Text uses the bitmap font of
+ * pixel-font.js, scaled to whole pixels.
+ *
+ * Animated PNGs (APNG) take frames as regions that changed since the
+ * previous frame, like the GIF encoder (see animation.js, gif.js).
+ */
+
+import { deflateSync } from 'zlib';
+import { glyph, GLYPH_HEIGHT, GLYPH_WIDTH } from './pixel-font.js';
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+// Subpixel samples per axis on the edges of rectangles
+const SAMPLES = 4;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+function imageHeader(width, height) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // Bit depth
+  header[9] = 2; // Color type: RGB
+  // Compression, filter and interlace methods stay 0
+  return header;
+}
+
+/**
+ * Compressed image data of RGB pixels
+ */
+function imageData(width, height, pixels) {
+  // Every row starts with its filter type (0: none)
+  const stride = width * 3;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    pixels.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+  }
+  return deflateSync(raw, { level: 9 });
+}
+
+/**
+ * Encode RGB pixels (3 bytes each, row by row) as PNG
+ */
+export function encodePNG(width, height, pixels) {
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    chunk('IHDR', imageHeader(width, height)),
+    chunk('IDAT', imageData(width, height, pixels)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/**
+ * Encode frames as an endlessly looping APNG
+ *
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {object[]} frames - { x, y, width, height, pixels (RGB of the region),
+ *   delay (ms) }; the first covers the canvas, the others are drawn over it
+ * @returns {Buffer} File contents (plain PNG viewers show the first frame)
+ */
+export function encodeAPNG(width, height, frames) {
+  const animationControl = Buffer.alloc(8);
+  animationControl.writeUInt32BE(frames.length, 0);
+  // Plays: 0 loops forever
+
+  const chunks = [chunk('IHDR', imageHeader(width, height)), chunk('acTL', animationControl)];
+  let sequence = 0;
+  let elapsed = 0;
+  for (const [index, frame] of frames.entries()) {
+    const control = Buffer.alloc(26);
+    control.writeUInt32BE(sequence++, 0);
+    control.writeUInt32BE(frame.width, 4);
+    control.writeUInt32BE(frame.height, 8);
+    control.writeUInt32BE(frame.x, 12);
+    control.writeUInt32BE(frame.y, 16);
+    // Delays are whole milliseconds: round the running time, so they add up
+    const start = Math.round(elapsed);
+    elapsed += frame.delay;
+    const delay = Math.round(elapsed) - start;
+    // As a fraction of a second: milliseconds, centiseconds past 65 s
+    const [numerator, denominator] = delay < 65536 ? [delay, 1000] : [Math.min(65535, Math.round(delay / 10)), 100];
+    control.writeUInt16BE(numerator, 20);
+    control.writeUInt16BE(denominator, 22);
+    // Dispose and blend operations stay 0: keep the frame, replace the region
+    chunks.push(chunk('fcTL', control));
+
+    const data = imageData(frame.width, frame.height, frame.pixels);
+    if (index === 0) {
+      chunks.push(chunk('IDAT', data));
+    } else {
+      const number = Buffer.alloc(4);
+      number.writeUInt32BE(sequence++);
+      chunks.push(chunk('fdAT', Buffer.concat([number, data])));
+    }
+  }
+  chunks.push(chunk('IEND', Buffer.alloc(0)));
+  return Buffer.concat([PNG_SIGNATURE, ...chunks]);
+}
+
+/**
+ * '#rrggbb' -> [r, g, b]
+ */
+function parseColor(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+}
+
+/**
+ * Pixel buffer with alpha blending onto an opaque background
+ */
+function createCanvas(width, height, background) {
+  const pixels = Buffer.alloc(width * height * 3);
+  const [r, g, b] = parseColor(background);
+  for (let offset = 0; offset < pixels.length; offset += 3) {
+    pixels[offset] = r;
+    pixels[offset + 1] = g;
+    pixels[offset + 2] = b;
+  }
+
+  function blend(x, y, color, alpha) {
+    if (x < 0 || y < 0 || x >= width || y >= height || alpha <= 0) return;
+    const offset = (y * width + x) * 3;
+    for (let channel = 0; channel < 3; channel++) {
+      pixels[offset + channel] = Math.round(pixels[offset + channel] * (1 - alpha) + color[channel] * alpha);
+    }
+  }
+
+  return { width, height, pixels, blend };
+}
+
+/**
+ * Whether a point lies in a rounded rectangle: within the radius of the
+ * rectangle shrunk by the radius
+ */
+function contains(rect, px, py) {
+  const { x, y, width, height, radius } = rect;
+  if (px < x || px > x + width || py < y || py > y + height) return false;
+  const dx = px - Math.min(Math.max(px, x + radius), x + width - radius);
+  const dy = py - Math.min(Math.max(py, y + radius), y + height - radius);
+  return dx * dx + dy * dy <= radius * radius;
+}
+
+/**
+ * Share of a pixel covered by a rounded rectangle
+ */
+function coverage(rect, px, py) {
+  const { x, y, width, height, radius } = rect;
+  // Away from the corners and edges a pixel is simply in
+  const inX = px >= x + radius && px + 1 <= x + width - radius;
+  const inY = py >= y + radius && py + 1 <= y + height - radius;
+  if ((inX && py >= y && py + 1 <= y + height) || (inY && px >= x && px + 1 <= x + width)) {
+    return 1;
+  }
+
+  let covered = 0;
+  for (let sy = 0; sy < SAMPLES; sy++) {
+    for (let sx = 0; sx < SAMPLES; sx++) {
+      if (contains(rect, px + (sx + 0.5) / SAMPLES, py + (sy + 0.5) / SAMPLES)) covered++;
+    }
+  }
+  return covered / (SAMPLES * SAMPLES);
+}
+
+function fillRect(canvas, rect) {
+  const color = parseColor(rect.fill);
+  for (let py = Math.floor(rect.y); py < Math.ceil(rect.y + rect.height); py++) {
+    for (let px = Math.floor(rect.x); px < Math.ceil(rect.x + rect.width); px++) {
+      canvas.blend(px, py, color, coverage(rect, px, py));
+    }
+  }
+}
+
+/**
+ * Width of a text in pixels at a pixel size
+ */
+function textWidth(text, pixel) {
+  return text.length === 0 ? 0 : ([...text].length * (GLYPH_WIDTH + 1) - 1) * pixel;
+}
+
+function drawText(canvas, item, scale) {
+  // Cap height of the bitmap font is 7 pixels: about the size of a 9px font
+  const pixel = Math.max(1, Math.round(item.size * scale / 9));
+  const color = parseColor(item.fill);
+  const width = textWidth(item.text, pixel);
+  let left = Math.round(item.x * scale);
+  if (item.anchor === 'end') left -= width;
+  if (item.anchor === 'middle') left -= Math.round(width / 2);
+  const top = Math.round(item.y * scale) - GLYPH_HEIGHT * pixel;
+  // Bold doubles the strokes sideways
+  const thickness = item.weight === 'bold' ? pixel + Math.max(1, Math.floor(pixel / 2)) : pixel;
+
+  for (const [index, char] of [...item.text].entries()) {
+    const originX = left + index * (GLYPH_WIDTH + 1) * pixel;
+    glyph(char).forEach((columns, row) => {
+      for (const column of columns) {
+        for (let dy = 0; dy < pixel; dy++) {
+          for (let dx = 0; dx < thickness; dx++) {
+            canvas.blend(originX + column * pixel + dx, top + row * pixel + dy, color, 1);
+          }
+        }
+      }
+    });
+  }
+}
+
+/**
+ * Draw an image layout into RGB pixels
+ *
+ * @param {object} layout - From layoutTimeline() (see image.js) or layoutWidgetFrame() (animation.js)
+ * @param {number} scale - Pixels per layout unit
+ * @returns {{ width, height, pixels }} pixels: 3 bytes per pixel, row by row
+ */
+export function drawLayout(layout, scale = 2) {
+  const canvas = createCanvas(Math.ceil(layout.width * scale), Math.ceil(layout.height * scale), layout.background);
+  for (const item of layout.items) {
+    if (item.type === 'rect') {
+      fillRect(canvas, {
+        x: item.x * scale,
+        y: item.y * scale,
+        width: item.width * scale,
+        height: item.height * scale,
+        radius: (item.radius || 0) * scale,
+        fill: item.fill
+      });
+    } else if (item.type === 'text') {
+      drawText(canvas, item, scale);
+    }
+  }
+  return { width: canvas.width, height: canvas.height, pixels: canvas.pixels };
+}
+
+/**
+ * Rasterize an image layout to PNG
+ *
+ * @param {object} layout - See drawLayout()
+ * @param {number} scale - Pixels per layout unit (2 for sharp images on high-density screens)
+ * @returns {Buffer} PNG file contents
+ */
+export function rasterize(layout, scale = 2) {
+  const { width, height, pixels } = drawLayout(layout, scale);
+  return encodePNG(width, height, pixels);
+}
@@ -0,0 +1,45 @@
+/**
+ * Commit Metadata
+ *
+ * Extra fields every provider records next to the first message line,
+ * so filters (see filters.js) can work on cached commits:
+ * - merge: true for commits with more than one parent
+ * - coAuthors: ["Name <email>"] from Co-authored-by trailers
+ * - additions, deletions: lines changed, when the provider reported them
+ *   (see --weight)
+ *
+ * All are left out when they don't apply, to keep the cache small.
+ */
+
+const CO_AUTHOR_TRAILER = /^co-authored-by:\s*(.+)$/gim;
+
+/**
+ * Names and emails from the Co-authored-by trailers of a full commit message
+ */
+export function parseCoAuthors(message = '') {
+  return Array.from(String(message).matchAll(CO_AUTHOR_TRAILER), match => match[1].trim());
+}
+
+/**
+ * Optional fields to spread into a commit record
+ *
+ * @param {string} message - Full commit message (not just the first line)
+ * @param {number} parentCount - Number of parent commits
+ * @param {object|null} stats - { additions, deletions }, null when not fetched
+ * @returns {object} { merge?, coAuthors?, additions?, deletions? }
+ */
+export function commitMeta(message, parentCount, stats = null) {
+  const meta = {};
+  if (parentCount > 1) {
+    meta.merge = true;
+  }
+  const coAuthors = parseCoAuthors(message);
+  if (coAuthors.length > 0) {
+    meta.coAuthors = coAuthors;
+  }
+  if (stats) {
+    meta.additions = stats.additions;
+    meta.deletions = stats.deletions;
+  }
+  return meta;
+}
@@ -0,0 +1,157 @@
+/**
+ * Gitea / Forgejo Provider
+ *
+ * Talks to the Gitea API v1, which Forgejo (e.g. Codeberg) shares.
+ * The commits endpoint has no author filter, so commits are matched
+ * client-side by linked account or author email.
+ *
+ * Activity comes from the user's activity feed: created pull requests
+ * and issues, and approved or rejected pull requests as reviews.
+ */
+
+import { createHttpClient } from './http.js';
+import { commitMeta } from './commit-meta.js';
+
+const DEFAULT_BASE_URL = 'https://codeberg.org';
+const PAGE_LIMIT = 50; // Gitea's default maximum page size
+
+// Feed operation -> activity type (see fetchActivity)
+const ACTIVITY_TYPES = {
+  create_pull_request: 'pullRequest',
+  create_issue: 'issue',
+  approve_pull_request: 'review',
+  reject_pull_request: 'review'
+};
+
+/**
+ * Convert a Gitea repository into the normalized repo shape
+ */
+function normalizeRepo(repo) {
+  return {
+    full_name: repo.full_name,
+    name: repo.name,
+    fork: repo.fork,
+    owner: repo.owner.login,
+    pushed_at: repo.updated_at, // Gitea bumps updated_at on every push
+    language: repo.language || null
+  };
+}
+
+/**
+ * Create a Gitea/Forgejo provider
+ *
+ * @param {object} options
+ * @param {string} options.token - Access token (read:repository, read:user)
+ * @param {string} options.baseUrl - Instance URL (default: https://codeberg.org)
+ * @param {boolean} options.lineStats - Record additions/deletions of every commit
+ */
+export function createGiteaProvider({ token, baseUrl = DEFAULT_BASE_URL, lineStats = false }) {
+  const client = createHttpClient({
+    baseUrl: `${baseUrl.replace(/\/+$/, '')}/api/v1`,
+    label: 'Gitea',
+    headers: {
+      'Authorization': `token ${token}`,
+      'Accept': 'application/json'
+    }
+  });
+
+  async function getUser(targetUser = null) {
+    const endpoint = targetUser ? `/users/${encodeURIComponent(targetUser)}` : '/user';
+    const response = await client.request(endpoint);
+    const user = await response.json();
+    return { login: user.login, author: user.email };
+  }
+
+  async function listRepos() {
+    const repos = await client.fetchAllPages(`/user/repos?limit=${PAGE_LIMIT}`);
+    return repos.map(normalizeRepo);
+  }
+
+  async function listUserRepos(login) {
+    const repos = await client.fetchAllPages(`/users/${encodeURIComponent(login)}/repos?limit=${PAGE_LIMIT}`);
+    return repos.map(normalizeRepo);
+  }
+
+  async function listOrgMembers(org) {
+    const members = await client.fetchAllPages(`/orgs/${encodeURIComponent(org)}/members?limit=${PAGE_LIMIT}`);
+    return members.map(member => member.login);
+  }
+
+  async function listBranches(repo) {
+    const branches = await client.fetchAllPages(`/repos/${repo.full_name}/branches?limit=${PAGE_LIMIT}`);
+    return branches.map(branch => ({ name: branch.name, head: branch.commit.id }));
+  }
+
+  async function listCommits(repo, branch, user) {
+    const commits = await client.fetchAllPages(
+      `/repos/${repo.full_name}/commits?sha=${encodeURIComponent(branch.name)}&limit=${PAGE_LIMIT}&stat=${lineStats}&verification=false&files=false`
+    );
+
+    return commits
+      .filter(commit =>
+        (commit.author && commit.author.login === user.login) ||
+        (user.author && commit.commit.author.email === user.author)
+      )
+      .map(commit => ({
+        sha: commit.sha,
+        message: commit.commit.message.split('\n')[0],
+        date: commit.commit.author.date,
+        repo: repo.full_name,
+        branch: branch.name,
+        url: commit.html_url,
+        ...commitMeta(commit.commit.message, commit.parents.length, commit.stats || null)
+      }));
+  }
+
+  async function getCommitStats(commit) {
+    const response = await client.request(`/repos/${commit.repo}/git/commits/${commit.sha}?stat=true&verification=false&files=false`);
+    const data = await response.json();
+    return { additions: data.stats.additions, deletions: data.stats.deletions };
+  }
+
+  async function fetchActivity(user, since = null) {
+    const sinceMs = since ? Date.parse(since) : -Infinity;
+    const items = [];
+
+    // Newest first: stop paging once the feed is older than `since`
+    for (let page = 1; ; page++) {
+      const response = await client.request(
+        `/users/${encodeURIComponent(user.login)}/activities/feeds?only-performed-by=true&limit=${PAGE_LIMIT}&page=${page}`
+      );
+      const activities = await response.json();
+
+      for (const activity of activities) {
+        const type = ACTIVITY_TYPES[activity.op_type];
+        if (!type || Date.parse(activity.created) < sinceMs) continue;
+        // Content is "<index>|<title or review comment>"
+        const [index, ...rest] = (activity.content || '').split('|');
+        items.push({
+          id: `gitea-${activity.id}`,
+          type,
+          date: activity.created,
+          repo: activity.repo.full_name,
+          title: type === 'review' ? `#${index}` : rest.join('|'),
+          url: `${activity.repo.html_url}/${type === 'issue' ? 'issues' : 'pulls'}/${index}`
+        });
+      }
+
+      const oldest = activities[activities.length - 1];
+      if (activities.length < PAGE_LIMIT || Date.parse(oldest.created) < sinceMs) break;
+    }
+
+    return items;
+  }
+
+  return {
+    name: 'gitea',
+    label: 'Gitea',
+    getUser,
+    listRepos,
+    listUserRepos,
+    listOrgMembers,
+    listBranches,
+    listCommits,
+    getCommitStats,
+    fetchActivity
+  };
+}
@@ -0,0 +1,136 @@
+/**
+ * GitHub Activity Fetching
+ *
+ * Authored pull requests, issues and pull request reviews from the
+ * GraphQL contributions collection, the same data GitHub's own
+ * contribution graph counts. A collection covers at most one year, so
+ * every contribution year is queried separately, one connection at a
+ * time (100 contributions per page).
+ *
+ * Like github-graphql.js, the transport is injected and query building
+ * and response parsing are plain functions.
+ */
+
+const CONTRIBUTIONS_PER_PAGE = 100;
+
+// Activity type -> connection of the contributions collection and the fields of its item
+const CONNECTIONS = {
+  pullRequest: {
+    field: 'pullRequestContributions',
+    item: 'pullRequest { id title url repository { nameWithOwner } }'
+  },
+  issue: {
+    field: 'issueContributions',
+    item: 'issue { id title url repository { nameWithOwner } }'
+  },
+  review: {
+    field: 'pullRequestReviewContributions',
+    item: 'pullRequestReview { id url pullRequest { title } repository { nameWithOwner } }'
+  }
+};
+
+/**
+ * Query for the years a user has contributions in
+ */
+export function buildYearsQuery() {
+  return 'query($login: String!) { user(login: $login) { contributionsCollection { contributionYears } } }';
+}
+
+/**
+ * Query for one page of one activity type within a range of at most a year
+ *
+ * @param {string} type - 'pullRequest', 'issue' or 'review'
+ */
+export function buildContributionsQuery(type) {
+  const { field, item } = CONNECTIONS[type];
+  return `query($login: String!, $from: DateTime!, $to: DateTime!, $cursor: String) {
+  user(login: $login) {
+    contributionsCollection(from: $from, to: $to) {
+      ${field}(first: ${CONTRIBUTIONS_PER_PAGE}, after: $cursor) {
+        pageInfo { hasNextPage endCursor }
+        nodes { occurredAt ${item} }
+      }
+    }
+  }
+}`;
+}
+
+function checkErrors(response) {
+  if (response.errors && response.errors.length > 0) {
+    throw new Error(`GitHub GraphQL error: ${response.errors[0].message}`);
+  }
+  if (!response.data || !response.data.user) {
+    throw new Error('GitHub GraphQL: user not found');
+  }
+}
+
+/**
+ * Parse the response of buildContributionsQuery()
+ *
+ * @returns {{ items, cursor }} cursor of the next page, null on the last one
+ */
+export function parseContributionsResponse(response, type) {
+  checkErrors(response);
+  const connection = response.data.user.contributionsCollection[CONNECTIONS[type].field];
+
+  const items = connection.nodes
+    // Contributions to repositories that have since been deleted come back empty
+    .filter(node => node.pullRequest || node.issue || node.pullRequestReview)
+    .map(node => {
+      const item = node.pullRequest || node.issue || node.pullRequestReview;
+      return {
+        id: item.id,
+        type,
+        date: node.occurredAt,
+        repo: item.repository.nameWithOwner,
+        title: item.title || (item.pullRequest && item.pullRequest.title) || '',
+        url: item.url
+      };
+    });
+
+  return {
+    items,
+    cursor: connection.pageInfo.hasNextPage ? connection.pageInfo.endCursor : null
+  };
+}
+
+/**
+ * Fetch all pull requests, issues and reviews of a user
+ *
+ * @param {Function} request - (query, variables) => parsed JSON response
+ * @param {string} login - GitHub login
+ * @param {string|null} since - ISO date, only activity from then on (null: everything)
+ * @param {Date} now - End of the last range
+ * @returns {Array} [{ id, type, date, repo, title, url }]
+ */
+export async function fetchActivityGraphQL(request, login, since = null, now = new Date()) {
+  const yearsResponse = await request(buildYearsQuery(), { login });
+  checkErrors(yearsResponse);
+  const years = yearsResponse.data.user.contributionsCollection.contributionYears.slice().sort();
+
+  const items = [];
+  const sinceMs = since ? Date.parse(since) : -Infinity;
+
+  for (const year of years) {
+    const from = Math.max(Date.UTC(year, 0, 1), sinceMs);
+    const to = Math.min(Date.UTC(year + 1, 0, 1) - 1, now.getTime());
+    if (from > to) continue;
+
+    for (const type of Object.keys(CONNECTIONS)) {
+      let cursor = null;
+      do {
+        const response = await request(buildContributionsQuery(type), {
+          login,
+          from: new Date(from).toISOString(),
+          to: new Date(to).toISOString(),
+          cursor
+        });
+        const page = parseContributionsResponse(response, type);
+        items.push(...page.items);
+        cursor = page.cursor;
+      } while (cursor);
+    }
+  }
+
+  return items;
+}
@@ -0,0 +1,310 @@
+/**
+ * GitHub GraphQL Fetching
+ *
+ * Collects branch histories for many repositories in a handful of
+ * GraphQL v4 queries instead of one REST call per branch per page.
+ *
+ * Each query asks for up to 10 repositories (via aliases), their first
+ * 50 branches and the first 100 matching commits of every branch.
+ * Anything that doesn't fit is fetched with follow-up queries:
+ * - more branches of a repository (one repository per query)
+ * - more history of a branch (up to 10 branches per query)
+ *
+ * Repositories GraphQL can't reach (errors, missing access) are returned
+ * as `failed` so the caller can fall back to REST for them. The head SHA
+ * of every branch is returned as well (`heads`), like listBranches() does.
+ *
+ * With `lineStats`, every commit also carries additions and deletions
+ * (slower on GitHub's side, so only when asked for).
+ *
+ * The transport is injected (`request(query, variables)` returning the
+ * parsed JSON body), and query building and response parsing are plain
+ * functions, so everything here can be exercised with recorded responses.
+ */
+
+import { commitMeta } from './commit-meta.js';
+
+const REPOS_PER_QUERY = 10;
+const REFS_PER_PAGE = 50;
+const HISTORY_PER_PAGE = 100;
+const HISTORIES_PER_QUERY = 10;
+
+function historyFields(options) {
+  const stats = options.lineStats ? ' additions deletions' : '';
+  return `pageInfo { hasNextPage endCursor }
+          nodes { oid messageHeadline messageBody authoredDate url parents(first: 1) { totalCount }${stats} }`;
+}
+
+function historyField(cursor = null, options = {}) {
+  const after = cursor ? `, after: ${JSON.stringify(cursor)}` : '';
+  return `... on Commit {
+        oid
+        history(first: ${HISTORY_PER_PAGE}${after}, author: $author) {
+          ${historyFields(options)}
+        }
+      }`;
+}
+
+function refsField(cursor = null, options = {}) {
+  const after = cursor ? `, after: ${JSON.stringify(cursor)}` : '';
+  return `refs(refPrefix: "refs/heads/", first: ${REFS_PER_PAGE}${after}) {
+      pageInfo { hasNextPage endCursor }
+      nodes {
+        name
+        target {
+          ${historyField(null, options)}
+        }
+      }
+    }`;
+}
+
+function repositoryArgs(repo) {
+  const [owner, name] = repo.full_name.split('/');
+  return `owner: ${JSON.stringify(owner)}, name: ${JSON.stringify(name)}`;
+}
+
+/**
+ * Query for the first page of branches (with history) of several repositories
+ *
+ * @param {object} options - { lineStats } (same for all builders)
+ */
+export function buildRepositoriesQuery(repos, options = {}) {
+  const fields = repos.map((repo, index) =>
+    `r${index}: repository(${repositoryArgs(repo)}) {
+    ${refsField(null, options)}
+  }`
+  );
+  return `query($author: CommitAuthor) {\n  ${fields.join('\n  ')}\n}`;
+}
+
+/**
+ * Query for the next page of branches of one repository
+ */
+export function buildRefsPageQuery(repo, cursor, options = {}) {
+  return `query($author: CommitAuthor) {
+  r0: repository(${repositoryArgs(repo)}) {
+    ${refsField(cursor, options)}
+  }
+}`;
+}
+
+/**
+ * Query for the next page of history of several branches
+ *
+ * @param {Array} pages - [{ repo, branch, cursor }]
+ */
+export function buildHistoryPagesQuery(pages, options = {}) {
+  const fields = pages.map(({ repo, branch, cursor }, index) =>
+    `h${index}: repository(${repositoryArgs(repo)}) {
+    ref(qualifiedName: ${JSON.stringify(`refs/heads/${branch}`)}) {
+      target {
+        ${historyField(cursor, options)}
+      }
+    }
+  }`
+  );
+  return `query($author: CommitAuthor) {\n  ${fields.join('\n  ')}\n}`;
+}
+
+/**
+ * Collect one page of branch history, queueing the next page if there is one
+ */
+function collectHistory(repo, branch, history, result) {
+  for (const node of history.nodes) {
+    result.commits.push({
+      sha: node.oid,
+      message: node.messageHeadline,
+      date: node.authoredDate,
+      repo: repo.full_name,
+      branch,
+      url: node.url,
+      ...commitMeta(node.messageBody, node.parents.totalCount, node.additions === undefined ? null : node)
+    });
+  }
+
+  if (history.pageInfo.hasNextPage) {
+    result.pendingHistories.push({ repo, branch, cursor: history.pageInfo.endCursor });
+  }
+}
+
+/**
+ * Collect a page of branches, queueing more branches and history pages
+ */
+function collectRefs(repo, refs, result) {
+  for (const ref of refs.nodes) {
+    // Branches pointing at something other than a commit have no history
+    const history = ref.target && ref.target.history;
+    if (history) {
+      result.heads.push({ repo, branch: ref.name, head: ref.target.oid });
+      collectHistory(repo, ref.name, history, result);
+    }
+  }
+
+  if (refs.pageInfo.hasNextPage) {
+    result.pendingRefs.push({ repo, cursor: refs.pageInfo.endCursor });
+  }
+}
+
+/**
+ * Aliases that came back with an error, e.g. "r3" for a repository
+ * the token can't see. Errors without a path fail the whole query.
+ */
+function failedAliases(response) {
+  const aliases = new Set();
+  for (const error of response.errors || []) {
+    if (!error.path || error.path.length === 0) {
+      throw new Error(`GitHub GraphQL error: ${error.message}`);
+    }
+    aliases.add(error.path[0]);
+  }
+  return aliases;
+}
+
+function emptyResult() {
+  return { commits: [], failed: [], heads: [], pendingRefs: [], pendingHistories: [] };
+}
+
+/**
+ * Parse the response of buildRepositoriesQuery() or buildRefsPageQuery()
+ *
+ * @returns {{ commits, failed, heads, pendingRefs, pendingHistories }}
+ */
+export function parseRepositoriesResponse(response, repos) {
+  const result = emptyResult();
+  const errors = failedAliases(response);
+  const data = response.data || {};
+
+  repos.forEach((repo, index) => {
+    const alias = `r${index}`;
+    const repository = data[alias];
+    if (errors.has(alias) || !repository || !repository.refs) {
+      result.failed.push(repo);
+      return;
+    }
+    collectRefs(repo, repository.refs, result);
+  });
+
+  return result;
+}
+
+/**
+ * Parse the response of buildHistoryPagesQuery()
+ *
+ * @returns {{ commits, failed, pendingRefs, pendingHistories }}
+ */
+export function parseHistoryPagesResponse(response, pages) {
+  const result = emptyResult();
+  const errors = failedAliases(response);
+  const data = response.data || {};
+
+  pages.forEach(({ repo, branch }, index) => {
+    const alias = `h${index}`;
+    const repository = data[alias];
+    const history = repository && repository.ref && repository.ref.target && repository.ref.target.history;
+    if (errors.has(alias)) {
+      result.failed.push(repo);
+      return;
+    }
+    if (!history) {
+      // Branch deleted between queries - keep what we have
+      return;
+    }
+    collectHistory(repo, branch, history, result);
+  });
+
+  return result;
+}
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Fetch the commits of all branches of many repositories
+ *
+ * @param {Function} request - (query, variables) => parsed JSON response
+ * @param {Array} repos - Normalized repos ({ full_name, ... })
+ * @param {object} author - CommitAuthor filter, { id } or { emails }
+ * @param {Function} onProgress - Called with (done, total) after each batch
+ * @param {object} options - { lineStats: also fetch additions/deletions }
+ * @returns {{ commits, failed, heads }} - failed repos should be fetched via REST,
+ *   heads maps repository name to { branch: head SHA }
+ */
+export async function fetchCommitsGraphQL(request, repos, author, onProgress = () => {}, options = {}) {
+  const commits = [];
+  const failed = new Map();
+  const heads = {};
+  const variables = { author };
+
+  const merge = (result) => {
+    commits.push(...result.commits);
+    for (const { repo, branch, head } of result.heads || []) {
+      heads[repo.full_name] = { ...heads[repo.full_name], [branch]: head };
+    }
+    for (const repo of result.failed) {
+      failed.set(repo.full_name, repo);
+    }
+    return result;
+  };
+
+  const pendingRefs = [];
+  const pendingHistories = [];
+  const batches = chunk(repos, REPOS_PER_QUERY);
+
+  for (const [index, batch] of batches.entries()) {
+    try {
+      const response = await request(buildRepositoriesQuery(batch, options), variables);
+      const result = merge(parseRepositoriesResponse(response, batch));
+      pendingRefs.push(...result.pendingRefs);
+      pendingHistories.push(...result.pendingHistories);
+    } catch {
+      // Whole query failed - let REST handle this batch
+      merge({ commits: [], failed: batch });
+    }
+    onProgress(Math.min((index + 1) * REPOS_PER_QUERY, repos.length), repos.length);
+  }
+
+  // Repositories with more than one page of branches
+  while (pendingRefs.length > 0) {
+    const { repo, cursor } = pendingRefs.shift();
+    if (failed.has(repo.full_name)) continue;
+    try {
+      const response = await request(buildRefsPageQuery(repo, cursor, options), variables);
+      const result = merge(parseRepositoriesResponse(response, [repo]));
+      pendingRefs.push(...result.pendingRefs);
+      pendingHistories.push(...result.pendingHistories);
+    } catch {
+      merge({ commits: [], failed: [repo] });
+    }
+  }
+
+  // Branches with more than one page of history
+  while (pendingHistories.length > 0) {
+    const pages = pendingHistories
+      .splice(0, HISTORIES_PER_QUERY)
+      .filter(page => !failed.has(page.repo.full_name));
+    if (pages.length === 0) continue;
+    try {
+      const response = await request(buildHistoryPagesQuery(pages, options), variables);
+      const result = merge(parseHistoryPagesResponse(response, pages));
+      pendingHistories.push(...result.pendingHistories);
+    } catch {
+      merge({ commits: [], failed: pages.map(page => page.repo) });
+    }
+  }
+
+  // Partial results of failed repositories are refetched via REST anyway
+  for (const name of failed.keys()) {
+    delete heads[name];
+  }
+
+  return {
+    commits: commits.filter(commit => !failed.has(commit.repo)),
+    failed: Array.from(failed.values()),
+    heads
+  };
+}
@@ -0,0 +1,350 @@
+/**
+ * GitHub Provider
+ *
+ * Talks to the GitHub REST API (github.com or GitHub Enterprise).
+ * Besides repository and branch listing it supports the commit search API,
+ * which finds contributions to repositories you don't have access to,
+ * and pull request, issue and review activity (via GraphQL).
+ */
+
+import { createHttpClient, sleep } from './http.js';
+import { fetchCommitsGraphQL } from './github-graphql.js';
+import { fetchActivityGraphQL } from './github-activity.js';
+import { commitMeta } from './commit-meta.js';
+import { log, progress } from '../runtime.js';
+
+const DEFAULT_BASE_URL = 'https://api.github.com';
+const COMMITS_PER_PAGE = 100;
+const SEARCH_DELAY_MS = 2500; // Search API has stricter rate limits (30/min)
+const SEARCH_RESULT_LIMIT = 1000; // Search API never returns more per query
+const SEARCH_START_DATE = '2008-01-01'; // GitHub launch - older commits are imported history
+const EPOCH_DATE = '1970-01-01'; // Lower bound of imported history, so it can be split too
+
+/**
+ * Add days to a YYYY-MM-DD date
+ */
+function addDays(date, days) {
+  const d = new Date(date + 'T00:00:00Z');
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+}
+
+/**
+ * Day halfway between two YYYY-MM-DD dates (rounded down)
+ */
+function midpoint(from, to) {
+  const start = Date.parse(from + 'T00:00:00Z');
+  const end = Date.parse(to + 'T00:00:00Z');
+  const days = Math.floor((end - start) / 86400000 / 2);
+  return addDays(from, days);
+}
+
+/**
+ * author-date qualifier for a range (null = open-ended)
+ */
+function dateQualifier(from, to) {
+  if (from && to) return `author-date:${from}..${to}`;
+  if (to) return `author-date:<=${to}`;
+  if (from) return `author-date:>=${from}`;
+  return '';
+}
+
+/**
+ * Split a search range into smaller ones, or null if it can't be split.
+ * The unbounded range becomes pre-1970 dates (broken clocks), imported
+ * history, GitHub's lifetime and future-dated commits; a bounded range is
+ * halved down to single days.
+ */
+function splitRange(from, to) {
+  if (!from && !to) {
+    const today = new Date().toISOString().split('T')[0];
+    return [
+      [null, addDays(EPOCH_DATE, -1)],
+      [EPOCH_DATE, addDays(SEARCH_START_DATE, -1)],
+      [SEARCH_START_DATE, today],
+      [addDays(today, 1), null]
+    ];
+  }
+  if (from && to && from < to) {
+    const middle = midpoint(from, to);
+    return [[from, middle], [addDays(middle, 1), to]];
+  }
+  return null;
+}
+
+/**
+ * Convert a GitHub repository into the normalized repo shape
+ */
+function normalizeRepo(repo) {
+  return {
+    full_name: repo.full_name,
+    name: repo.name,
+    fork: repo.fork,
+    owner: repo.owner.login,
+    pushed_at: repo.pushed_at,
+    language: repo.language
+  };
+}
+
+/**
+ * GraphQL endpoint for a REST API root
+ * (https://api.github.com -> /graphql, GHE https://host/api/v3 -> /api/graphql)
+ */
+function graphqlUrl(baseUrl) {
+  return `${baseUrl.replace(/\/+$/, '').replace(/\/v3$/, '')}/graphql`;
+}
+
+/**
+ * Create a GitHub provider
+ *
+ * @param {object} options
+ * @param {string} options.token - Personal access token
+ * @param {string} options.baseUrl - API root (default: https://api.github.com)
+ * @param {Function} options.graphqlRequest - Override the GraphQL transport, (query, variables) => JSON
+ * @param {boolean} options.lineStats - Record additions/deletions where the API includes them
+ */
+export function createGitHubProvider({ token, baseUrl = DEFAULT_BASE_URL, graphqlRequest = null, lineStats = false }) {
+  const client = createHttpClient({
+    baseUrl,
+    label: 'GitHub',
+    retryStatuses: [403, 429],
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Accept': 'application/vnd.github.v3+json'
+    }
+  });
+
+  const graphql = graphqlRequest || (async (query, variables) => {
+    const response = await client.request(graphqlUrl(baseUrl), 3, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ query, variables })
+    });
+    return response.json();
+  });
+
+  async function getUser(targetUser = null) {
+    const response = await client.request('/user');
+    const user = await response.json();
+    const login = targetUser || user.login;
+    // The commits endpoint accepts a login as author filter
+    return { login, author: login };
+  }
+
+  async function listRepos() {
+    const repos = await client.fetchAllPages('/user/repos?per_page=100&type=all&sort=updated');
+    return repos.map(normalizeRepo);
+  }
+
+  async function listUserRepos(login) {
+    const repos = await client.fetchAllPages(`/users/${encodeURIComponent(login)}/repos?per_page=100&type=all&sort=updated`);
+    return repos.map(normalizeRepo);
+  }
+
+  async function listOrgMembers(org) {
+    const members = await client.fetchAllPages(`/orgs/${encodeURIComponent(org)}/members?per_page=100`);
+    return members.map(member => member.login);
+  }
+
+  async function listBranches(repo) {
+    const branches = await client.fetchAllPages(`/repos/${repo.full_name}/branches?per_page=100`);
+    return branches.map(branch => ({ name: branch.name, head: branch.commit.sha }));
+  }
+
+  async function listCommits(repo, branch, user) {
+    const commits = await client.fetchAllPages(
+      `/repos/${repo.full_name}/commits?sha=${encodeURIComponent(branch.name)}&per_page=${COMMITS_PER_PAGE}&author=${encodeURIComponent(user.author)}`
+    );
+
+    return commits.map(commit => ({
+      sha: commit.sha,
+      message: commit.commit.message.split('\n')[0], // First line only
+      date: commit.commit.author.date,
+      repo: repo.full_name,
+      branch: branch.name,
+      url: commit.html_url,
+      ...commitMeta(commit.commit.message, commit.parents.length)
+    }));
+  }
+
+  /**
+   * Fetch all branches of many repositories via GraphQL
+   * Commits are matched by account, then by each extra email.
+   *
+   * @returns {{ commits, failed, heads }} - failed repos need the REST path
+   */
+  async function fetchReposCommits(repos, user, onProgress) {
+    const response = await graphql('query($login: String!) { user(login: $login) { id } }', { login: user.login });
+    if (!response.data || !response.data.user) {
+      throw new Error(`GitHub GraphQL: user ${user.login} not found`);
+    }
+
+    const authorFilters = [{ id: response.data.user.id }];
+    if (user.emails && user.emails.length > 0) {
+      authorFilters.push({ emails: user.emails });
+    }
+
+    const commits = [];
+    const failed = new Map();
+    const heads = {};
+    for (const author of authorFilters) {
+      const result = await fetchCommitsGraphQL(graphql, repos, author, onProgress, { lineStats });
+      commits.push(...result.commits);
+      Object.assign(heads, result.heads);
+      for (const repo of result.failed) {
+        failed.set(repo.full_name, repo);
+        delete heads[repo.full_name];
+      }
+    }
+
+    return {
+      commits: commits.filter(commit => !failed.has(commit.repo)),
+      failed: Array.from(failed.values()),
+      heads
+    };
+  }
+
+  let lastSearchAt = 0;
+
+  /**
+   * Fetch one page of commit search results
+   * Rate limit: 30 requests/minute for search API
+   */
+  async function searchPage(query, page) {
+    const wait = lastSearchAt + SEARCH_DELAY_MS - Date.now();
+    if (wait > 0) {
+      await sleep(wait);
+    }
+    lastSearchAt = Date.now();
+
+    const response = await client.request(
+      `/search/commits?q=${encodeURIComponent(query)}&sort=author-date&order=desc&per_page=100&page=${page}`
+    );
+    return response.json();
+  }
+
+  /**
+   * Search one author-date range, splitting it in half while it holds
+   * more results than the Search API will return (1000, 10 pages of 100)
+   */
+  async function searchRange(baseQuery, from, to, state) {
+    const query = [baseQuery, dateQualifier(from, to)].filter(Boolean).join(' ');
+    let data = await searchPage(query, 1);
+    state.total = state.total || data.total_count;
+
+    const slices = data.total_count > SEARCH_RESULT_LIMIT ? splitRange(from, to) : null;
+    if (slices) {
+      for (const [sliceFrom, sliceTo] of slices) {
+        await searchRange(baseQuery, sliceFrom, sliceTo, state);
+      }
+      return;
+    }
+
+    let page = 1;
+    while (data.items && data.items.length > 0) {
+      for (const item of data.items) {
+        state.commits.push({
+          sha: item.sha,
+          message: item.commit.message.split('\n')[0],
+          date: item.commit.author.date,
+          repo: item.repository.full_name,
+          branch: 'unknown', // Search API doesn't include branch
+          url: item.html_url,
+          ...commitMeta(item.commit.message, item.parents.length)
+        });
+      }
+
+      progress(`\r   Searched ${state.commits.length} of ${state.total} commits...`);
+
+      // Check if we've got all results of this range
+      if (data.items.length < 100 || page * 100 >= Math.min(data.total_count, SEARCH_RESULT_LIMIT)) {
+        break;
+      }
+
+      page++;
+      data = await searchPage(query, page);
+    }
+  }
+
+  /**
+   * Search for commits by author across all public repositories
+   * This catches contributions to repos you don't own/have access to.
+   * Extra emails are searched separately, since commits with an email
+   * not linked to the account don't show up under author:login.
+   *
+   * Queries with more than 1000 results are sliced by author-date,
+   * so long histories are still found completely.
+   */
+  async function searchCommits(user) {
+    const queries = [
+      `author:${user.login}`,
+      ...(user.emails || []).map(email => `author-email:${email}`)
+    ];
+    let totalCount = 0;
+    const commits = [];
+    for (const query of queries) {
+      const state = { commits: [], total: 0 };
+      try {
+        await searchRange(query, null, null, state);
+      } catch (err) {
+        if (!err.message.includes('422')) {
+          log(`\n   ⚠️  Search error: ${err.message}`);
+        }
+        // Keep what we got so far
+      }
+      commits.push(...state.commits);
+      totalCount += state.total;
+    }
+
+    progress('\r' + ' '.repeat(60) + '\r');
+
+    return { commits, totalCount };
+  }
+
+  /**
+   * Find the branch a commit was made on via the pull request that
+   * introduced it. Returns null when the commit has no pull request.
+   */
+  async function findCommitBranch(commit) {
+    const response = await client.request(`/repos/${commit.repo}/commits/${commit.sha}/pulls`);
+    const pulls = await response.json();
+    const pull = pulls.find(pr => pr.merged_at) || pulls[0];
+    if (!pull) {
+      return null;
+    }
+    return { branch: pull.head.ref, pullRequest: pull.number };
+  }
+
+  /**
+   * Lines added and deleted by a commit (the commit list and search
+   * endpoints leave them out)
+   */
+  async function getCommitStats(commit) {
+    const response = await client.request(`/repos/${commit.repo}/commits/${commit.sha}`);
+    const data = await response.json();
+    return { additions: data.stats.additions, deletions: data.stats.deletions };
+  }
+
+  /**
+   * Authored pull requests and issues, and submitted reviews
+   */
+  async function fetchActivity(user, since = null) {
+    return fetchActivityGraphQL(graphql, user.login, since);
+  }
+
+  return {
+    name: 'github',
+    label: 'GitHub',
+    getUser,
+    listRepos,
+    listUserRepos,
+    listOrgMembers,
+    listBranches,
+    listCommits,
+    fetchReposCommits,
+    searchCommits,
+    findCommitBranch,
+    getCommitStats,
+    fetchActivity
+  };
+}
@@ -0,0 +1,161 @@
+/**
+ * GitLab Provider
+ *
+ * Talks to the GitLab REST API v4 (gitlab.com or self-hosted instances).
+ * GitLab has no cross-project commit search on the free tier, so only
+ * projects the token is a member of are covered.
+ *
+ * Activity comes from the user's events: opened merge requests and
+ * issues, and merge request approvals as reviews. GitLab keeps events
+ * for three years.
+ */
+
+import { createHttpClient } from './http.js';
+import { commitMeta } from './commit-meta.js';
+
+const DEFAULT_BASE_URL = 'https://gitlab.com';
+const COMMITS_PER_PAGE = 100;
+
+// Event -> activity type (see fetchActivity)
+function activityType(event) {
+  if (event.target_type === 'MergeRequest' && event.action_name === 'opened') return 'pullRequest';
+  if (event.target_type === 'Issue' && event.action_name === 'opened') return 'issue';
+  if (event.target_type === 'MergeRequest' && event.action_name === 'approved') return 'review';
+  return null;
+}
+
+/**
+ * Convert a GitLab project into the normalized repo shape
+ */
+function normalizeRepo(project) {
+  return {
+    id: project.id,
+    full_name: project.path_with_namespace,
+    name: project.path,
+    fork: Boolean(project.forked_from_project),
+    owner: project.namespace.full_path,
+    pushed_at: project.last_activity_at,
+    language: null // Only available per project (/languages), not worth a request each
+  };
+}
+
+/**
+ * Create a GitLab provider
+ *
+ * @param {object} options
+ * @param {string} options.token - Personal access token (read_api scope)
+ * @param {string} options.baseUrl - Instance URL (default: https://gitlab.com)
+ * @param {boolean} options.lineStats - Record additions/deletions of every commit
+ */
+export function createGitLabProvider({ token, baseUrl = DEFAULT_BASE_URL, lineStats = false }) {
+  const client = createHttpClient({
+    baseUrl: `${baseUrl.replace(/\/+$/, '')}/api/v4`,
+    label: 'GitLab',
+    headers: {
+      'PRIVATE-TOKEN': token
+    }
+  });
+
+  async function getUser(targetUser = null) {
+    if (!targetUser) {
+      const response = await client.request('/user');
+      const user = await response.json();
+      // Commits are matched by author, not by account
+      return { login: user.username, author: user.commit_email || user.email || user.name };
+    }
+
+    const response = await client.request(`/users?username=${encodeURIComponent(targetUser)}`);
+    const [user] = await response.json();
+    if (!user) {
+      throw new Error(`GitLab user not found: ${targetUser}`);
+    }
+    return { login: user.username, author: user.public_email || user.name };
+  }
+
+  async function listRepos() {
+    const projects = await client.fetchAllPages('/projects?membership=true&per_page=100&order_by=last_activity_at');
+    return projects.map(normalizeRepo);
+  }
+
+  async function listUserRepos(login) {
+    const projects = await client.fetchAllPages(`/users/${encodeURIComponent(login)}/projects?per_page=100&order_by=last_activity_at`);
+    return projects.map(normalizeRepo);
+  }
+
+  async function listOrgMembers(group) {
+    const members = await client.fetchAllPages(`/groups/${encodeURIComponent(group)}/members/all?per_page=100`);
+    return members.map(member => member.username);
+  }
+
+  async function listBranches(repo) {
+    const branches = await client.fetchAllPages(`/projects/${repo.id}/repository/branches?per_page=100`);
+    return branches.map(branch => ({ name: branch.name, head: branch.commit.id }));
+  }
+
+  async function listCommits(repo, branch, user) {
+    const commits = await client.fetchAllPages(
+      `/projects/${repo.id}/repository/commits?ref_name=${encodeURIComponent(branch.name)}&per_page=${COMMITS_PER_PAGE}&author=${encodeURIComponent(user.author)}${lineStats ? '&with_stats=true' : ''}`
+    );
+
+    return commits.map(commit => ({
+      sha: commit.id,
+      message: commit.title,
+      date: commit.authored_date,
+      repo: repo.full_name,
+      branch: branch.name,
+      url: commit.web_url,
+      ...commitMeta(commit.message, commit.parent_ids.length, commit.stats || null)
+    }));
+  }
+
+  async function getCommitStats(commit) {
+    const response = await client.request(`/projects/${encodeURIComponent(commit.repo)}/repository/commits/${commit.sha}`);
+    const data = await response.json();
+    return { additions: data.stats.additions, deletions: data.stats.deletions };
+  }
+
+  async function fetchActivity(user, since = null) {
+    // `after` is exclusive and day-granular
+    const after = since ? `&after=${new Date(Date.parse(since) - 86400000).toISOString().split('T')[0]}` : '';
+    const events = await client.fetchAllPages(`/users/${encodeURIComponent(user.login)}/events?per_page=100${after}`);
+
+    // Events only carry the project ID
+    const projects = new Map();
+    const project = async (id) => {
+      if (!projects.has(id)) {
+        const response = await client.request(`/projects/${id}`);
+        projects.set(id, await response.json());
+      }
+      return projects.get(id);
+    };
+
+    const items = [];
+    for (const event of events) {
+      const type = activityType(event);
+      if (!type) continue;
+      const { path_with_namespace: repo, web_url: webUrl } = await project(event.project_id);
+      items.push({
+        id: `gitlab-${event.id}`,
+        type,
+        date: event.created_at,
+        repo,
+        title: event.target_title || '',
+        url: `${webUrl}/-/${event.target_type === 'Issue' ? 'issues' : 'merge_requests'}/${event.target_iid}`
+      });
+    }
+    return items;
+  }
+
+  return {
+    name: 'gitlab',
+    label: 'GitLab',
+    getUser,
+    listRepos,
+    listUserRepos,
+    listOrgMembers,
+    listBranches,
+    listCommits,
+    getCommitStats,
+    fetchActivity
+  };
+}
@@ -0,0 +1,109 @@
+/**
+ * Shared HTTP client for provider APIs
+ *
+ * Implements authenticated requests with rate limit handling,
+ * retries and Link-header pagination (used by GitHub, GitLab and Gitea).
+ */
+
+import { log, runtime } from '../runtime.js';
+
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Create an API client bound to a base URL and auth headers
+ *
+ * @param {object} options
+ * @param {string} options.baseUrl - API root, e.g. https://api.github.com
+ * @param {object} options.headers - Headers sent with every request
+ * @param {string} options.label - Provider name used in error messages
+ * @param {number[]} options.retryStatuses - Statuses treated as rate limiting
+ */
+export function createHttpClient({ baseUrl, headers, label, retryStatuses = [429] }) {
+  const apiBase = baseUrl.replace(/\/+$/, '');
+
+  /**
+   * Make an authenticated request to the API
+   */
+  async function request(endpoint, retries = 3, init = {}) {
+    const url = endpoint.startsWith('http') ? endpoint : `${apiBase}${endpoint}`;
+
+    for (let attempt = 1; attempt <= retries; attempt++) {
+      // The runtime's fetch, replaceable through lib.js
+      const response = await runtime().fetch(url, {
+        ...init,
+        headers: {
+          ...headers,
+          'User-Agent': 'git-history-timeline',
+          ...init.headers
+        }
+      });
+
+      // Handle rate limiting
+      if (retryStatuses.includes(response.status)) {
+        const resetTime = response.headers.get('x-ratelimit-reset');
+        const remaining = response.headers.get('x-ratelimit-remaining');
+        const retryAfter = response.headers.get('retry-after');
+
+        if (remaining === '0' && resetTime) {
+          const waitMs = (parseInt(resetTime) * 1000) - Date.now() + 1000;
+          const waitMins = Math.ceil(waitMs / 60000);
+          log(`\n⏳ Rate limited. Waiting ${waitMins} minutes...`);
+          await sleep(waitMs);
+          continue;
+        }
+
+        if (retryAfter && !isNaN(parseInt(retryAfter))) {
+          const waitMs = parseInt(retryAfter) * 1000;
+          log(`   Rate limited, retrying in ${waitMs/1000}s...`);
+          await sleep(waitMs);
+          continue;
+        }
+
+        // Secondary rate limit - exponential backoff
+        const backoff = Math.pow(2, attempt) * 1000;
+        log(`   Rate limited, retrying in ${backoff/1000}s...`);
+        await sleep(backoff);
+        continue;
+      }
+
+      if (!response.ok) {
+        const error = await response.text();
+        throw new Error(`${label} API error (${response.status}): ${error}`);
+      }
+
+      return response;
+    }
+
+    throw new Error('Max retries exceeded');
+  }
+
+  /**
+   * Fetch all pages of a paginated endpoint
+   */
+  async function fetchAllPages(endpoint) {
+    const items = [];
+    let url = `${apiBase}${endpoint}`;
+
+    while (url) {
+      const response = await request(url);
+      const data = await response.json();
+      items.push(...data);
+
+      // Check for next page
+      const link = response.headers.get('link');
+      url = null;
+      if (link) {
+        const match = link.match(/<([^>]+)>;\s*rel="next"/);
+        if (match) {
+          url = match[1];
+        }
+      }
+    }
+
+    return items;
+  }
+
+  return { request, fetchAllPages };
+}
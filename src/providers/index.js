@@ -0,0 +1,70 @@
+/**
+ * Commit Providers
+ *
+ * Each provider wraps one hosting platform's API behind the same interface,
+ * so fetchAllCommits can walk repositories and branches without knowing
+ * which platform it is talking to:
+ *
+ *   name, label                      - Identifier and display name
+ *   getUser(targetUser)              - { login, author } used for filtering commits
+ *   listRepos()                      - [{ full_name, name, fork, owner, pushed_at, language }]
+ *   listUserRepos(login)             - Public repositories of another user, same shape
+ *   listOrgMembers(org)              - [login] of an organization (GitLab: group)
+ *   listBranches(repo)               - [{ name, head }] (head: SHA the branch points at)
+ *   listCommits(repo, branch, user)  - [{ sha, message, date, repo, branch, url, merge?, coAuthors?, additions?, deletions? }]
+ *   fetchReposCommits(repos, user)   - Optional: { commits, failed, heads } for many repos at once
+ *   searchCommits(user)              - Optional: { commits, totalCount } outside your repos
+ *   findCommitBranch(commit)         - Optional: { branch, pullRequest } of a searched commit
+ *   getCommitStats(commit)           - Optional: { additions, deletions } of one commit
+ *   fetchActivity(user, since)       - Optional: [{ id, type, date, repo, title, url }] authored
+ *                                      pull requests, issues and reviews (type: 'pullRequest',
+ *                                      'issue' or 'review') since an ISO date (null: all)
+ *
+ * Created with { lineStats: true }, providers record additions/deletions on
+ * commits whenever their listing endpoints can include them.
+ */
+
+import { createGitHubProvider } from './github.js';
+import { createGitLabProvider } from './gitlab.js';
+import { createGiteaProvider } from './gitea.js';
+
+const gitea = {
+  label: 'Gitea/Forgejo',
+  create: createGiteaProvider,
+  tokenEnv: 'GITEA_TOKEN',
+  tokenUrl: 'https://codeberg.org/user/settings/applications',
+  scopes: '"read:repository" and "read:user"'
+};
+
+export const PROVIDERS = {
+  github: {
+    label: 'GitHub',
+    create: createGitHubProvider,
+    tokenEnv: 'GITHUB_TOKEN',
+    tokenUrl: 'https://github.com/settings/tokens/new',
+    scopes: '"repo" and "read:user"'
+  },
+  gitlab: {
+    label: 'GitLab',
+    create: createGitLabProvider,
+    tokenEnv: 'GITLAB_TOKEN',
+    tokenUrl: 'https://gitlab.com/-/user_settings/personal_access_tokens',
+    scopes: '"read_api"'
+  },
+  gitea,
+  forgejo: gitea
+};
+
+/**
+ * Create a provider by name
+ *
+ * @param {string} name - 'github', 'gitlab', 'gitea' or 'forgejo'
+ * @param {object} options - { token, baseUrl, lineStats }
+ */
+export function createProvider(name, options) {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown provider: ${name} (valid: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return provider.create(options);
+}
@@ -6,36 +6,375 @@
  */
 
 import { generateYearCalendar } from './aggregate.js';
+import { AUTHOR_TIMEZONE, timezoneLabel } from './timezone.js';
+import { levelThresholds, thresholdLabels, weightUnit } from './scale.js';
 
 const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
 const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
 
+const TOP_REPOS = 10;
+const TOP_LANGUAGES = 8;
+const YEAR_TOP_REPOS = 3;
+
+// Language colors (from GitHub linguist), anything else gets the fallback
+const LANGUAGE_COLORS = {
+  JavaScript: '#f1e05a',
+  TypeScript: '#3178c6',
+  Python: '#3572a5',
+  Java: '#b07219',
+  Kotlin: '#a97bff',
+  Swift: '#f05138',
+  Go: '#00add8',
+  Rust: '#dea584',
+  Ruby: '#701516',
+  PHP: '#4f5d95',
+  'C#': '#178600',
+  'C++': '#f34b7d',
+  C: '#555555',
+  Shell: '#89e051',
+  HTML: '#e34c26',
+  CSS: '#563d7c',
+  Dart: '#00b4ab',
+  Scala: '#c22d40',
+  Vue: '#41b883',
+  'Objective-C': '#438eff'
+};
+const LANGUAGE_FALLBACK_COLOR = '#8b949e';
+
+// Legend note for scales other than the default
+const SCALE_NAMES = {
+  quantile: 'quartiles',
+  log: 'log scale',
+  global: 'all-time scale',
+  custom: 'fixed scale'
+};
+
+// Activity layers (--activity): type -> [singular, plural]
+const ACTIVITY_TYPES = {
+  pullRequest: ['pull request', 'pull requests'],
+  issue: ['issue', 'issues'],
+  review: ['review', 'reviews']
+};
+
+// Legend note for weights other than commit counts
+const WEIGHT_NAMES = {
+  lines: 'by lines changed',
+  score: 'by weighted score'
+};
+
+// Shared by the timeline pages and the punch-card page
+const THEME_STYLES = `    :root {
+      --bg-primary: #0d1117;
+      --bg-secondary: #161b22;
+      --bg-tertiary: #21262d;
+      --text-primary: #f0f6fc;
+      --text-secondary: #8b949e;
+      --text-muted: #6e7681;
+      --border-color: #30363d;
+      --accent: #58a6ff;
+      
+      /* Contribution colors - visible on dark background */
+      --level-0: #21262d;
+      --level-1: #0e4429;
+      --level-2: #006d32;
+      --level-3: #26a641;
+      --level-4: #39d353;
+      
+      --cell-size: 11px;
+      --cell-gap: 3px;
+      --cell-radius: 2px;
+    }
+
+    [data-theme="light"] {
+      --bg-primary: #ffffff;
+      --bg-secondary: #f6f8fa;
+      --bg-tertiary: #eaeef2;
+      --text-primary: #1f2328;
+      --text-secondary: #656d76;
+      --text-muted: #57606a;
+      --border-color: #d0d7de;
+      --accent: #0969da;
+      
+      --level-0: #ebedf0;
+      --level-1: #9be9a8;
+      --level-2: #40c463;
+      --level-3: #30a14e;
+      --level-4: #216e39;
+    }
+`;
+
+const TOOLTIP_STYLES = `    /* Tooltip - rendered via JavaScript */
+    .tooltip {
+      position: fixed;
+      background: var(--bg-tertiary);
+      color: var(--text-primary);
+      padding: 0.4rem 0.6rem;
+      border-radius: 6px;
+      font-size: 0.7rem;
+      font-family: 'SF Mono', Monaco, Menlo, Consolas, 'Liberation Mono', 'Courier New', monospace;
+      white-space: nowrap;
+      pointer-events: none;
+      border: 1px solid var(--border-color);
+      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.4);
+      z-index: 9999;
+      opacity: 0;
+      transition: opacity 0.1s ease;
+    }
+
+    .tooltip.visible {
+      opacity: 1;
+    }
+`;
+
+const PUNCH_CARD_STYLES = `    /* Punch card: weekday x hour bubbles */
+    .punch-card-section {
+      margin-bottom: 2.5rem;
+    }
+
+    .punch-card-header {
+      display: flex;
+      align-items: baseline;
+      justify-content: space-between;
+      gap: 1rem;
+    }
+
+    .punch-card-header select {
+      padding: 0.2rem 0.4rem;
+      font-size: 0.75rem;
+      color: var(--text-primary);
+      background: var(--bg-secondary);
+      border: 1px solid var(--border-color);
+      border-radius: 6px;
+    }
+
+    .punch-card {
+      display: grid;
+      grid-template-columns: 2.25rem repeat(24, minmax(0, 1fr));
+      gap: 2px;
+      align-items: center;
+      font-size: 0.6rem;
+      color: var(--text-muted);
+    }
+
+    .punch-card[hidden] {
+      display: none;
+    }
+
+    .punch-hour {
+      text-align: center;
+    }
+
+    .punch {
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      aspect-ratio: 1;
+    }
+
+    .punch span {
+      border-radius: 50%;
+      background: var(--level-3);
+    }
+`;
+
+/**
+ * Client script switching the punch card shown by #punch-card-year
+ * (?year=2024 preselects a year)
+ */
+const PUNCH_CARD_SCRIPT = `    // Punch card: show the all-time or one year's grid
+    const punchCardYear = document.getElementById('punch-card-year');
+    if (punchCardYear) {
+      const showPunchCard = (year) => {
+        document.querySelectorAll('.punch-card').forEach(card => {
+          card.hidden = card.dataset.year !== year;
+        });
+      };
+      punchCardYear.addEventListener('change', () => showPunchCard(punchCardYear.value));
+
+      const yearParam = new URLSearchParams(window.location.search).get('year');
+      if (yearParam && punchCardYear.querySelector('option[value="' + CSS.escape(yearParam) + '"]')) {
+        punchCardYear.value = yearParam;
+        showPunchCard(yearParam);
+      }
+    }
+`;
+
+/**
+ * Client script showing the #tooltip element for elements matching a selector
+ */
+function tooltipScript(selector) {
+  return `    // Tooltip handling
+    const tooltip = document.getElementById('tooltip');
+    
+    document.querySelectorAll('${selector}').forEach(element => {
+      element.addEventListener('mouseenter', (e) => {
+        const text = e.target.getAttribute('data-tooltip');
+        if (!text) return;
+        
+        tooltip.textContent = text;
+        tooltip.classList.add('visible');
+        
+        const rect = e.target.getBoundingClientRect();
+        const tooltipRect = tooltip.getBoundingClientRect();
+        
+        let left = rect.left + rect.width / 2 - tooltipRect.width / 2;
+        let top = rect.top - tooltipRect.height - 8;
+        
+        // Keep tooltip on screen
+        if (left < 8) left = 8;
+        if (left + tooltipRect.width > window.innerWidth - 8) {
+          left = window.innerWidth - tooltipRect.width - 8;
+        }
+        if (top < 8) {
+          top = rect.bottom + 8; // Show below if no room above
+        }
+        
+        tooltip.style.left = left + 'px';
+        tooltip.style.top = top + 'px';
+      });
+      
+      element.addEventListener('mouseleave', () => {
+        tooltip.classList.remove('visible');
+      });
+    });
+`;
+}
+
+/**
+ * data-theme for the <html> element: the configured default theme
+ * (?theme= and the saved toggle still win in the browser)
+ */
+function themeAttribute(theme) {
+  return theme ? ` data-theme="${theme}"` : '';
+}
+
 /**
  * Generate the complete HTML page
  */
-export function renderTimeline({ username, commits, totalCommits, repoCount }) {
-  return renderTimelineHTML({ username, commits, totalCommits, repoCount, embed: false });
+export function renderTimeline(data) {
+  return renderTimelineHTML({ ...data, embed: false });
 }
 
 /**
  * Generate embeddable HTML (without header title/theme toggle and footer)
  */
-export function renderTimelineEmbed({ username, commits, totalCommits, repoCount }) {
-  return renderTimelineHTML({ username, commits, totalCommits, repoCount, embed: true });
+export function renderTimelineEmbed(data) {
+  return renderTimelineHTML({ ...data, embed: true });
+}
+
+/**
+ * Generate a standalone, embeddable punch card page
+ * 
+ * Supports ?theme=light|dark and ?year=YYYY, and reports its height
+ * to the parent frame like index-embed.html.
+ */
+export function renderPunchCardEmbed({ username, punchCard, theme = null }) {
+  return `<!DOCTYPE html>
+<html lang="en"${themeAttribute(theme)}>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Punch Card — @${escapeHtml(username)}</title>
+  <style>
+${THEME_STYLES}
+    * {
+      box-sizing: border-box;
+      margin: 0;
+      padding: 0;
+    }
+
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+      background: var(--bg-primary);
+      color: var(--text-primary);
+      line-height: 1.5;
+      padding: 1rem;
+    }
+
+    .section-title {
+      font-size: 1rem;
+      font-weight: 600;
+      color: var(--text-primary);
+      margin-bottom: 0.75rem;
+    }
+
+    .punch-card-section {
+      max-width: 900px;
+      margin: 0 auto;
+    }
+
+${PUNCH_CARD_STYLES}
+${TOOLTIP_STYLES}  </style>
+</head>
+<body>
+${renderPunchCard(punchCard)}
+  <div class="tooltip" id="tooltip"></div>
+
+  <script>
+    const themeParam = new URLSearchParams(window.location.search).get('theme');
+    if (themeParam === 'light' || themeParam === 'dark') {
+      document.documentElement.setAttribute('data-theme', themeParam);
+    }
+
+${tooltipScript('.punch[data-tooltip]')}
+${PUNCH_CARD_SCRIPT}
+    // Auto-resize for embedding
+    function sendHeight() {
+      window.parent.postMessage({ type: 'resize', height: document.documentElement.scrollHeight }, '*');
+    }
+    window.addEventListener('load', sendHeight);
+    new ResizeObserver(sendHeight).observe(document.body);
+  </script>
+</body>
+</html>`;
 }
 
 /**
  * Generate HTML with optional embed mode
  */
-function renderTimelineHTML({ username, commits, totalCommits, repoCount, embed = false }) {
+function renderTimelineHTML({ username, commits, totalCommits, repoCount, identityBreakdown = null, team = null, repos = null, commitIndex = null, stats = null, punchCard = null, activity = null, theme = null, embed = false }) {
   const years = commits.years;
   
-  // Generate year sections
-  const yearSections = years.map(year => renderYear(year, commits)).join('\n');
+  // Generate year sections (with each year's top repositories)
+  const yearSections = years.map(year => renderYear(year, commits, repos ? repos.byYear[year] : null, activity)).join('\n');
+  
+  // Pull request, issue and review totals next to the commit count
+  const activityStats = activity ? Object.entries(ACTIVITY_TYPES).map(([type, unit]) => `
+        <div class="stat">
+          <span class="stat-value">${activity.totals[type].toLocaleString()}</span>
+          <span>${unit[1]}</span>
+        </div>`).join('') : '';
+  
+  // Layer switch between commits and activity (full page only)
+  const layerSection = activity && years.length > 0 && !embed ? renderLayerSelect(activity) : '';
+  
+  // Optional per-identity breakdown (merged accounts)
+  const identityStats = renderIdentityStats(identityBreakdown);
+  
+  // Streaks, busiest periods and cadence (full page only, as JSON in both)
+  const statsSection = stats && stats.totalCommits > 0 && !embed ? renderStats(stats) : '';
+  const statsData = stats ? `
+  <script type="application/json" id="timeline-stats">${JSON.stringify(stats).replace(/</g, '\\u003c')}</script>` : '';
+  
+  // Color scale per year (legends and repository filter)
+  const scaleData = `
+  <script type="application/json" id="level-scale">${JSON.stringify({ strategy: commits.scale.strategy, weight: commits.weight, years: commits.yearThresholds }).replace(/</g, '\\u003c')}</script>`;
+  
+  // Weekday x hour punch card, all-time and per year (full page only)
+  const punchCardSection = punchCard && commits.years.length > 0 && !embed ? renderPunchCard(punchCard) : '';
+  
+  // Team mode: leaderboard and per-member calendars, one set per year
+  const teamSection = team && years.length > 0 ? renderTeam(team, years) : '';
+  
+  // Repository and language breakdown plus the heatmap filter (full page only)
+  const breakdownSection = repos && repos.repos.length > 0 && !embed ? renderBreakdown(repos) : '';
+  
+  // Commits behind every day, listed in a panel when a day is clicked
+  const dayPanel = commitIndex ? renderDayPanel(commitIndex) : '';
   
   // Header content (skip title and theme toggle in embed mode)
   const headerContent = embed ? `
-      <div class="username">@${username}</div>
+      <div class="username">@${escapeHtml(username)}</div>
       <div class="stats">
         <div class="stat">
           <span class="stat-value">${totalCommits.toLocaleString()}</span>
@@ -44,17 +383,17 @@ function renderTimelineHTML({ username, commits, totalCommits, repoCount, embed
         <div class="stat">
           <span class="stat-value">${repoCount}</span>
           <span>repositories</span>
-        </div>
+        </div>${activityStats}
         <div class="stat">
           <span class="stat-value">${years.length}</span>
           <span>years</span>
         </div>
-      </div>` : `
+      </div>${identityStats}` : `
       <button class="theme-toggle" onclick="toggleTheme()" aria-label="Toggle theme">
-        🌙
+        ${theme === 'light' ? '☀️' : '🌙'}
       </button>
       <h1>Git History Timeline</h1>
-      <div class="username">@${username}</div>
+      <div class="username">@${escapeHtml(username)}</div>
       <div class="stats">
         <div class="stat">
           <span class="stat-value">${totalCommits.toLocaleString()}</span>
@@ -63,12 +402,12 @@ function renderTimelineHTML({ username, commits, totalCommits, repoCount, embed
         <div class="stat">
           <span class="stat-value">${repoCount}</span>
           <span>repositories</span>
-        </div>
+        </div>${activityStats}
         <div class="stat">
           <span class="stat-value">${years.length}</span>
           <span>years</span>
         </div>
-      </div>`;
+      </div>${identityStats}`;
   
   // Footer content (skip in embed mode)
   const footerContent = embed ? '' : `
@@ -78,54 +417,16 @@ function renderTimelineHTML({ username, commits, totalCommits, repoCount, embed
     </footer>`;
   
   return `<!DOCTYPE html>
-<html lang="en">
+<html lang="en"${themeAttribute(theme)}>
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
   <meta http-equiv="Cache-Control" content="no-cache, no-store, must-revalidate">
   <meta http-equiv="Pragma" content="no-cache">
   <meta http-equiv="Expires" content="0">
-  <title>Git History Timeline — @${username}</title>
+  <title>Git History Timeline — @${escapeHtml(username)}</title>
   <style>
-    :root {
-      --bg-primary: #0d1117;
-      --bg-secondary: #161b22;
-      --bg-tertiary: #21262d;
-      --text-primary: #f0f6fc;
-      --text-secondary: #8b949e;
-      --text-muted: #6e7681;
-      --border-color: #30363d;
-      --accent: #58a6ff;
-      
-      /* Contribution colors - visible on dark background */
-      --level-0: #21262d;
-      --level-1: #0e4429;
-      --level-2: #006d32;
-      --level-3: #26a641;
-      --level-4: #39d353;
-      
-      --cell-size: 11px;
-      --cell-gap: 3px;
-      --cell-radius: 2px;
-    }
-
-    [data-theme="light"] {
-      --bg-primary: #ffffff;
-      --bg-secondary: #f6f8fa;
-      --bg-tertiary: #eaeef2;
-      --text-primary: #1f2328;
-      --text-secondary: #656d76;
-      --text-muted: #57606a;
-      --border-color: #d0d7de;
-      --accent: #0969da;
-      
-      --level-0: #ebedf0;
-      --level-1: #9be9a8;
-      --level-2: #40c463;
-      --level-3: #30a14e;
-      --level-4: #216e39;
-    }
-
+${THEME_STYLES}
     * {
       box-sizing: border-box;
       margin: 0;
@@ -212,6 +513,12 @@ function renderTimelineHTML({ username, commits, totalCommits, repoCount, embed
       font-family: 'SF Mono', Monaco, Menlo, Consolas, monospace;
     }
 
+    .identity-stats {
+      margin-top: 0.5rem;
+      font-size: 0.75rem;
+      color: var(--text-muted);
+    }
+
     /* Timeline with vertical line */
     .timeline {
       position: relative;
@@ -380,28 +687,7 @@ function renderTimelineHTML({ username, commits, totalCommits, repoCount, embed
     .day.level-3 { background: var(--level-3); }
     .day.level-4 { background: var(--level-4); }
 
-    /* Tooltip - rendered via JavaScript */
-    .tooltip {
-      position: fixed;
-      background: var(--bg-tertiary);
-      color: var(--text-primary);
-      padding: 0.4rem 0.6rem;
-      border-radius: 6px;
-      font-size: 0.7rem;
-      font-family: 'SF Mono', Monaco, Menlo, Consolas, 'Liberation Mono', 'Courier New', monospace;
-      white-space: nowrap;
-      pointer-events: none;
-      border: 1px solid var(--border-color);
-      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.4);
-      z-index: 9999;
-      opacity: 0;
-      transition: opacity 0.1s ease;
-    }
-
-    .tooltip.visible {
-      opacity: 1;
-    }
-
+${TOOLTIP_STYLES}
     /* Legend */
     .legend {
       display: flex;
@@ -424,6 +710,404 @@ function renderTimelineHTML({ username, commits, totalCommits, repoCount, embed
       border-radius: var(--cell-radius);
     }
 
+    /* Team: leaderboard and small multiples */
+    .team {
+      margin-bottom: 2.5rem;
+    }
+
+    .section-title {
+      font-size: 1rem;
+      font-weight: 600;
+      color: var(--text-primary);
+      margin-bottom: 0.75rem;
+    }
+
+    .leaderboard {
+      width: 100%;
+      border-collapse: collapse;
+      font-size: 0.8rem;
+      margin-bottom: 2rem;
+    }
+
+    .leaderboard th,
+    .leaderboard td {
+      padding: 0.35rem 0.5rem;
+      text-align: right;
+      border-bottom: 1px solid var(--border-color);
+    }
+
+    .leaderboard th {
+      color: var(--text-muted);
+      font-weight: 500;
+    }
+
+    .leaderboard td {
+      font-family: 'SF Mono', Monaco, Menlo, Consolas, monospace;
+      color: var(--text-secondary);
+    }
+
+    .leaderboard .member {
+      text-align: left;
+      color: var(--accent);
+    }
+
+    .leaderboard .share {
+      width: 30%;
+      text-align: left;
+    }
+
+    .share-bar {
+      height: 6px;
+      border-radius: 3px;
+      background: var(--level-3);
+    }
+
+    .small-multiples {
+      display: grid;
+      grid-template-columns: repeat(auto-fill, minmax(280px, 1fr));
+      gap: 0.75rem;
+    }
+
+    .small-multiples[hidden] {
+      display: none;
+    }
+
+    .team-header {
+      display: flex;
+      align-items: baseline;
+      justify-content: space-between;
+      gap: 1rem;
+    }
+
+    .team-header select {
+      padding: 0.2rem 0.4rem;
+      font-size: 0.75rem;
+      color: var(--text-primary);
+      background: var(--bg-secondary);
+      border: 1px solid var(--border-color);
+      border-radius: 6px;
+    }
+
+    .member-card {
+      background: var(--bg-secondary);
+      border: 1px solid var(--border-color);
+      border-radius: 6px;
+      padding: 0.5rem 0.6rem;
+    }
+
+    .member-name {
+      display: flex;
+      justify-content: space-between;
+      font-size: 0.75rem;
+      margin-bottom: 0.35rem;
+      font-family: 'SF Mono', Monaco, Menlo, Consolas, monospace;
+      color: var(--accent);
+    }
+
+    .member-name span {
+      color: var(--text-muted);
+    }
+
+    .mini-graph {
+      display: grid;
+      grid-auto-flow: column;
+      grid-template-rows: repeat(7, 4px);
+      grid-auto-columns: 4px;
+      gap: 1px;
+    }
+
+    .mini-graph .day {
+      width: 4px;
+      height: 4px;
+      border-radius: 1px;
+    }
+
+    /* Statistics */
+    .insights {
+      margin-bottom: 2.5rem;
+    }
+
+    .insight-cards {
+      display: grid;
+      grid-template-columns: repeat(auto-fill, minmax(150px, 1fr));
+      gap: 0.75rem;
+      margin-bottom: 1.5rem;
+    }
+
+    .insight {
+      background: var(--bg-secondary);
+      border: 1px solid var(--border-color);
+      border-radius: 6px;
+      padding: 0.6rem 0.75rem;
+    }
+
+    .insight-label {
+      font-size: 0.7rem;
+      color: var(--text-muted);
+      text-transform: uppercase;
+      letter-spacing: 0.03em;
+    }
+
+    .insight-value {
+      font-size: 1.25rem;
+      font-weight: 600;
+      color: var(--text-primary);
+      font-family: 'SF Mono', Monaco, Menlo, Consolas, monospace;
+    }
+
+    .insight-detail {
+      font-size: 0.75rem;
+      color: var(--text-secondary);
+    }
+
+    .distributions {
+      display: grid;
+      grid-template-columns: repeat(auto-fit, minmax(260px, 1fr));
+      gap: 1.5rem;
+    }
+
+    .bars {
+      display: flex;
+      align-items: flex-end;
+      gap: 2px;
+      height: 64px;
+    }
+
+    .bars .bar {
+      flex: 1;
+      min-height: 1px;
+      border-radius: 2px 2px 0 0;
+      background: var(--level-3);
+    }
+
+    .bar-labels {
+      display: flex;
+      gap: 2px;
+      margin-top: 0.25rem;
+      font-size: 0.6rem;
+      color: var(--text-muted);
+    }
+
+    .bar-labels span {
+      flex: 1;
+      text-align: center;
+    }
+
+    .growth .change {
+      text-align: left;
+    }
+
+    .growth .up {
+      color: var(--level-4);
+    }
+
+    .growth .down {
+      color: #f85149;
+    }
+
+${PUNCH_CARD_STYLES}
+    /* Repository and language breakdown */
+    .breakdown {
+      margin-bottom: 2rem;
+    }
+
+    .leaderboard .repo {
+      text-align: left;
+      color: var(--accent);
+      word-break: break-all;
+    }
+
+    .leaderboard .language {
+      text-align: left;
+    }
+
+    .leaderboard tr[data-repo] {
+      cursor: pointer;
+    }
+
+    .leaderboard tr[data-repo]:hover td {
+      background: var(--bg-secondary);
+    }
+
+    .language-bar {
+      display: flex;
+      height: 8px;
+      border-radius: 4px;
+      overflow: hidden;
+      margin-bottom: 0.75rem;
+      background: var(--bg-tertiary);
+    }
+
+    .language-list {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 0.4rem 1.25rem;
+      list-style: none;
+      font-size: 0.8rem;
+      color: var(--text-primary);
+    }
+
+    .language-list span {
+      color: var(--text-muted);
+    }
+
+    .language-dot {
+      display: inline-block;
+      width: 8px;
+      height: 8px;
+      border-radius: 50%;
+      margin-right: 0.35rem;
+    }
+
+    .repo-filter {
+      display: flex;
+      align-items: center;
+      gap: 0.5rem;
+      margin-bottom: 1.5rem;
+      font-size: 0.8rem;
+      color: var(--text-secondary);
+    }
+
+    .repo-filter select {
+      max-width: 100%;
+      padding: 0.3rem 0.5rem;
+      font-size: 0.8rem;
+      color: var(--text-primary);
+      background: var(--bg-secondary);
+      border: 1px solid var(--border-color);
+      border-radius: 6px;
+    }
+
+    .year-repos {
+      min-width: 0;
+      font-size: 0.75rem;
+      color: var(--text-muted);
+      font-family: 'SF Mono', Monaco, Menlo, Consolas, monospace;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+    }
+
+    .year-repos span {
+      color: var(--text-secondary);
+    }
+
+    /* Day drill-down */
+    .timeline .day[data-date] {
+      cursor: pointer;
+    }
+
+    .timeline .day.selected {
+      outline: 2px solid var(--accent);
+      outline-offset: 1px;
+    }
+
+    .timeline .day:focus {
+      outline: 2px solid var(--accent);
+      outline-offset: 1px;
+    }
+
+    .day-panel {
+      position: fixed;
+      right: 1rem;
+      bottom: 1rem;
+      width: min(420px, calc(100vw - 2rem));
+      max-height: min(60vh, 480px);
+      display: flex;
+      flex-direction: column;
+      background: var(--bg-secondary);
+      border: 1px solid var(--border-color);
+      border-radius: 8px;
+      box-shadow: 0 8px 24px rgba(0, 0, 0, 0.35);
+      z-index: 1001;
+    }
+
+    .day-panel[hidden] {
+      display: none;
+    }
+
+    .day-panel-header {
+      display: flex;
+      align-items: center;
+      gap: 0.4rem;
+      padding: 0.6rem 0.75rem;
+      border-bottom: 1px solid var(--border-color);
+    }
+
+    .day-panel-title {
+      flex: 1;
+      font-size: 0.875rem;
+      font-weight: 600;
+      color: var(--text-primary);
+    }
+
+    .day-panel-title span {
+      font-weight: 400;
+      color: var(--text-muted);
+    }
+
+    .day-panel-header button {
+      background: none;
+      border: 1px solid var(--border-color);
+      border-radius: 6px;
+      color: var(--text-secondary);
+      font-size: 0.8rem;
+      line-height: 1;
+      padding: 0.3rem 0.5rem;
+      cursor: pointer;
+    }
+
+    .day-panel-header button:hover {
+      border-color: var(--accent);
+      color: var(--text-primary);
+    }
+
+    .day-commits {
+      list-style: none;
+      overflow-y: auto;
+      padding: 0.25rem 0;
+    }
+
+    .day-commits li {
+      padding: 0.45rem 0.75rem;
+      border-bottom: 1px solid var(--border-color);
+    }
+
+    .day-commits li:last-child {
+      border-bottom: none;
+    }
+
+    .day-commits .message {
+      display: block;
+      font-size: 0.8rem;
+      color: var(--text-primary);
+      text-decoration: none;
+      overflow-wrap: anywhere;
+    }
+
+    .day-commits a.message:hover {
+      color: var(--accent);
+    }
+
+    .day-commits .meta {
+      font-size: 0.7rem;
+      color: var(--text-muted);
+      font-family: 'SF Mono', Monaco, Menlo, Consolas, monospace;
+      overflow-wrap: anywhere;
+    }
+
+    .day-commits .stale {
+      color: var(--text-secondary);
+      border: 1px solid var(--border-color);
+      border-radius: 4px;
+      padding: 0 0.25rem;
+    }
+
+    .day-commits .empty {
+      font-size: 0.8rem;
+      color: var(--text-muted);
+    }
+
     /* Footer */
     footer {
       text-align: center;
@@ -480,6 +1164,7 @@ function renderTimelineHTML({ username, commits, totalCommits, repoCount, embed
       
       .year-title { font-size: 1rem; }
       .year-count { font-size: 0.75rem; }
+      .year-repos { display: none; }
       
       .graph-container { padding: 0.5rem; }
       .day-labels { width: 16px; margin-right: 2px; }
@@ -534,6 +1219,7 @@ function renderTimelineHTML({ username, commits, totalCommits, repoCount, embed
     <header>${headerContent}
     </header>
 
+${statsSection}${punchCardSection}${teamSection}${breakdownSection}${layerSection}
     <div class="timeline">
       ${yearSections}
     </div>
@@ -542,7 +1228,7 @@ ${footerContent}
 
   <!-- Tooltip element -->
   <div class="tooltip" id="tooltip"></div>
-
+${dayPanel}${statsData}${scaleData}
   <script>
     // Theme toggle
     function toggleTheme() {
@@ -578,40 +1264,327 @@ ${footerContent}
       }
     }
 
-    // Tooltip handling
-    const tooltip = document.getElementById('tooltip');
-    
-    document.querySelectorAll('.day[data-tooltip]').forEach(day => {
-      day.addEventListener('mouseenter', (e) => {
-        const text = e.target.getAttribute('data-tooltip');
-        if (!text) return;
-        
-        tooltip.textContent = text;
-        tooltip.classList.add('visible');
-        
-        const rect = e.target.getBoundingClientRect();
-        const tooltipRect = tooltip.getBoundingClientRect();
-        
-        let left = rect.left + rect.width / 2 - tooltipRect.width / 2;
-        let top = rect.top - tooltipRect.height - 8;
-        
-        // Keep tooltip on screen
-        if (left < 8) left = 8;
-        if (left + tooltipRect.width > window.innerWidth - 8) {
-          left = window.innerWidth - tooltipRect.width - 8;
+${tooltipScript('.day[data-tooltip], .bar[data-tooltip], .punch[data-tooltip], .legend-cell[data-tooltip]')}
+${PUNCH_CARD_SCRIPT}
+    // Team: show the member calendars of one year (?year=2024 preselects it)
+    const teamYear = document.getElementById('team-year');
+    if (teamYear) {
+      const showTeamYear = (year) => {
+        document.querySelectorAll('.team .small-multiples').forEach(grid => {
+          grid.hidden = grid.dataset.year !== year;
+        });
+      };
+      teamYear.addEventListener('change', () => showTeamYear(teamYear.value));
+
+      const yearParam = new URLSearchParams(window.location.search).get('year');
+      if (yearParam && teamYear.querySelector('option[value="' + CSS.escape(yearParam) + '"]')) {
+        teamYear.value = yearParam;
+        showTeamYear(yearParam);
+      }
+    }
+
+    // Repository filter and activity layers: recolor the calendars for
+    // one repository and/or pull requests, issues, reviews or all activity
+    const repoFilter = document.getElementById('repo-filter');
+    const repoData = repoFilter ? JSON.parse(document.getElementById('repo-data').textContent) : null;
+    const layerSelect = document.getElementById('layer-select');
+    const activityData = layerSelect ? JSON.parse(document.getElementById('activity-data').textContent) : null;
+    let applyView = () => {};
+    if (repoFilter || layerSelect) {
+      const sections = Array.from(document.querySelectorAll('.timeline .year-section')).map(section => ({
+        count: section.querySelector('.year-count'),
+        days: Array.from(section.querySelectorAll('.day[data-date]')),
+        legend: Array.from(section.querySelectorAll('.legend-cell'))
+      }));
+
+      // Remember the unfiltered state
+      sections.forEach(section => {
+        section.allCount = section.count.textContent;
+        section.days.forEach(day => {
+          day.dataset.allClass = day.className;
+          day.dataset.allTooltip = day.getAttribute('data-tooltip');
+        });
+        section.legend.forEach(cell => {
+          cell.dataset.allTooltip = cell.getAttribute('data-tooltip');
+        });
+      });
+
+      // Same scale as the server-rendered calendars (scale.js)
+      const levelScale = JSON.parse(document.getElementById('level-scale').textContent);
+      ${levelThresholds.toString()}
+      ${thresholdLabels.toString()}
+      const legendUnit = ${JSON.stringify(weightUnit(commits.weight))};
+      const activityUnits = ${JSON.stringify({ ...ACTIVITY_TYPES, all: ['contribution', 'contributions'] })};
+      const activityTypes = ['pullRequest', 'issue', 'review'];
+      const contributionLevel = (count, thresholds) => {
+        let level = 0;
+        while (level < 4 && count >= thresholds[level]) level++;
+        return level;
+      };
+
+      // Commits, weighted value and activity of a day, optionally for one repository
+      const dayCounts = (date, repo) => {
+        const counts = { commits: 0, value: 0, pullRequest: 0, issue: 0, review: 0 };
+        (repoData && repoData.days[date] || []).forEach(entry => {
+          if (repo !== null && repoData.names[entry[0]] !== repo) return;
+          counts.commits += entry[1];
+          counts.value += entry.length > 2 ? entry[2] : entry[1];
+        });
+        (activityData && activityData.days[date] || []).forEach(entry => {
+          if (repo !== null && activityData.names[entry[0]] !== repo) return;
+          activityTypes.forEach((type, i) => { counts[type] += entry[i + 1]; });
+        });
+        return counts;
+      };
+
+      const plural = (count, unit) => count + ' ' + (count === 1 ? unit[0] : unit[1]);
+
+      applyView = () => {
+        const repo = repoFilter && repoFilter.value !== '' ? repoData.names[Number(repoFilter.value)] : null;
+        const layer = layerSelect ? layerSelect.value : 'commits';
+
+        if (repo === null && layer === 'commits') {
+          sections.forEach(section => {
+            section.count.textContent = section.allCount;
+            section.days.forEach(day => {
+              day.className = day.dataset.allClass;
+              day.setAttribute('data-tooltip', day.dataset.allTooltip);
+            });
+            section.legend.forEach(cell => {
+              cell.setAttribute('data-tooltip', cell.dataset.allTooltip);
+            });
+          });
+          return;
         }
-        if (top < 8) {
-          top = rect.bottom + 8; // Show below if no room above
+
+        // Commits keep their weight; the combined score counts every contribution once
+        const layerValue = (counts) => {
+          if (layer === 'commits') return counts.value;
+          if (layer === 'all') return counts.commits + counts.pullRequest + counts.issue + counts.review;
+          return counts[layer];
+        };
+        const sectionCounts = sections.map(section => section.days.map(day => dayCounts(day.dataset.date, repo)));
+        const sectionValues = sectionCounts.map(days => days.map(layerValue));
+        const globalMax = Math.max(0, ...sectionValues.flat());
+        const unit = layer === 'commits' ? legendUnit : activityUnits[layer];
+
+        sections.forEach((section, sectionIndex) => {
+          const counts = sectionCounts[sectionIndex];
+          const values = sectionValues[sectionIndex];
+          const thresholds = levelThresholds(values, levelScale, globalMax);
+          const total = counts.reduce((sum, day) => sum + (layer === 'commits' ? day.commits : layerValue(day)), 0);
+
+          section.count.textContent = layer === 'commits'
+            ? total.toLocaleString() + ' commits'
+            : total.toLocaleString() + ' ' + activityUnits[layer][total === 1 ? 0 : 1];
+          thresholdLabels(thresholds, unit).forEach((label, level) => {
+            if (section.legend[level]) section.legend[level].setAttribute('data-tooltip', label);
+          });
+          section.days.forEach((day, i) => {
+            const dayCount = counts[i];
+            const when = day.dataset.allTooltip.replace(/^.* on /, '');
+            const parts = [dayCount.commits === 0 ? 'No commits' : plural(dayCount.commits, ['commit', 'commits'])];
+            if (dayCount.commits > 0 && levelScale.weight !== 'commits') {
+              parts.push(dayCount.value.toLocaleString() + ' ' + legendUnit[1]);
+            }
+            activityTypes.forEach(type => {
+              if (dayCount[type] > 0) parts.push(plural(dayCount[type], activityUnits[type]));
+            });
+            day.className = 'day level-' + contributionLevel(values[i], thresholds);
+            day.setAttribute('data-tooltip', parts.join(' · ') + (repo !== null ? ' to ' + repo : '') + ' on ' + when);
+          });
+        });
+      };
+    }
+
+    if (layerSelect) {
+      layerSelect.addEventListener('change', applyView);
+
+      // ?layer=pullRequest|issue|review|all preselects a layer
+      const layerParam = urlParams.get('layer');
+      if (layerParam && Array.from(layerSelect.options).some(option => option.value === layerParam)) {
+        layerSelect.value = layerParam;
+        applyView();
+      }
+    }
+
+    if (repoFilter) {
+      repoFilter.addEventListener('change', applyView);
+
+      // Clicking a row of the top repositories table selects it
+      document.querySelectorAll('tr[data-repo]').forEach(row => {
+        row.addEventListener('click', () => {
+          repoFilter.value = repoFilter.value === row.dataset.repo ? '' : row.dataset.repo;
+          applyView();
+          repoFilter.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        });
+      });
+
+      // ?repo=owner/name preselects a repository
+      const repoParam = urlParams.get('repo');
+      if (repoParam && repoData.names.includes(repoParam)) {
+        repoFilter.value = String(repoData.names.indexOf(repoParam));
+        applyView();
+      }
+    }
+
+    // Day drill-down: click a day (or Enter) to list its commits.
+    // Arrow keys move like the grid (up/down: day, left/right: week),
+    // PageUp/PageDown jump between days with commits, Escape closes.
+    const dayPanel = document.getElementById('day-panel');
+    if (dayPanel) {
+      const commitIndex = JSON.parse(document.getElementById('commit-index').textContent);
+      const panelTitle = document.getElementById('day-panel-title');
+      const commitList = document.getElementById('day-commits');
+      const dayCells = new Map();
+      document.querySelectorAll('.timeline .day[data-date]').forEach(day => dayCells.set(day.dataset.date, day));
+      const activeDates = Object.keys(commitIndex.days).filter(date => dayCells.has(date)).sort();
+      let selected = null;
+
+      // Only one day is in the tab order at a time, starting with the latest active day
+      dayCells.forEach(day => day.setAttribute('tabindex', '-1'));
+      const initial = dayCells.get(activeDates[activeDates.length - 1]) || dayCells.values().next().value;
+      if (initial) initial.setAttribute('tabindex', '0');
+
+      const selectedRepo = () => repoFilter && repoFilter.value !== '' ? repoData.names[Number(repoFilter.value)] : null;
+
+      const entriesFor = (date) => {
+        const repo = selectedRepo();
+        return (commitIndex.days[date] || []).filter(entry => !repo || commitIndex.repos[entry[1]] === repo);
+      };
+
+      const renderEntry = ([time, repo, branch, message, sha, urlPrefix, author, stale]) => {
+        const item = document.createElement('li');
+        const link = document.createElement(urlPrefix >= 0 ? 'a' : 'span');
+        link.className = 'message';
+        link.textContent = message;
+        if (urlPrefix >= 0) {
+          link.href = commitIndex.urls[urlPrefix] + sha;
+          link.target = '_blank';
+          link.rel = 'noopener';
         }
-        
-        tooltip.style.left = left + 'px';
-        tooltip.style.top = top + 'px';
+
+        const meta = document.createElement('div');
+        meta.className = 'meta';
+        // Author-offset times carry their own offset
+        const zone = commitIndex.timezone === 'author' ? '' : ' ' + commitIndex.timezone;
+        const parts = [time + zone, commitIndex.repos[repo], commitIndex.branches[branch], sha.slice(0, 7)];
+        if (author >= 0) parts.push(commitIndex.authors[author]);
+        meta.textContent = parts.join(' · ');
+        if (stale) {
+          const badge = document.createElement('span');
+          badge.className = 'stale';
+          badge.title = 'No longer on any branch (force-pushed or deleted)';
+          badge.textContent = 'stale';
+          meta.append(' ', badge);
+        }
+
+        item.append(link, meta);
+        return item;
+      };
+
+      const showDay = (date) => {
+        const entries = entriesFor(date);
+        const repo = selectedRepo();
+        panelTitle.textContent = new Date(date + 'T00:00:00Z').toLocaleDateString('en-US', {
+          weekday: 'short', month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC'
+        });
+        const count = document.createElement('span');
+        count.textContent = ' · ' + entries.length + ' commit' + (entries.length === 1 ? '' : 's') + (repo ? ' to ' + repo : '');
+        panelTitle.appendChild(count);
+
+        if (entries.length === 0) {
+          const empty = document.createElement('li');
+          empty.className = 'empty';
+          empty.textContent = 'No commits on this day';
+          commitList.replaceChildren(empty);
+        } else {
+          commitList.replaceChildren(...entries.map(renderEntry));
+        }
+        commitList.scrollTop = 0;
+        dayPanel.hidden = false;
+      };
+
+      // Move focus (and the selection, while the panel is open) to a day
+      const moveTo = (date) => {
+        const cell = dayCells.get(date);
+        if (!cell) return;
+        dayCells.forEach(day => day.setAttribute('tabindex', '-1'));
+        cell.setAttribute('tabindex', '0');
+        cell.focus();
+        if (!dayPanel.hidden) selectDay(date);
+      };
+
+      const selectDay = (date) => {
+        if (selected) selected.classList.remove('selected');
+        selected = dayCells.get(date);
+        selected.classList.add('selected');
+        showDay(date);
+      };
+
+      const closePanel = () => {
+        dayPanel.hidden = true;
+        if (selected) {
+          selected.classList.remove('selected');
+          selected.focus();
+        }
+      };
+
+      const shiftDate = (date, days) => {
+        const shifted = new Date(date + 'T00:00:00Z');
+        shifted.setUTCDate(shifted.getUTCDate() + days);
+        return shifted.toISOString().split('T')[0];
+      };
+
+      // Next/previous day that has commits (for the selected repository, if any)
+      const stepActive = (date, direction) => {
+        const dates = activeDates.filter(active => entriesFor(active).length > 0);
+        const next = direction > 0
+          ? dates.find(active => active > date)
+          : dates.slice().reverse().find(active => active < date);
+        if (next) moveTo(next);
+      };
+
+      const keyMoves = { ArrowUp: -1, ArrowDown: 1, ArrowLeft: -7, ArrowRight: 7 };
+
+      dayCells.forEach((day, date) => {
+        day.addEventListener('click', () => {
+          moveTo(date);
+          selectDay(date);
+        });
+        day.addEventListener('keydown', (e) => {
+          if (e.key in keyMoves) {
+            moveTo(shiftDate(date, keyMoves[e.key]));
+          } else if (e.key === 'PageDown' || e.key === 'PageUp') {
+            stepActive(date, e.key === 'PageDown' ? 1 : -1);
+          } else if (e.key === 'Enter' || e.key === ' ') {
+            selectDay(date);
+          } else if (e.key === 'Escape' && !dayPanel.hidden) {
+            closePanel();
+          } else {
+            return;
+          }
+          e.preventDefault();
+        });
       });
-      
-      day.addEventListener('mouseleave', () => {
-        tooltip.classList.remove('visible');
+
+      dayPanel.querySelectorAll('button[data-step]').forEach(button => {
+        button.addEventListener('click', () => {
+          if (selected) stepActive(selected.dataset.date, Number(button.dataset.step));
+        });
+      });
+      dayPanel.querySelector('button[data-close]').addEventListener('click', closePanel);
+      dayPanel.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') closePanel();
       });
-    });
+
+      // Keep the list in sync with the repository filter
+      if (repoFilter) {
+        repoFilter.addEventListener('change', () => {
+          if (!dayPanel.hidden && selected) showDay(selected.dataset.date);
+        });
+      }
+    }
 
     ${embed ? `
     // Auto-resize for embed mode
@@ -636,13 +1609,437 @@ ${footerContent}
 </html>`;
 }
 
+/**
+ * Render the per-identity commit counts shown under the header stats
+ */
+function renderIdentityStats(identityBreakdown) {
+  if (!identityBreakdown || Object.keys(identityBreakdown).length < 2) {
+    return '';
+  }
+  
+  const stats = Object.entries(identityBreakdown)
+    .sort((a, b) => b[1] - a[1])
+    .map(([name, count]) => `
+        <div class="stat">
+          <span class="stat-value">${count.toLocaleString()}</span>
+          <span>${escapeHtml(name)}</span>
+        </div>`)
+    .join('');
+  
+  return `
+      <div class="stats identity-stats">${stats}
+      </div>`;
+}
+
+/**
+ * Render the team leaderboard and per-member small-multiple calendars
+ * 
+ * @param {Array} team - Members from aggregateMembers(), in leaderboard order
+ * @param {string[]} years - Years of the timeline, latest first (switched with a <select>)
+ */
+function renderTeam(team, years) {
+  const teamTotal = team.reduce((sum, member) => sum + member.totalCommits, 0) || 1;
+  
+  const rows = team.map((member, index) => {
+    const share = member.totalCommits / teamTotal * 100;
+    return `
+          <tr>
+            <td>${index + 1}</td>
+            <td class="member">@${escapeHtml(member.name)}</td>
+            <td>${member.totalCommits.toLocaleString()}</td>
+            <td>${member.activeDays.toLocaleString()}</td>
+            <td>${member.repoCount}</td>
+            <td class="share"><div class="share-bar" style="width: ${share.toFixed(1)}%"></div></td>
+          </tr>`;
+  }).join('');
+  
+  const cards = (year) => team.map(member => {
+    const calendar = generateYearCalendar(year, member.commits);
+    const yearTotal = member.commits.yearTotals[year] || 0;
+    const cells = calendar.flat().map(day => {
+      if (!day.inYear) {
+        return '<div class="day outside"></div>';
+      }
+      const tooltip = `@${escapeHtml(member.name)}: ${dayTooltip(day, member.commits.weight)}`;
+      return `<div class="day level-${day.level}" data-tooltip="${tooltip}"></div>`;
+    }).join('');
+    
+    return `
+        <div class="member-card">
+          <div class="member-name">@${escapeHtml(member.name)} <span>${yearTotal.toLocaleString()} in ${year}</span></div>
+          <div class="mini-graph">${cells}</div>
+        </div>`;
+  }).join('');
+  
+  const options = years.map(year => `<option value="${year}">${year}</option>`).join('');
+  const yearGrids = years.map((year, index) => `
+      <div class="small-multiples" data-year="${year}"${index > 0 ? ' hidden' : ''}>${cards(year)}
+      </div>`).join('');
+  
+  return `
+    <section class="team">
+      <h2 class="section-title">Leaderboard</h2>
+      <table class="leaderboard">
+        <thead>
+          <tr>
+            <th>#</th>
+            <th class="member">Member</th>
+            <th>Commits</th>
+            <th>Active days</th>
+            <th>Repos</th>
+            <th class="share">Share</th>
+          </tr>
+        </thead>
+        <tbody>${rows}
+        </tbody>
+      </table>
+      <div class="team-header">
+        <h2 class="section-title">Members</h2>
+        <select id="team-year" aria-label="Member calendars year">${options}
+        </select>
+      </div>${yearGrids}
+    </section>
+`;
+}
+
+/**
+ * Render streak, busiest-period and cadence statistics
+ * 
+ * @param {object} stats - Result of computeStats()
+ */
+function renderStats(stats) {
+  const plural = (count, word) => `${count.toLocaleString()} ${word}${count === 1 ? '' : 's'}`;
+  const range = (start, end) => start === end ? formatDate(start) : `${formatDate(start)} – ${formatDate(end)}`;
+  const monthName = (month) => `${MONTHS[parseInt(month.slice(5, 7)) - 1]} ${month.slice(0, 4)}`;
+  
+  const cards = [
+    ['Longest streak', plural(stats.longestStreak.days, 'day'),
+      stats.longestStreak.days > 0 ? range(stats.longestStreak.start, stats.longestStreak.end) : ''],
+    ['Current streak', plural(stats.currentStreak.days, 'day'),
+      stats.currentStreak.days > 0 ? `since ${formatDate(stats.currentStreak.start)}` : 'no commits today or yesterday'],
+    ['Busiest day', plural(stats.busiestDay.commits, 'commit'), formatDate(stats.busiestDay.date)],
+    ['Busiest week', plural(stats.busiestWeek.commits, 'commit'), `week of ${formatDate(stats.busiestWeek.start)}`],
+    ['Busiest month', plural(stats.busiestMonth.commits, 'commit'), monthName(stats.busiestMonth.month)],
+    ['Per active day', stats.averagePerActiveDay.toLocaleString(), `${plural(stats.activeDays, 'active day')}`]
+  ].map(([label, value, detail]) => `
+        <div class="insight">
+          <div class="insight-label">${label}</div>
+          <div class="insight-value">${value}</div>
+          <div class="insight-detail">${detail}</div>
+        </div>`).join('');
+  
+  const bars = (counts, labelFor) => {
+    const max = Math.max(...counts, 1);
+    const columns = counts.map((count, index) =>
+      `<div class="bar" style="height: ${(count / max * 100).toFixed(1)}%" data-tooltip="${labelFor(index)}: ${plural(count, 'commit')}"></div>`
+    ).join('');
+    return `<div class="bars">${columns}</div>`;
+  };
+  
+  const weekdayChart = bars(stats.weekdays, index => DAYS[index]);
+  const weekdayLabels = DAYS.map(day => `<span>${day}</span>`).join('');
+  
+  const zone = stats.timezone === AUTHOR_TIMEZONE ? '' : ` ${stats.timezone}`;
+  const hourLabel = (hour) => `${String(hour).padStart(2, '0')}:00${zone}`;
+  const hourChart = bars(stats.hours, hourLabel);
+  const hourLabels = stats.hours.map((_, hour) => `<span>${hour % 6 === 0 ? String(hour).padStart(2, '0') : ''}</span>`).join('');
+  
+  const growthRows = stats.yearOverYear.slice().reverse().map(({ year, commits, change, partial }) => {
+    const trend = change === null ? '' : `<span class="${change >= 0 ? 'up' : 'down'}">${change >= 0 ? '+' : ''}${change}%</span>`;
+    return `
+          <tr>
+            <td class="member">${year}${partial ? ' (so far)' : ''}</td>
+            <td>${commits.toLocaleString()}</td>
+            <td class="change">${trend}</td>
+          </tr>`;
+  }).join('');
+  
+  return `
+    <section class="insights">
+      <h2 class="section-title">Statistics</h2>
+      <div class="insight-cards">${cards}
+      </div>
+      <div class="distributions">
+        <div>
+          <h2 class="section-title">By weekday</h2>
+          ${weekdayChart}
+          <div class="bar-labels">${weekdayLabels}</div>
+        </div>
+        <div>
+          <h2 class="section-title">By hour (${timezoneLabel(stats.timezone)})</h2>
+          ${hourChart}
+          <div class="bar-labels">${hourLabels}</div>
+        </div>
+        <div>
+          <h2 class="section-title">Year over year</h2>
+          <table class="leaderboard growth">
+            <tbody>${growthRows}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </section>
+`;
+}
+
+/**
+ * Render the punch card section: all-time grid plus one grid per year,
+ * switched with a <select>
+ * 
+ * @param {object} punchCard - Result of aggregatePunchCard()
+ */
+function renderPunchCard(punchCard) {
+  const years = Object.keys(punchCard.byYear).sort().reverse();
+  const options = years.map(year => `<option value="${year}">${year}</option>`).join('');
+  const grids = [renderPunchCardGrid(punchCard.all, 'all', punchCard.timezone, false)]
+    .concat(years.map(year => renderPunchCardGrid(punchCard.byYear[year], year, punchCard.timezone, true)))
+    .join('');
+  
+  return `
+    <section class="punch-card-section">
+      <div class="punch-card-header">
+        <h2 class="section-title">Punch card (${timezoneLabel(punchCard.timezone)})</h2>
+        <select id="punch-card-year" aria-label="Punch card year">
+          <option value="all">All time</option>${options}
+        </select>
+      </div>${grids}
+    </section>
+`;
+}
+
+/**
+ * Render one 7x24 punch card grid (bubble area proportional to commits)
+ * 
+ * @param {number[][]} grid - [weekday (Sun..Sat)][hour] commit counts
+ */
+function renderPunchCardGrid(grid, year, timezone, hidden) {
+  const max = Math.max(1, ...grid.map(hours => Math.max(...hours)));
+  const zone = timezone === AUTHOR_TIMEZONE ? '' : ` ${timezone}`;
+  
+  const hourLabels = grid[0].map((_, hour) =>
+    `<span class="punch-hour">${hour % 3 === 0 ? String(hour).padStart(2, '0') : ''}</span>`
+  ).join('');
+  
+  const rows = grid.map((hours, weekday) => {
+    const cells = hours.map((count, hour) => {
+      const tooltip = `${DAYS[weekday]} ${String(hour).padStart(2, '0')}:00${zone}: ${count} commit${count === 1 ? '' : 's'}`;
+      if (count === 0) {
+        return `<span class="punch" data-tooltip="${tooltip}"></span>`;
+      }
+      const size = Math.max(15, Math.sqrt(count / max) * 100).toFixed(0);
+      return `<span class="punch" data-tooltip="${tooltip}"><span style="width: ${size}%; height: ${size}%"></span></span>`;
+    }).join('');
+    return `
+        <span>${DAYS[weekday]}</span>${cells}`;
+  }).join('');
+  
+  return `
+      <div class="punch-card" data-year="${year}"${hidden ? ' hidden' : ''}>
+        <span></span>${hourLabels}${rows}
+      </div>`;
+}
+
+/**
+ * Render the top repositories table, language breakdown and heatmap filter
+ * 
+ * The filter recolors the calendars client-side from per-day counts
+ * embedded as JSON (repo indexes match the <select> options).
+ * 
+ * @param {object} repos - Result of aggregateRepos()
+ */
+function renderBreakdown(repos) {
+  const total = repos.repos.reduce((sum, repo) => sum + repo.commits, 0) || 1;
+  
+  const rows = repos.repos.slice(0, TOP_REPOS).map((repo, index) => {
+    const share = repo.commits / total * 100;
+    const firstYear = repo.firstDate.slice(0, 4);
+    const lastYear = repo.lastDate.slice(0, 4);
+    return `
+          <tr data-repo="${index}">
+            <td>${index + 1}</td>
+            <td class="repo">${escapeHtml(repo.name)}</td>
+            <td class="language">${repo.language ? escapeHtml(repo.language) : '—'}</td>
+            <td>${repo.commits.toLocaleString()}</td>
+            <td>${repo.activeDays.toLocaleString()}</td>
+            <td>${firstYear === lastYear ? firstYear : `${firstYear}–${lastYear}`}</td>
+            <td class="share"><div class="share-bar" style="width: ${share.toFixed(1)}%"></div></td>
+          </tr>`;
+  }).join('');
+  
+  // Languages only come from provider metadata (not local clones or GitLab)
+  let languageSection = '';
+  if (repos.languages.some(language => language.name !== 'Unknown')) {
+    const languages = repos.languages.slice(0, TOP_LANGUAGES);
+    const rest = repos.languages.slice(TOP_LANGUAGES);
+    if (rest.length > 0) {
+      languages.push({
+        name: 'Other',
+        commits: rest.reduce((sum, language) => sum + language.commits, 0),
+        repos: rest.reduce((sum, language) => sum + language.repos, 0)
+      });
+    }
+    
+    const color = (name) => LANGUAGE_COLORS[name] || LANGUAGE_FALLBACK_COLOR;
+    const segments = languages.map(language =>
+      `<div style="width: ${(language.commits / total * 100).toFixed(2)}%; background: ${color(language.name)}" title="${escapeHtml(language.name)}"></div>`
+    ).join('');
+    const items = languages.map(language => `
+        <li><span class="language-dot" style="background: ${color(language.name)}"></span>${escapeHtml(language.name)} <span>${(language.commits / total * 100).toFixed(1)}% · ${language.commits.toLocaleString()} commits · ${language.repos} repos</span></li>`
+    ).join('');
+    
+    languageSection = `
+      <h2 class="section-title">Languages</h2>
+      <div class="language-bar">${segments}</div>
+      <ul class="language-list">${items}
+      </ul>`;
+  }
+  
+  const options = repos.repos.map((repo, index) =>
+    `<option value="${index}">${escapeHtml(repo.name)} (${repo.commits.toLocaleString()})</option>`
+  ).join('');
+  
+  // date -> [[repo index, count, weighted value?], ...]
+  const repoIndex = new Map(repos.repos.map((repo, index) => [repo.name, index]));
+  const days = {};
+  for (const [date, counts] of Object.entries(repos.byDate)) {
+    days[date] = Object.entries(counts).map(([name, count]) => repos.valueByDate
+      ? [repoIndex.get(name), count, Math.round(repos.valueByDate[date][name] * 10) / 10]
+      : [repoIndex.get(name), count]);
+  }
+  const filterData = JSON.stringify({ names: repos.repos.map(repo => repo.name), days }).replace(/</g, '\\u003c');
+  
+  return `
+    <section class="breakdown">
+      <h2 class="section-title">Top Repositories</h2>
+      <table class="leaderboard">
+        <thead>
+          <tr>
+            <th>#</th>
+            <th class="repo">Repository</th>
+            <th class="language">Language</th>
+            <th>Commits</th>
+            <th>Active days</th>
+            <th>Years</th>
+            <th class="share">Share</th>
+          </tr>
+        </thead>
+        <tbody>${rows}
+        </tbody>
+      </table>${languageSection}
+    </section>
+
+    <div class="repo-filter">
+      <label for="repo-filter">Show</label>
+      <select id="repo-filter">
+        <option value="">All repositories</option>${options}
+      </select>
+    </div>
+    <script type="application/json" id="repo-data">${filterData}</script>
+`;
+}
+
+/**
+ * Render the layer switch and the activity it recolors the heatmap with
+ * 
+ * Activity is embedded per day and repository, so the repository filter
+ * applies to every layer: date -> [[repo index, pull requests, issues, reviews], ...]
+ * 
+ * @param {object} activity - Result of aggregateActivity()
+ */
+function renderLayerSelect(activity) {
+  const names = [];
+  const repoIndex = new Map();
+  const days = {};
+  for (const [date, byRepo] of Object.entries(activity.byRepo)) {
+    days[date] = Object.entries(byRepo).map(([name, counts]) => {
+      if (!repoIndex.has(name)) {
+        repoIndex.set(name, names.length);
+        names.push(name);
+      }
+      return [repoIndex.get(name), counts.pullRequest, counts.issue, counts.review];
+    });
+  }
+  const data = JSON.stringify({ names, days }).replace(/</g, '\\u003c');
+  
+  return `
+    <div class="repo-filter">
+      <label for="layer-select">Color by</label>
+      <select id="layer-select">
+        <option value="commits">Commits</option>
+        <option value="pullRequest">Pull requests</option>
+        <option value="issue">Issues</option>
+        <option value="review">Reviews</option>
+        <option value="all">All activity</option>
+      </select>
+    </div>
+    <script type="application/json" id="activity-data">${data}</script>
+`;
+}
+
+/**
+ * Render the day panel and the commit index it reads from
+ * 
+ * @param {object} commitIndex - Result of buildCommitIndex()
+ */
+function renderDayPanel(commitIndex) {
+  const data = JSON.stringify(commitIndex).replace(/</g, '\\u003c');
+  return `
+  <!-- Day drill-down: click a day or use the arrow keys -->
+  <aside class="day-panel" id="day-panel" role="dialog" aria-labelledby="day-panel-title" hidden>
+    <div class="day-panel-header">
+      <div class="day-panel-title" id="day-panel-title"></div>
+      <button type="button" data-step="-1" aria-label="Previous day with commits">‹</button>
+      <button type="button" data-step="1" aria-label="Next day with commits">›</button>
+      <button type="button" data-close aria-label="Close">✕</button>
+    </div>
+    <ul class="day-commits" id="day-commits"></ul>
+  </aside>
+  <script type="application/json" id="commit-index">${data}</script>
+`;
+}
+
+/**
+ * Tooltip of a calendar day: commits, plus lines changed when known and
+ * pull requests, issues and reviews when collected
+ * ("3 commits · +120 −40 lines · 1 pull request on Jan 5, 2025").
+ *
+ * @param {object} day - Day from generateYearCalendar()
+ * @param {string} weight - What colors the day (see aggregateCommits)
+ * @param {object|null} activityCounts - { pullRequest, issue, review } of the day
+ */
+function dayTooltip(day, weight = 'commits', activityCounts = null) {
+  const parts = [day.count === 0 ? 'No commits' : `${day.count} commit${day.count === 1 ? '' : 's'}`];
+  if (day.count > 0 && day.lines) {
+    parts.push(`+${day.lines[0].toLocaleString()} −${day.lines[1].toLocaleString()} lines`);
+  }
+  if (day.count > 0 && weight === 'score') {
+    parts.push(`${day.value} points`);
+  }
+  for (const [type, unit] of Object.entries(ACTIVITY_TYPES)) {
+    const count = activityCounts ? activityCounts[type] : 0;
+    if (count > 0) {
+      parts.push(`${count} ${count === 1 ? unit[0] : unit[1]}`);
+    }
+  }
+  return `${parts.join(' · ')} on ${formatDate(day.date)}`;
+}
+
 /**
  * Render a single year section
+ * 
+ * @param {Array|null} yearRepos - Repositories ranked by commits this year
+ * @param {object|null} activity - Result of aggregateActivity(), for tooltips
  */
-function renderYear(year, commits) {
-  const calendar = generateYearCalendar(year, commits.byYear, commits.yearMaxDaily);
+function renderYear(year, commits, yearRepos = null, activity = null) {
+  const calendar = generateYearCalendar(year, commits);
   const yearTotal = commits.yearTotals[year] || 0;
   
+  // Most active repositories of the year
+  const topRepos = yearRepos && yearRepos.length > 0
+    ? `
+        <span class="year-repos">${yearRepos.slice(0, YEAR_TOP_REPOS).map(repo => `${escapeHtml(repo.name)} <span>${repo.commits.toLocaleString()}</span>`).join(' · ')}</span>`
+    : '';
+  
   // Generate month labels
   const monthLabels = generateMonthLabels(calendar, year);
   
@@ -653,9 +2050,7 @@ function renderYear(year, commits) {
         return '<div class="day outside"></div>';
       }
       
-      const tooltip = day.count === 0
-        ? `No commits on ${formatDate(day.date)}`
-        : `${day.count} commit${day.count === 1 ? '' : 's'} on ${formatDate(day.date)}`;
+      const tooltip = dayTooltip(day, commits.weight, activity ? activity.byDate[day.date] : null);
       
       return `<div class="day level-${day.level}" data-tooltip="${tooltip}" data-date="${day.date}"></div>`;
     }).join('');
@@ -665,12 +2060,22 @@ function renderYear(year, commits) {
   
   // Day labels
   const dayLabelsHtml = DAYS.map(d => `<div class="day-label">${d}</div>`).join('');
+  
+  // Legend: commit (or line, or score) range of every level under this year's scale
+  const labels = thresholdLabels(commits.yearThresholds[year] || [1, 2, 3, 4], weightUnit(commits.weight));
+  const legendCells = labels.map((label, level) => `
+            <div class="legend-cell" style="background: var(--level-${level})" data-tooltip="${label}"></div>`).join('');
+  const scaleNote = [WEIGHT_NAMES[commits.weight], SCALE_NAMES[commits.scale.strategy]].filter(Boolean).join(', ');
+  const scaleName = scaleNote
+    ? `
+          <span class="legend-scale">${scaleNote} ·</span>`
+    : '';
 
   return `
     <div class="year-section">
       <div class="year-header">
         <span class="year-title">${year}</span>
-        <span class="year-count">${yearTotal.toLocaleString()} commits</span>
+        <span class="year-count">${yearTotal.toLocaleString()} commits</span>${topRepos}
       </div>
       <div class="graph-container">
         <div class="graph">
@@ -680,14 +2085,9 @@ function renderYear(year, commits) {
             <div class="weeks">${weeksHtml}</div>
           </div>
         </div>
-        <div class="legend">
+        <div class="legend">${scaleName}
           <span>Less</span>
-          <div class="legend-cells">
-            <div class="legend-cell" style="background: var(--level-0)"></div>
-            <div class="legend-cell" style="background: var(--level-1)"></div>
-            <div class="legend-cell" style="background: var(--level-2)"></div>
-            <div class="legend-cell" style="background: var(--level-3)"></div>
-            <div class="legend-cell" style="background: var(--level-4)"></div>
+          <div class="legend-cells">${legendCells}
           </div>
           <span>More</span>
         </div>
@@ -730,3 +2130,14 @@ function formatDate(dateStr) {
   const year = date.getUTCFullYear();
   return `${month} ${day}, ${year}`;
 }
+
+/**
+ * Escape text for safe use in HTML content and attributes
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,83 @@
+/**
+ * Runtime
+ *
+ * The logger, fetch implementation and cache directory behind the library
+ * modules. The CLI uses the defaults (console, the global fetch and .cache/
+ * in the project); lib.js callers swap them for the duration of one call:
+ *
+ *   await withRuntime({ logger: silentLogger, cacheDir: '.site-cache' },
+ *     () => fetchAllCommits(token, 'octocat'));
+ *
+ * Scoped with AsyncLocalStorage, so concurrent calls with different
+ * runtimes don't see each other's logger or cache.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { dirname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const DEFAULTS = {
+  logger: console,
+  // Looked up per request, so a replaced global fetch is still used
+  fetch: (...args) => globalThis.fetch(...args),
+  cacheDir: join(__dirname, '..', '.cache')
+};
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Logger that drops everything
+ */
+export const silentLogger = { log() {} };
+
+/**
+ * The runtime of the current call
+ *
+ * @returns {{ logger: object, fetch: Function, cacheDir: string }}
+ */
+export function runtime() {
+  return storage.getStore() || DEFAULTS;
+}
+
+/**
+ * Run fn with parts of the runtime replaced
+ *
+ * @param {object} overrides
+ * @param {object} overrides.logger - Anything with a log() method, like console
+ * @param {Function} overrides.fetch - Same contract as the global fetch
+ * @param {string} overrides.cacheDir - Directory of the incremental cache and snapshot
+ * @param {Function} fn - Sync or async, its result is returned
+ */
+export function withRuntime({ logger, fetch, cacheDir } = {}, fn) {
+  const current = runtime();
+  if (logger && typeof logger.log !== 'function') {
+    throw new Error('logger needs a log() method');
+  }
+  if (fetch && typeof fetch !== 'function') {
+    throw new Error('fetch must be a function');
+  }
+  return storage.run({
+    logger: logger || current.logger,
+    fetch: fetch || current.fetch,
+    cacheDir: cacheDir ? resolve(cacheDir) : current.cacheDir
+  }, fn);
+}
+
+/**
+ * Progress output
+ */
+export function log(...args) {
+  runtime().logger.log(...args);
+}
+
+/**
+ * Progress line redrawn in place (\r), only on the terminal: other
+ * loggers get the log() lines around it
+ */
+export function progress(text) {
+  if (runtime().logger === console) {
+    process.stdout.write(text);
+  }
+}
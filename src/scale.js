@@ -0,0 +1,174 @@
+/**
+ * Contribution Level Scales
+ *
+ * Maps daily commit counts to the five heatmap colors (levels 0-4).
+ * Every strategy boils down to four thresholds per year, the minimum
+ * commits for levels 1-4:
+ * - auto (default): 1-4 commits when a year peaks at 4 or less,
+ *   otherwise 25/50/75% of the year's busiest day
+ * - quantile: quartiles of the year's active days, so every level
+ *   holds about as many days
+ * - log: 25/50/75% of the busiest day on a log scale, so one huge
+ *   import day doesn't wash out the rest of the year
+ * - global: like auto, but relative to the busiest day of all years
+ * - custom: fixed thresholds for every year, e.g. "1,3,6,10"
+ *
+ * What a day is worth depends on the weight:
+ * - commits (default): number of commits
+ * - lines: lines added plus deleted (at least 1 per commit)
+ * - score: every commit counts 1 + log10(1 + lines changed), so a
+ *   one-line fix is worth ~1.3 and a 10,000-line import ~5
+ *
+ * levelThresholds() and thresholdLabels() are also shipped to the browser
+ * (the repository filter recolors the heatmap with them), so they must
+ * stay self-contained.
+ */
+
+export const SCALE_STRATEGIES = ['auto', 'quantile', 'log', 'global'];
+export const WEIGHTS = ['commits', 'lines', 'score'];
+
+// Legend units per weight
+const WEIGHT_UNITS = {
+  commits: ['commit', 'commits'],
+  lines: ['line', 'lines'],
+  score: ['point', 'points']
+};
+
+/**
+ * Lines added plus deleted (0 when unknown)
+ */
+export function linesChanged(commit) {
+  return (commit.additions || 0) + (commit.deletions || 0);
+}
+
+/**
+ * What one commit adds to its day
+ */
+export function commitWeight(commit, weight = 'commits') {
+  // At least one line, so days of merges or uncounted commits don't look empty
+  if (weight === 'lines') return Math.max(1, linesChanged(commit));
+  if (weight === 'score') return 1 + Math.log10(1 + linesChanged(commit));
+  return 1;
+}
+
+/**
+ * Parse a --scale value
+ *
+ * @param {string} value - Strategy name or four comma-separated thresholds
+ * @returns {{ strategy, thresholds? }}
+ */
+export function parseScale(value = 'auto') {
+  if (SCALE_STRATEGIES.includes(value)) {
+    return { strategy: value };
+  }
+
+  const thresholds = String(value).split(',').map(Number);
+  // Level 1 starts at one commit, so no active day looks empty
+  const valid = thresholds.length === 4
+    && thresholds.every(Number.isInteger)
+    && thresholds[0] === 1
+    && thresholds.every((threshold, index) => index === 0 || threshold > thresholds[index - 1]);
+  if (!valid) {
+    throw new Error(`Invalid scale: ${value} (use ${SCALE_STRATEGIES.join(', ')} or four ascending whole numbers starting at 1, like 1,3,6,10)`);
+  }
+  return { strategy: 'custom', thresholds };
+}
+
+/**
+ * Minimum commits for levels 1-4
+ *
+ * Counts are whole numbers, so thresholds are rounded up.
+ *
+ * @param {number[]} counts - Daily commit counts of one year
+ * @param {object} scale - Result of parseScale()
+ * @param {number} globalMax - Busiest day of all years ('global' only)
+ */
+export function levelThresholds(counts, scale, globalMax = 0) {
+  const max = Math.max(0, ...counts);
+  const whole = (thresholds) => thresholds.map(threshold => Math.ceil(threshold));
+
+  switch (scale.strategy) {
+    case 'custom':
+      return scale.thresholds.slice();
+
+    case 'quantile': {
+      const active = counts.filter(count => count > 0).sort((a, b) => a - b);
+      if (active.length === 0) return [1, 2, 3, 4];
+      const quantile = (p) => active[Math.floor(p * (active.length - 1))];
+      // Smallest step between values: whole counts, or scores rounded to
+      // one decimal (a whole step would lump most score days into level 1)
+      const step = active.every(Number.isInteger) ? 1 : 0.1;
+      const above = (value) => Math.round((value + step) * 10) / 10;
+      // Above the 25th/50th/75th percentile moves up a level. Tied
+      // quartiles (lots of 1-commit days) push the next level up instead
+      // of leaving it empty.
+      const thresholds = [1, above(quantile(0.25)), above(quantile(0.5)), above(quantile(0.75))];
+      for (let level = 1; level < 4; level++) {
+        thresholds[level] = Math.max(thresholds[level], above(thresholds[level - 1]));
+      }
+      return thresholds;
+    }
+
+    case 'log':
+      if (max <= 4) return [1, 2, 3, 4];
+      return whole([1, Math.pow(max, 0.25), Math.pow(max, 0.5), Math.pow(max, 0.75)]);
+
+    default: {
+      // auto and global
+      const peak = scale.strategy === 'global' ? globalMax : max;
+      if (peak <= 4) return [1, 2, 3, 4];
+      return whole([1, peak * 0.25, peak * 0.5, peak * 0.75]);
+    }
+  }
+}
+
+/**
+ * Ranges covered by each level, for legends
+ *
+ * @param {number[]} thresholds - Result of levelThresholds()
+ * @param {string[]} unit - [singular, plural] ('commit', 'commits')
+ * @returns {string[]} Five labels, level 0 first ('2–4 commits', '10+ commits')
+ */
+export function thresholdLabels(thresholds, unit = ['commit', 'commits']) {
+  const labels = [`No ${unit[1]}`];
+  for (let level = 1; level <= 4; level++) {
+    const from = thresholds[level - 1];
+    if (level === 4) {
+      labels.push(`${from}+ ${unit[1]}`);
+      continue;
+    }
+    // Fractional scores below the next threshold still belong here
+    const to = thresholds[level] - 1;
+    if (unit[0] === 'point') {
+      labels.push(`${from}–${thresholds[level]} ${unit[1]}`);
+    } else if (to === from) {
+      labels.push(`${from} ${from === 1 ? unit[0] : unit[1]}`);
+    } else {
+      labels.push(`${from}–${to} ${unit[1]}`);
+    }
+  }
+  return labels;
+}
+
+/**
+ * Legend unit of a weight, for thresholdLabels()
+ */
+export function weightUnit(weight = 'commits') {
+  return WEIGHT_UNITS[weight] || WEIGHT_UNITS.commits;
+}
+
+/**
+ * Thresholds for every year of aggregated commits
+ *
+ * @param {object} byYear - year -> { date -> value } (from aggregateCommits)
+ * @param {object} scale - Result of parseScale()
+ * @returns {object} year -> [t1, t2, t3, t4]
+ */
+export function computeYearThresholds(byYear, scale) {
+  const globalMax = Math.max(0, ...Object.values(byYear).flatMap(days => Object.values(days)));
+  const thresholds = {};
+  for (const [year, days] of Object.entries(byYear)) {
+    thresholds[year] = levelThresholds(Object.values(days), scale, globalMax);
+  }
+  return thresholds;
+}
@@ -0,0 +1,147 @@
+/**
+ * Local Preview Server
+ *
+ * Serves the output directory over HTTP, so embeds, iframes and the widget
+ * can be tried the way a site would host them (file:// blocks some of
+ * the postMessage and fetch behavior). Binds to localhost only.
+ *
+ * Other directories can be mounted under a path (the examples link to
+ * ../dist/widget.html, so `serve` mounts examples/ and dist/ next to the
+ * output). With live reload, HTML pages get a small script that reloads
+ * them when the server says so (an EventSource on /__reload).
+ */
+
+import { createServer } from 'http';
+import { createReadStream, existsSync, readFileSync, statSync } from 'fs';
+import { extname, join, resolve, sep } from 'path';
+
+const HOST = '127.0.0.1';
+const RELOAD_PATH = '/__reload';
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.gif': 'image/gif'
+};
+
+// Injected before </body>; reconnects on its own while the server restarts
+const RELOAD_SCRIPT = `<script>new EventSource('${RELOAD_PATH}').onmessage = () => location.reload();</script>`;
+
+/**
+ * Live reload: browsers listening on /__reload, told to reload after a rebuild
+ *
+ * @returns {{ connect(request, response), reload() }}
+ */
+export function createLiveReload() {
+  const clients = new Set();
+  return {
+    connect(request, response) {
+      response.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+      });
+      response.write(': connected\n\n');
+      clients.add(response);
+      request.on('close', () => clients.delete(response));
+    },
+    reload() {
+      for (const client of clients) {
+        client.write('data: reload\n\n');
+      }
+    }
+  };
+}
+
+/**
+ * File a request path maps to, or null outside of the roots
+ *
+ * @param {string} root - Served at /
+ * @param {object} mounts - Path prefix ('/examples/') -> directory
+ */
+function resolveRequest(root, mounts, url) {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(url, `http://${HOST}`).pathname);
+  } catch {
+    return null;
+  }
+
+  let base = root;
+  for (const [prefix, dir] of Object.entries(mounts)) {
+    if (pathname.startsWith(prefix)) {
+      base = dir;
+      pathname = pathname.slice(prefix.length - 1);
+      break;
+    }
+  }
+
+  const file = resolve(join(base, pathname));
+  if (file !== base && !file.startsWith(base + sep)) {
+    return null;
+  }
+  return existsSync(file) && statSync(file).isDirectory() ? join(file, 'index.html') : file;
+}
+
+/**
+ * Serve a directory until the process ends
+ *
+ * @param {string} dir - Directory to serve (the output directory)
+ * @param {number} port - Port on localhost
+ * @param {object} options
+ * @param {object} options.mounts - Path prefix ('/examples/') -> directory
+ * @param {object} options.liveReload - From createLiveReload(), or null
+ * @returns {Promise<http.Server>} Once listening
+ */
+export function serveDirectory(dir, port, { mounts = {}, liveReload = null } = {}) {
+  const root = resolve(dir);
+  const mountRoots = Object.fromEntries(Object.entries(mounts).map(([prefix, mountDir]) => [prefix, resolve(mountDir)]));
+
+  const server = createServer((request, response) => {
+    if (liveReload && request.url === RELOAD_PATH) {
+      liveReload.connect(request, response);
+      return;
+    }
+
+    const file = resolveRequest(root, mountRoots, request.url);
+    if (!file) {
+      response.writeHead(403, { 'Content-Type': 'text/plain; charset=utf-8' });
+      response.end('Forbidden');
+      return;
+    }
+    if (!existsSync(file)) {
+      response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      response.end('Not found');
+      return;
+    }
+
+    const contentType = CONTENT_TYPES[extname(file)] || 'application/octet-stream';
+    const headers = {
+      'Content-Type': contentType,
+      // Always the latest render
+      'Cache-Control': 'no-cache'
+    };
+
+    if (liveReload && extname(file) === '.html') {
+      const html = readFileSync(file, 'utf-8');
+      const index = html.lastIndexOf('</body>');
+      response.writeHead(200, headers);
+      response.end(index === -1 ? html + RELOAD_SCRIPT : html.slice(0, index) + RELOAD_SCRIPT + html.slice(index));
+      return;
+    }
+
+    response.writeHead(200, headers);
+    createReadStream(file).pipe(response);
+  });
+
+  return new Promise((resolveServer, reject) => {
+    server.once('error', (err) => {
+      reject(err.code === 'EADDRINUSE' ? new Error(`Port ${port} is in use (pick another with --port)`) : err);
+    });
+    server.listen(port, HOST, () => resolveServer(server));
+  });
+}
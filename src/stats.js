@@ -0,0 +1,138 @@
+/**
+ * Commit Statistics
+ *
+ * Streaks, busiest periods, cadence and growth. Works on the raw commits
+ * (hour of day needs timestamps, not just dates) and buckets them in the
+ * same timezone as aggregateCommits.
+ */
+
+import { AUTHOR_TIMEZONE, createDateBucketer } from './timezone.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function dateKey(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function addDays(key, days) {
+  return dateKey(new Date(Date.parse(key + 'T00:00:00Z') + days * DAY_MS));
+}
+
+/**
+ * Start (Sunday) of the calendar week a date falls in, like the heatmap columns
+ */
+function weekStart(key) {
+  const date = new Date(key + 'T00:00:00Z');
+  return addDays(key, -date.getUTCDay());
+}
+
+/**
+ * Largest entry of a { key: count } map (earliest key wins ties)
+ */
+function busiest(counts) {
+  let best = null;
+  for (const key of Object.keys(counts).sort()) {
+    if (!best || counts[key] > best.commits) {
+      best = { key, commits: counts[key] };
+    }
+  }
+  return best;
+}
+
+/**
+ * Longest run of consecutive active days, and the run ending today
+ * (or yesterday - today isn't over yet)
+ */
+function computeStreaks(activeDates, todayKey) {
+  let longest = null;
+  let run = null;
+
+  for (const date of activeDates) {
+    if (run && addDays(run.end, 1) === date) {
+      run.end = date;
+      run.days++;
+    } else {
+      run = { start: date, end: date, days: 1 };
+    }
+    if (!longest || run.days > longest.days) {
+      longest = { ...run };
+    }
+  }
+
+  const current = run && (run.end === todayKey || run.end === addDays(todayKey, -1))
+    ? run
+    : { start: null, end: null, days: 0 };
+
+  return {
+    longest: longest || { start: null, end: null, days: 0 },
+    current
+  };
+}
+
+/**
+ * Compute all statistics
+ *
+ * @param {Array} commits - Raw commits ({ date, ... })
+ * @param {string} timezone - Day boundaries: 'UTC', an IANA zone or 'author'
+ * @param {Date} today - Reference for the current streak and partial year
+ * @returns {object} Plain JSON (also written to widget-data.json)
+ */
+export function computeStats(commits, timezone = 'UTC', today = new Date()) {
+  const bucket = createDateBucketer(timezone);
+  // "Today" for the author's own clock is today where this runs
+  const todayBucket = createDateBucketer(timezone === AUTHOR_TIMEZONE ? Intl.DateTimeFormat().resolvedOptions().timeZone : timezone);
+  const todayKey = todayBucket(today.toISOString()).date;
+
+  const byDate = {};
+  const byWeek = {};
+  const byMonth = {};
+  const byYear = {};
+  const weekdays = new Array(7).fill(0); // Sun..Sat
+  const hours = new Array(24).fill(0);   // 0..23 local time
+
+  for (const commit of commits) {
+    const local = bucket(commit.date);
+    const key = local.date;
+
+    byDate[key] = (byDate[key] || 0) + 1;
+    byWeek[weekStart(key)] = (byWeek[weekStart(key)] || 0) + 1;
+    byMonth[key.slice(0, 7)] = (byMonth[key.slice(0, 7)] || 0) + 1;
+    byYear[key.slice(0, 4)] = (byYear[key.slice(0, 4)] || 0) + 1;
+    weekdays[local.weekday]++;
+    hours[local.hour]++;
+  }
+
+  const activeDates = Object.keys(byDate).sort();
+  const streaks = computeStreaks(activeDates, todayKey);
+  const day = busiest(byDate);
+  const week = busiest(byWeek);
+  const month = busiest(byMonth);
+
+  const currentYear = todayKey.slice(0, 4);
+  const years = Object.keys(byYear).sort();
+  const yearOverYear = years.map(year => {
+    const previous = byYear[String(Number(year) - 1)] || null;
+    return {
+      year,
+      commits: byYear[year],
+      // Percent change against the calendar year before (null without commits then)
+      change: previous ? Math.round((byYear[year] - previous) / previous * 1000) / 10 : null,
+      partial: year === currentYear
+    };
+  });
+
+  return {
+    timezone,
+    totalCommits: commits.length,
+    activeDays: activeDates.length,
+    averagePerActiveDay: activeDates.length > 0 ? Math.round(commits.length / activeDates.length * 10) / 10 : 0,
+    longestStreak: streaks.longest,
+    currentStreak: streaks.current,
+    busiestDay: day ? { date: day.key, commits: day.commits } : null,
+    busiestWeek: week ? { start: week.key, commits: week.commits } : null,
+    busiestMonth: month ? { month: month.key, commits: month.commits } : null,
+    weekdays,
+    hours,
+    yearOverYear
+  };
+}
@@ -0,0 +1,110 @@
+/**
+ * Team Timelines
+ *
+ * Builds one timeline for a whole organization or a list of users.
+ * Every member is fetched through fetchAllCommits with their own cache,
+ * over the token's repositories (listed once) plus the member's public
+ * ones, and their commits are tagged so the renderer can show a per-member
+ * leaderboard and calendars next to the combined heatmap.
+ */
+
+import { fetchAllCommits } from './fetch.js';
+import { createProvider } from './providers/index.js';
+import { SAFE_NAME } from './identities.js';
+import { log } from './runtime.js';
+
+/**
+ * List the members of an organization (GitLab: group)
+ *
+ * @param {string} token - API token for the provider
+ * @param {string} org - Organization name
+ * @param {object} options - { provider, baseUrl }
+ */
+export async function fetchOrgMembers(token, org, options = {}) {
+  const { provider: providerName = 'github', baseUrl } = options;
+  const provider = createProvider(providerName, { token, baseUrl });
+
+  log(`🏢 Loading members of ${org}...`);
+  const members = await provider.listOrgMembers(org);
+
+  if (members.length === 0) {
+    throw new Error(`No visible members in ${org} (private memberships need the read:org scope)`);
+  }
+  log(`   Found ${members.length} members`);
+
+  return members;
+}
+
+/**
+ * Fetch commits for every team member and merge them
+ *
+ * @param {string} token - API token for the provider
+ * @param {string[]} members - Usernames to include
+ * @param {string} repoFilter - Filter: 'all', 'owned', 'forks', 'contributions'
+ * @param {boolean} forceRefresh - If true, ignore cache and fetch everything
+ * @param {object} options - { provider, baseUrl, ... } passed to fetchAllCommits
+ */
+export async function fetchTeamCommits(token, members, repoFilter = 'all', forceRefresh = false, options = {}) {
+  const { provider = 'github', baseUrl } = options;
+
+  // Part of the cache directory name (see cacheKey below)
+  for (const member of members) {
+    if (!SAFE_NAME.test(member)) {
+      throw new Error(`Invalid team member "${member}": usernames may only contain letters, digits, "-", "_" and "." (and not start with ".")`);
+    }
+  }
+
+  const client = createProvider(provider, { token, baseUrl });
+  const commitMap = new Map();
+  const activityMap = new Map();
+  const memberNames = [];
+  const languages = {};
+
+  // The token sees the same repositories for every member, list them once
+  let sharedRepos = [];
+  if (repoFilter !== 'contributions') {
+    log('📚 Loading repositories shared by the team...');
+    sharedRepos = await client.listRepos();
+    log(`   Found ${sharedRepos.length} repositories`);
+  }
+
+  for (const [index, member] of members.entries()) {
+    log(`\n👥 Member ${index + 1}/${members.length}`);
+
+    // Plus the member's own public repositories the token is not part of
+    const repos = new Map(sharedRepos.map(repo => [repo.full_name, repo]));
+    if (repoFilter !== 'contributions') {
+      for (const repo of await client.listUserRepos(member)) {
+        if (!repos.has(repo.full_name)) repos.set(repo.full_name, repo);
+      }
+    }
+
+    const result = await fetchAllCommits(token, member, repoFilter, forceRefresh, {
+      ...options,
+      repos: Array.from(repos.values()),
+      cacheKey: `${provider}-member-${member}`
+    });
+
+    memberNames.push(result.username);
+    Object.assign(languages, result.languages);
+    for (const commit of result.commits) {
+      if (!commitMap.has(commit.sha)) {
+        commitMap.set(commit.sha, { ...commit, member: result.username });
+      }
+    }
+    for (const item of result.activity || []) {
+      if (!activityMap.has(item.id)) {
+        activityMap.set(item.id, { ...item, member: result.username });
+      }
+    }
+  }
+
+  log(`\n✅ Team total: ${commitMap.size} unique commits from ${members.length} members`);
+
+  return {
+    commits: Array.from(commitMap.values()),
+    members: memberNames,
+    languages,
+    activity: options.activity ? Array.from(activityMap.values()) : null
+  };
+}
@@ -0,0 +1,107 @@
+/**
+ * Timezones
+ *
+ * Decides which calendar day (and hour) a commit belongs to:
+ * - 'UTC' (default)
+ * - an IANA zone like 'Europe/Berlin': wall-clock time there, DST included
+ * - 'author': the UTC offset recorded with each commit, i.e. the clock
+ *   on the author's machine. GitHub's REST API normalizes dates to UTC,
+ *   so those commits stay UTC; GraphQL, search, GitLab, Gitea and local
+ *   clones keep the original offset.
+ */
+
+export const AUTHOR_TIMEZONE = 'author';
+
+const OFFSET_PATTERN = /([+-])(\d{2}):?(\d{2})$/;
+
+/**
+ * Validate a --timezone value and return its canonical name
+ *
+ * @param {string} name - IANA zone, 'UTC', 'local' (this machine) or 'author'
+ */
+export function resolveTimezone(name = 'UTC') {
+  if (name === AUTHOR_TIMEZONE) {
+    return name;
+  }
+  if (name === 'local') {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone;
+  }
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone: name }).resolvedOptions().timeZone;
+  } catch {
+    throw new Error(`Unknown timezone: ${name} (use an IANA name like Europe/Berlin, UTC, local or author)`);
+  }
+}
+
+/**
+ * Whether a commit date records its UTC offset ('+02:00'), which 'author'
+ * mode needs ('Z' and offset-less dates are plain UTC)
+ */
+export function hasOffset(value) {
+  return OFFSET_PATTERN.test(String(value));
+}
+
+/**
+ * Human-readable name of a timezone for labels
+ */
+export function timezoneLabel(timezone = 'UTC') {
+  return timezone === AUTHOR_TIMEZONE ? "author's local time" : timezone;
+}
+
+/**
+ * Calendar fields of a Date whose UTC fields already hold the local wall-clock time
+ */
+function wallClockFields(shifted, suffix) {
+  const iso = shifted.toISOString();
+  return {
+    date: iso.slice(0, 10),
+    hour: shifted.getUTCHours(),
+    weekday: shifted.getUTCDay(),
+    time: iso.slice(11, 16) + suffix
+  };
+}
+
+/**
+ * Create a function mapping a commit date to its local calendar fields
+ *
+ * @param {string} timezone - Result of resolveTimezone()
+ * @returns {Function} (dateString) => { date: 'YYYY-MM-DD', hour, weekday, time: 'HH:MM' }
+ *   In 'author' mode `time` carries the commit's own offset ('14:03 +02:00').
+ */
+export function createDateBucketer(timezone = 'UTC') {
+  if (timezone === 'UTC' || timezone === 'Etc/UTC') {
+    return (value) => wallClockFields(new Date(value), '');
+  }
+
+  if (timezone === AUTHOR_TIMEZONE) {
+    return (value) => {
+      const match = String(value).match(OFFSET_PATTERN);
+      if (!match) {
+        return wallClockFields(new Date(value), ' UTC');
+      }
+      const [, sign, hours, minutes] = match;
+      const offset = (sign === '-' ? -1 : 1) * (parseInt(hours) * 60 + parseInt(minutes));
+      const shifted = new Date(Date.parse(value) + offset * 60 * 1000);
+      return wallClockFields(shifted, ` ${sign}${hours}:${minutes}`);
+    };
+  }
+
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+
+  return (value) => {
+    const parts = {};
+    for (const { type, value: part } of formatter.formatToParts(new Date(value))) {
+      parts[type] = part;
+    }
+    const shifted = new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute));
+    return wallClockFields(shifted, '');
+  };
+}
@@ -0,0 +1,124 @@
+/**
+ * Live Rebuild
+ *
+ * `serve --watch` rebuilds the output from the cache whenever the renderers,
+ * the widget template, the snapshot or the config file change, then tells
+ * the browser to reload (see serve.js). No network: a new fetch shows up
+ * once it has saved the snapshot.
+ *
+ * Rebuilds run `render` and `widget` in a child process, so each one
+ * imports the current render.js instead of the copy loaded at start.
+ */
+
+import { execFile } from 'child_process';
+import { watch } from 'fs';
+import { basename, dirname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { log, runtime } from './runtime.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const CLI = join(__dirname, 'cli.js');
+const REBUILD_TIMEOUT = 5 * 60 * 1000;
+// Editors save in bursts (temporary file, rename, touch)
+const DEBOUNCE_MS = 150;
+
+/**
+ * Files that trigger a rebuild
+ *
+ * @param {string|null} configFile - Config file in use
+ */
+export function watchedFiles(configFile = null) {
+  return [
+    join(__dirname, 'render.js'),
+    join(__dirname, 'image.js'),
+    join(__dirname, '..', 'templates', 'widget.html.template'),
+    join(runtime().cacheDir, 'commits.json'),
+    ...(configFile ? [resolve(configFile)] : [])
+  ];
+}
+
+/**
+ * Run one step of the CLI with the serve arguments
+ */
+function runStep(command, args) {
+  return new Promise((resolveStep, reject) => {
+    execFile(process.execPath, [CLI, command, ...args], { timeout: REBUILD_TIMEOUT, maxBuffer: 16 * 1024 * 1024 }, (err, stdout, stderr) => {
+      if (err) {
+        reject(new Error(`${command} failed:\n${`${stdout}${stderr}`.trim() || err.message}`));
+        return;
+      }
+      resolveStep();
+    });
+  });
+}
+
+/**
+ * Render and build the widget from the cache
+ *
+ * @param {string[]} args - Options of the serve command (settings apply to every step)
+ */
+export async function rebuildFromCache(args) {
+  await runStep('render', args);
+  await runStep('widget', args);
+}
+
+/**
+ * Watch files (through their directories, which survives the atomic
+ * renames of editors and cache.js) and rebuild on change
+ *
+ * @param {string[]} files - From watchedFiles()
+ * @param {Function} rebuild - async, called once per burst of changes;
+ *   failures are logged
+ * @returns {Function} Stops watching
+ */
+export function watchAndRebuild(files, rebuild) {
+  const byDir = new Map();
+  for (const file of files) {
+    const dir = dirname(file);
+    if (!byDir.has(dir)) byDir.set(dir, new Set());
+    byDir.get(dir).add(basename(file));
+  }
+
+  let timer = null;
+  let running = false;
+  let pending = false;
+
+  async function run() {
+    if (running) {
+      pending = true;
+      return;
+    }
+    running = true;
+    try {
+      await rebuild();
+    } catch (err) {
+      // Keep serving the last good output until the next change
+      log(`\n⚠️  Rebuild failed, still serving the previous output\n${err.message}\n`);
+    } finally {
+      running = false;
+      if (pending) {
+        pending = false;
+        run();
+      }
+    }
+  }
+
+  const watchers = [];
+  for (const [dir, names] of byDir) {
+    try {
+      watchers.push(watch(dir, (event, name) => {
+        if (!name || !names.has(name)) return;
+        clearTimeout(timer);
+        timer = setTimeout(run, DEBOUNCE_MS);
+      }));
+    } catch (err) {
+      // The cache directory only exists after the first fetch
+      log(`   ⚠️  Not watching ${dir}: ${err.message}`);
+    }
+  }
+
+  return () => {
+    clearTimeout(timer);
+    watchers.forEach(watcher => watcher.close());
+  };
+}
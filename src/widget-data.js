@@ -0,0 +1,170 @@
+/**
+ * Widget Data
+ *
+ * The data behind the animated widget (widget-data.json), built from
+ * aggregateCommits() output when the pages are rendered, so the widget
+ * doesn't depend on their markup. Schema, version 1:
+ *
+ *   {
+ *     version: 1,
+ *     username: 'octocat',
+ *     totalCommits: 1234,         // After filters
+ *     repoCount: 56,
+ *     daysWithCommits: 321,
+ *     totalDays: 2192,            // Length of commits
+ *     startDate: '2019-01-01',    // January 1 of the first year, null without commits
+ *     endDate: '2024-12-31',      // December 31 of the last year, null without commits
+ *     timezone: 'UTC',            // Days are bucketed in it (see --timezone)
+ *     stats: { ... },             // computeStats()
+ *     scale: {                    // Color scale of the levels (see scale.js)
+ *       strategy: 'auto',
+ *       weight: 'commits',
+ *       years: { '2024': [1, 3, 6, 10] },            // Minimum value of levels 1-4
+ *       labels: { '2024': ['No commits', '1–2 commits', ...] } // Legend of levels 0-4
+ *     },
+ *     commits: [                  // Every day from startDate to endDate
+ *       { date: '2024-01-01', count: 3, level: 2, additions: 120, deletions: 40 }
+ *     ]                           // additions/deletions only when line counts are known
+ *   }
+ *
+ * Bump WIDGET_DATA_VERSION with every change the widget template can't
+ * read as is; validateWidgetData() then asks for a fresh render instead
+ * of building a broken widget.
+ */
+
+import { generateYearCalendar } from './aggregate.js';
+import { thresholdLabels, weightUnit } from './scale.js';
+
+export const WIDGET_DATA_VERSION = 1;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Widget data of an aggregated history
+ *
+ * @param {object} aggregated - From aggregateCommits()
+ * @param {object} options
+ * @param {string} options.username - Shown in the widget header
+ * @param {string} options.timezone - The days were bucketed in (see timezone.js)
+ * @param {object|null} options.stats - From computeStats()
+ * @returns {object} The contents of widget-data.json
+ */
+export function buildWidgetData(aggregated, { username, timezone, stats = null }) {
+  // Every year from the first to the last, years without commits as empty days
+  const years = [...aggregated.years].map(Number).sort((a, b) => a - b);
+  const days = [];
+  for (let year = years[0]; year <= years[years.length - 1]; year++) {
+    for (const week of generateYearCalendar(String(year), aggregated)) {
+      for (const day of week) {
+        if (!day.inYear) continue;
+        const entry = { date: day.date, count: day.count, level: day.level };
+        if (day.lines) {
+          entry.additions = day.lines[0];
+          entry.deletions = day.lines[1];
+        }
+        days.push(entry);
+      }
+    }
+  }
+
+  const labels = {};
+  for (const [year, thresholds] of Object.entries(aggregated.yearThresholds)) {
+    labels[year] = thresholdLabels(thresholds, weightUnit(aggregated.weight));
+  }
+
+  return {
+    version: WIDGET_DATA_VERSION,
+    username,
+    totalCommits: days.reduce((sum, day) => sum + day.count, 0),
+    repoCount: aggregated.repoCount,
+    daysWithCommits: days.filter(day => day.count > 0).length,
+    totalDays: days.length,
+    startDate: days.length > 0 ? days[0].date : null,
+    endDate: days.length > 0 ? days[days.length - 1].date : null,
+    timezone,
+    stats,
+    scale: {
+      strategy: aggregated.scale.strategy,
+      weight: aggregated.weight,
+      years: aggregated.yearThresholds,
+      labels
+    },
+    commits: days
+  };
+}
+
+/**
+ * Check widget data against the schema
+ *
+ * @param {object} data - Parsed widget-data.json
+ * @param {string} source - Names the data in error messages
+ * @returns {object} data
+ */
+export function validateWidgetData(data, source = 'widget-data.json') {
+  const fail = (message) => {
+    throw new Error(`${source}: ${message}`);
+  };
+  const isCount = (value) => Number.isInteger(value) && value >= 0;
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    fail('must contain an object');
+  }
+  if (data.version === undefined) {
+    fail('has no schema version (written by an older version, render again)');
+  }
+  if (data.version !== WIDGET_DATA_VERSION) {
+    fail(`uses schema v${data.version}, but this version only knows v${WIDGET_DATA_VERSION} (render again)`);
+  }
+
+  if (typeof data.username !== 'string') fail('"username" must be a string');
+  if (typeof data.timezone !== 'string') fail('"timezone" must be a string');
+  for (const field of ['totalCommits', 'repoCount', 'daysWithCommits', 'totalDays']) {
+    if (!isCount(data[field])) fail(`"${field}" must be a whole number of at least 0`);
+  }
+  if (data.stats !== null && (typeof data.stats !== 'object' || Array.isArray(data.stats))) {
+    fail('"stats" must be an object or null');
+  }
+
+  const scale = data.scale;
+  if (!scale || typeof scale !== 'object' || !scale.years || !scale.labels) {
+    fail('"scale" must be an object with "years" and "labels"');
+  }
+  for (const [year, thresholds] of Object.entries(scale.years)) {
+    if (!Array.isArray(thresholds) || thresholds.length !== 4 || !thresholds.every(value => typeof value === 'number')) {
+      fail(`"scale.years.${year}" must be 4 numbers`);
+    }
+    if (!Array.isArray(scale.labels[year]) || scale.labels[year].length !== 5) {
+      fail(`"scale.labels.${year}" must be 5 labels`);
+    }
+  }
+
+  const days = data.commits;
+  if (!Array.isArray(days) || days.length !== data.totalDays) {
+    fail(`"commits" must be an array of "totalDays" (${data.totalDays}) days`);
+  }
+  let previous = null;
+  for (const [index, day] of days.entries()) {
+    if (!day || typeof day.date !== 'string' || !DATE_PATTERN.test(day.date)) {
+      fail(`"commits[${index}].date" must be a YYYY-MM-DD date`);
+    }
+    if (previous) {
+      const expected = new Date(previous + 'T00:00:00Z');
+      expected.setUTCDate(expected.getUTCDate() + 1);
+      if (day.date !== expected.toISOString().slice(0, 10)) {
+        fail(`"commits[${index}]" must follow ${previous} without gaps (got ${day.date})`);
+      }
+    }
+    if (!isCount(day.count)) fail(`"commits[${index}].count" must be a whole number of at least 0`);
+    if (!(Number.isInteger(day.level) && day.level >= 0 && day.level <= 4)) {
+      fail(`"commits[${index}].level" must be 0 to 4`);
+    }
+    previous = day.date;
+  }
+
+  const first = days.length > 0 ? days[0].date : null;
+  const last = days.length > 0 ? days[days.length - 1].date : null;
+  if (data.startDate !== first || data.endDate !== last) {
+    fail(`"startDate" and "endDate" must be the first and last day of "commits" (${first} and ${last})`);
+  }
+  return data;
+}
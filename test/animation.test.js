@@ -0,0 +1,192 @@
+/**
+ * Widget animation: the APNG and GIF files are decoded back into their
+ * chunks and blocks, and their frame delays must add up to the duration
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { crc32, inflateSync } from 'zlib';
+import { aggregateCommits } from '../src/aggregate.js';
+import { buildWidgetData } from '../src/widget-data.js';
+import { renderWidgetAnimation } from '../src/animation.js';
+import { encodeAPNG } from '../src/png.js';
+import { encodeGIF } from '../src/gif.js';
+import { withRuntime, silentLogger } from '../src/runtime.js';
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * PNG chunks as { type, data }, checking lengths and CRCs
+ */
+function readChunks(file) {
+  assert.deepEqual(file.subarray(0, 8), PNG_SIGNATURE);
+  const chunks = [];
+  let offset = 8;
+  while (offset < file.length) {
+    const length = file.readUInt32BE(offset);
+    const body = file.subarray(offset + 4, offset + 8 + length);
+    assert.equal(file.readUInt32BE(offset + 8 + length), crc32(body), `CRC of chunk ${chunks.length}`);
+    chunks.push({ type: body.subarray(0, 4).toString('ascii'), data: body.subarray(4) });
+    offset += 12 + length;
+  }
+  assert.equal(offset, file.length);
+  return chunks;
+}
+
+/**
+ * Frames of an APNG: { width, height, x, y, delay (ms), data (inflated) }
+ */
+function readAPNG(file) {
+  const chunks = readChunks(file);
+  assert.deepEqual([chunks[0].type, chunks[1].type, chunks[chunks.length - 1].type], ['IHDR', 'acTL', 'IEND']);
+  const header = chunks[0].data;
+  const [frameCount, plays] = [chunks[1].data.readUInt32BE(0), chunks[1].data.readUInt32BE(4)];
+
+  const frames = [];
+  let sequence = 0;
+  for (const { type, data } of chunks.slice(2, -1)) {
+    // fcTL and fdAT share one running sequence number
+    if (type !== 'IDAT') assert.equal(data.readUInt32BE(0), sequence++);
+    if (type === 'fcTL') {
+      frames.push({
+        width: data.readUInt32BE(4),
+        height: data.readUInt32BE(8),
+        x: data.readUInt32BE(12),
+        y: data.readUInt32BE(16),
+        delay: data.readUInt16BE(20) * 1000 / data.readUInt16BE(22),
+        data: []
+      });
+    } else {
+      frames[frames.length - 1].data.push(type === 'IDAT' ? data : data.subarray(4));
+    }
+  }
+  assert.equal(frames.length, frameCount);
+  // Only the first frame is in IDAT, which plain PNG viewers show
+  assert.equal(chunks.filter(c => c.type === 'IDAT').length, 1);
+  assert.equal(chunks[3].type, 'IDAT');
+
+  return {
+    width: header.readUInt32BE(0),
+    height: header.readUInt32BE(4),
+    plays,
+    frames: frames.map(frame => ({ ...frame, data: inflateSync(Buffer.concat(frame.data)) }))
+  };
+}
+
+/**
+ * Frames of a GIF: { x, y, width, height, delay (cs) }, skipping image data
+ */
+function readGIF(file) {
+  assert.equal(file.subarray(0, 6).toString('ascii'), 'GIF89a');
+  const width = file.readUInt16LE(6);
+  const height = file.readUInt16LE(8);
+  const packed = file[10];
+  let offset = 13 + (packed & 0x80 ? 3 * (2 << (packed & 0x07)) : 0);
+
+  const skipSubBlocks = () => {
+    while (file[offset] !== 0) offset += file[offset] + 1;
+    offset++;
+  };
+
+  let loops = null;
+  let delay = null;
+  const frames = [];
+  for (;;) {
+    const introducer = file[offset++];
+    if (introducer === 0x3b) break;
+    if (introducer === 0x21) {
+      const label = file[offset++];
+      if (label === 0xf9) {
+        assert.equal(file[offset], 4);
+        delay = file.readUInt16LE(offset + 2);
+      } else if (label === 0xff && file.subarray(offset + 1, offset + 12).toString('ascii') === 'NETSCAPE2.0') {
+        loops = file.readUInt16LE(offset + 14);
+      }
+      skipSubBlocks();
+    } else {
+      assert.equal(introducer, 0x2c, `block at ${offset - 1}`);
+      assert.notEqual(delay, null, 'every image follows a graphic control extension');
+      frames.push({ x: file.readUInt16LE(offset), y: file.readUInt16LE(offset + 2), width: file.readUInt16LE(offset + 4), height: file.readUInt16LE(offset + 6), delay });
+      delay = null;
+      offset += 9 + 1; // Descriptor, then the LZW minimum code size
+      skipSubBlocks();
+    }
+  }
+  assert.equal(offset, file.length);
+  return { width, height, loops, frames };
+}
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+// Two years of history: longer than one window, so the window scrolls
+const widgetData = () => {
+  const commits = Array.from({ length: 60 }, (_, index) => ({
+    sha: String(index), message: 'Update', repo: 'me/app', branch: 'main', url: '',
+    date: new Date(Date.UTC(2023, 0, 1 + index * 12, 12)).toISOString()
+  }));
+  return buildWidgetData(aggregateCommits(commits), { username: 'octocat', timezone: 'UTC' });
+};
+
+const render = (data, options) => withRuntime({ logger: silentLogger }, () => renderWidgetAnimation(data, options));
+
+test('the APNG decodes into looping frames that last the whole duration', () => {
+  const data = widgetData();
+  const apng = readAPNG(render(data, { format: 'apng', duration: 7, fps: 3 }));
+
+  assert.equal(apng.plays, 0);
+  assert.ok(apng.frames.length > 1);
+  // 21 frames of 333.3 ms each, rounded so they add up
+  assert.equal(sum(apng.frames.map(frame => frame.delay)), 7000);
+  assert.ok(apng.frames.every(frame => Number.isInteger(frame.delay) && frame.delay > 0));
+
+  const [first, ...rest] = apng.frames;
+  assert.deepEqual([first.x, first.y, first.width, first.height], [0, 0, apng.width, apng.height]);
+  for (const frame of apng.frames) {
+    assert.ok(frame.x + frame.width <= apng.width && frame.y + frame.height <= apng.height);
+    // One filter byte per row, then RGB
+    assert.equal(frame.data.length, (frame.width * 3 + 1) * frame.height);
+  }
+  assert.ok(rest.every(frame => frame.width * frame.height < apng.width * apng.height), 'later frames only hold the changed region');
+});
+
+test('the GIF decodes into looping frames that last the whole duration', () => {
+  const data = widgetData();
+  const gif = readGIF(render(data, { format: 'gif', duration: 7, fps: 3 }));
+  const apng = readAPNG(render(data, { format: 'apng', duration: 7, fps: 3 }));
+
+  assert.equal(gif.loops, 0);
+  assert.deepEqual([gif.width, gif.height], [apng.width, apng.height]);
+  assert.equal(sum(gif.frames.map(frame => frame.delay)), 700);
+  // Same frames and regions as the APNG
+  assert.deepEqual(
+    gif.frames.map(({ x, y, width, height }) => [x, y, width, height]),
+    apng.frames.map(({ x, y, width, height }) => [x, y, width, height])
+  );
+});
+
+test('frames renders one PNG per frame at a constant rate', () => {
+  const frames = render(widgetData(), { format: 'frames', duration: 2, fps: 3 });
+  assert.equal(frames.length, 6);
+  for (const file of frames) {
+    assert.deepEqual(readChunks(file).map(c => c.type), ['IHDR', 'IDAT', 'IEND']);
+  }
+});
+
+test('a history that fits one window is a single frame of the whole duration', () => {
+  const data = buildWidgetData(aggregateCommits([{ sha: 'a', date: '2024-05-01T12:00:00Z', message: '', repo: 'me/app', branch: 'main', url: '' }]), { username: 'octocat', timezone: 'UTC' });
+  const apng = readAPNG(render(data, { format: 'apng', duration: 5, fps: 12 }));
+  assert.deepEqual(apng.frames.map(frame => frame.delay), [5000]);
+  assert.deepEqual(readGIF(render(data, { format: 'gif', duration: 5, fps: 12 })).frames.map(frame => frame.delay), [500]);
+});
+
+test('encoders round the running time so uneven delays add up', () => {
+  const pixel = (x) => ({ x, y: 0, width: 1, height: 1, pixels: Buffer.from([x * 40, 0, 0]), delay: 1000 / 3 });
+  const frames = [{ ...pixel(0), width: 4, pixels: Buffer.from([0, 0, 0, 40, 0, 0, 80, 0, 0, 120, 0, 0]) }, pixel(1), pixel(2), pixel(3), pixel(1), pixel(2)];
+
+  assert.deepEqual(readAPNG(encodeAPNG(4, 1, frames)).frames.map(frame => frame.delay), [333, 334, 333, 333, 334, 333]);
+  assert.deepEqual(readGIF(encodeGIF(4, 1, frames)).frames.map(frame => frame.delay), [33, 34, 33, 33, 34, 33]);
+
+  // Past 65 s an APNG delay no longer fits in milliseconds
+  const long = readAPNG(encodeAPNG(4, 1, [{ ...frames[0], delay: 90000 }]));
+  assert.deepEqual(long.frames.map(frame => frame.delay), [90000]);
+});
@@ -0,0 +1,173 @@
+/**
+ * Cache storage: schema migration, recovery from broken files, prune and
+ * verify, each against a temporary cache directory (see runtime.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync, readFileSync, existsSync, readdirSync, mkdirSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { loadRepoCache, saveRepoCache, saveSnapshot, loadSnapshot, pruneCache, verifyCache, CACHE_VERSION } from '../src/cache.js';
+import { withRuntime } from '../src/runtime.js';
+
+/**
+ * Run fn(dir, logs) with a fresh cache directory
+ */
+function withCacheDir(fn) {
+  const dir = mkdtempSync(join(tmpdir(), 'git-history-timeline-cache-'));
+  const logs = [];
+  try {
+    return withRuntime({ cacheDir: dir, logger: { log: (line) => logs.push(line) } }, () => fn(dir, logs));
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const commit = (sha, repo) => ({ sha, repo, date: '2024-05-01T12:00:00Z', message: `Commit ${sha}`, branch: 'main', url: '' });
+
+const sampleCache = () => ({
+  repos: {
+    'me/app': { pushed_at: '2024-05-01T12:00:00Z', branches: { main: 'a2' } },
+    'me/lib': { pushed_at: '2024-04-01T12:00:00Z', branches: { main: 'l1' } }
+  },
+  commits: [commit('a1', 'me/app'), commit('a2', 'me/app'), commit('l1', 'me/lib')],
+  branchLookups: { a1: { branch: 'feature', pullRequest: 3 } },
+  lastUpdated: '2024-05-02T00:00:00.000Z'
+});
+
+const shas = (cache) => cache.commits.map(c => c.sha).sort();
+const readJson = (file) => JSON.parse(readFileSync(file, 'utf-8'));
+
+test('a schema 1 repos.json is migrated into a store and deleted', () => withCacheDir((dir, logs) => {
+  writeFileSync(join(dir, 'repos.json'), JSON.stringify({ ...sampleCache(), lastSearchDate: '2024-01-01' }));
+
+  const cache = loadRepoCache('github');
+
+  assert.deepEqual(shas(cache), ['a1', 'a2', 'l1']);
+  assert.deepEqual(Object.keys(cache.repos), ['me/app', 'me/lib']);
+  assert.equal(cache.lastSearchDate, undefined);
+  assert.equal(existsSync(join(dir, 'repos.json')), false);
+  assert.equal(readJson(join(dir, 'github', 'manifest.json')).version, CACHE_VERSION);
+  assert.deepEqual(readdirSync(join(dir, 'github', 'repos')).sort(), ['me%2Fapp.json', 'me%2Flib.json']);
+  assert.ok(logs.some(line => line.includes('Migrated cache github to schema v2')));
+
+  // Loaded from the new layout from now on
+  assert.deepEqual(loadRepoCache('github'), cache);
+}));
+
+test('other providers migrate from repos-<cacheKey>.json', () => withCacheDir((dir) => {
+  writeFileSync(join(dir, 'repos-gitlab.json'), JSON.stringify(sampleCache()));
+  assert.deepEqual(shas(loadRepoCache('gitlab')), ['a1', 'a2', 'l1']);
+  assert.equal(existsSync(join(dir, 'repos-gitlab.json')), false);
+}));
+
+test('a corrupt schema 1 file is quarantined', () => withCacheDir((dir) => {
+  writeFileSync(join(dir, 'repos.json'), '{"repos": {');
+
+  assert.deepEqual(loadRepoCache('github').commits, []);
+  assert.equal(existsSync(join(dir, 'repos.json')), false);
+  assert.ok(readdirSync(dir).some(name => name.startsWith('repos.json.corrupt-')));
+}));
+
+test('a corrupt manifest is quarantined and the commits recovered from the repository files', () => withCacheDir((dir, logs) => {
+  saveRepoCache('github', sampleCache());
+  writeFileSync(join(dir, 'github', 'manifest.json'), '{"version": 2, "rep');
+
+  const cache = loadRepoCache('github');
+
+  assert.deepEqual(shas(cache), ['a1', 'a2', 'l1']);
+  // Sync state is lost, so every repository is fetched again
+  assert.deepEqual(cache.repos, {});
+  assert.ok(readdirSync(join(dir, 'github')).some(name => name.startsWith('manifest.json.corrupt-')));
+  assert.ok(logs.some(line => line.includes('Recovered 3 commits')));
+}));
+
+test('a repository file that fails its checksum is dropped and refetched', () => withCacheDir((dir) => {
+  saveRepoCache('github', sampleCache());
+  const file = join(dir, 'github', 'repos', 'me%2Flib.json');
+  const data = readJson(file);
+  data.commits[0].message = 'Edited by hand';
+  writeFileSync(file, JSON.stringify(data));
+
+  const cache = loadRepoCache('github');
+
+  assert.deepEqual(shas(cache), ['a1', 'a2']);
+  assert.deepEqual(Object.keys(cache.repos), ['me/app']);
+  assert.deepEqual(verifyCache(), [{ key: 'github', legacy: false, problems: ['me/lib: checksum mismatch'], fixed: false }]);
+}));
+
+test('a newer schema is refused instead of misread', () => withCacheDir((dir) => {
+  saveRepoCache('github', sampleCache());
+  const manifest = readJson(join(dir, 'github', 'manifest.json'));
+  writeFileSync(join(dir, 'github', 'manifest.json'), JSON.stringify({ ...manifest, version: CACHE_VERSION + 1 }));
+
+  assert.throws(() => loadRepoCache('github'), /uses cache schema v3, but this version only knows v2/);
+}));
+
+test('verify reports orphan files and --fix removes them', () => withCacheDir((dir) => {
+  saveRepoCache('github', sampleCache());
+  const orphan = join(dir, 'github', 'repos', 'me%2Fgone.json');
+  writeFileSync(orphan, JSON.stringify({ version: 2, repo: 'me/gone', commits: [] }));
+
+  assert.deepEqual(verifyCache(false), [{ key: 'github', legacy: false, problems: ['repos/me%2Fgone.json: not in manifest'], fixed: false }]);
+  assert.equal(existsSync(orphan), true);
+
+  assert.deepEqual(verifyCache(true), [{ key: 'github', legacy: false, problems: ['repos/me%2Fgone.json: not in manifest'], fixed: true }]);
+  assert.equal(existsSync(orphan), false);
+  assert.deepEqual(verifyCache(), [{ key: 'github', legacy: false, problems: [], fixed: false }]);
+  assert.deepEqual(shas(loadRepoCache('github')), ['a1', 'a2', 'l1']);
+}));
+
+test('verify --fix drops broken repositories so they are refetched', () => withCacheDir((dir) => {
+  saveRepoCache('github', sampleCache());
+  rmSync(join(dir, 'github', 'repos', 'me%2Fapp.json'));
+
+  assert.deepEqual(verifyCache(true)[0].problems, ['me/app: file missing']);
+
+  const cache = loadRepoCache('github');
+  assert.deepEqual(shas(cache), ['l1']);
+  assert.deepEqual(Object.keys(cache.repos), ['me/lib']);
+  assert.deepEqual(verifyCache()[0].problems, []);
+}));
+
+test('verify --fix sets a corrupt manifest aside for the next load to rebuild', () => withCacheDir((dir) => {
+  saveRepoCache('github', sampleCache());
+  writeFileSync(join(dir, 'github', 'manifest.json'), 'not json');
+
+  const [result] = verifyCache(true);
+  assert.match(result.problems[0], /^manifest\.json: /);
+  assert.equal(result.fixed, true);
+  assert.equal(existsSync(join(dir, 'github', 'manifest.json')), false);
+  assert.deepEqual(shas(loadRepoCache('github')), ['a1', 'a2', 'l1']);
+}));
+
+test('prune removes repositories from stores and the snapshot', () => withCacheDir((dir) => {
+  saveRepoCache('github', sampleCache());
+  mkdirSync(join(dir, 'work'));
+  saveRepoCache('work', { repos: { 'acme/site': { pushed_at: 'x' } }, commits: [commit('s1', 'acme/site')], branchLookups: {}, lastUpdated: null });
+  saveSnapshot({ username: 'me', commits: [...sampleCache().commits, commit('s1', 'acme/site')] });
+
+  assert.deepEqual(pruneCache(['ME/APP', 'acme/*']), [{ key: 'github', repos: ['me/app'] }, { key: 'work', repos: ['acme/site'] }]);
+
+  const cache = loadRepoCache('github');
+  assert.deepEqual(shas(cache), ['l1']);
+  assert.deepEqual(Object.keys(cache.repos), ['me/lib']);
+  assert.deepEqual(cache.branchLookups, {});
+  assert.equal(existsSync(join(dir, 'github', 'repos', 'me%2Fapp.json')), false);
+  assert.deepEqual(loadRepoCache('work').commits, []);
+  assert.deepEqual(shas(loadSnapshot()), ['l1']);
+
+  // Only the given store
+  saveRepoCache('github', sampleCache());
+  assert.deepEqual(pruneCache(['me/*'], 'work'), []);
+  assert.deepEqual(shas(loadRepoCache('github')), ['a1', 'a2', 'l1']);
+}));
+
+test('prune migrates schema 1 caches first', () => withCacheDir((dir) => {
+  writeFileSync(join(dir, 'repos.json'), JSON.stringify(sampleCache()));
+
+  assert.deepEqual(pruneCache(['me/lib']), [{ key: 'github', repos: ['me/lib'] }]);
+  assert.equal(existsSync(join(dir, 'repos.json')), false);
+  assert.deepEqual(shas(loadRepoCache('github')), ['a1', 'a2']);
+}));
@@ -0,0 +1,150 @@
+/**
+ * Incremental fetching: cached commits that a refetch no longer finds are
+ * pruned or flagged (force-pushes, deleted branches, removed repositories)
+ *
+ * Every test fetches twice from a fake GitHub into a temporary cache and
+ * changes the fake in between.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fetchAllCommits } from '../src/fetch.js';
+import { withRuntime, silentLogger } from '../src/runtime.js';
+
+/**
+ * A fake GitHub REST API serving `state`:
+ * { repos: { name: { pushed_at, branches: { branch: [sha, ...] (newest first) } } } }
+ */
+function fakeGitHub(state) {
+  const json = (body) => new Response(JSON.stringify(body), { status: 200, headers: { 'content-type': 'application/json' } });
+  return async (url) => {
+    const { pathname, searchParams } = new URL(url);
+    if (pathname === '/user') return json({ login: 'me' });
+    if (pathname === '/user/repos') {
+      return json(Object.entries(state.repos).map(([name, repo]) => ({
+        full_name: `me/${name}`, name, fork: false, owner: { login: 'me' }, pushed_at: repo.pushed_at, language: null
+      })));
+    }
+    const match = pathname.match(/^\/repos\/me\/([^/]+)\/(branches|commits)$/);
+    const repo = match && state.repos[match[1]];
+    if (repo && match[2] === 'branches') {
+      return json(Object.entries(repo.branches).map(([name, shas]) => ({ name, commit: { sha: shas[0] } })));
+    }
+    if (repo && match[2] === 'commits') {
+      const shas = repo.branches[searchParams.get('sha')] || [];
+      return json(shas.map((sha, index) => ({
+        sha,
+        commit: { message: `Commit ${sha}`, author: { date: `2024-05-${String(10 - index).padStart(2, '0')}T12:00:00Z` } },
+        parents: [],
+        html_url: ''
+      })));
+    }
+    return new Response('Not Found', { status: 404 });
+  };
+}
+
+/**
+ * Fetch before and after `change(state)` into one cache
+ */
+async function fetchTwice(state, change, options = {}) {
+  const cacheDir = mkdtempSync(join(tmpdir(), 'git-history-timeline-'));
+  const fetch = fakeGitHub(state);
+  const run = () => withRuntime({ logger: silentLogger, fetch, cacheDir }, () =>
+    fetchAllCommits('token', null, 'owned', false, options)
+  );
+  try {
+    const first = await run();
+    change(state);
+    const second = await run();
+    return { first, second };
+  } finally {
+    rmSync(cacheDir, { recursive: true, force: true });
+  }
+}
+
+const initialState = () => ({
+  repos: {
+    app: { pushed_at: '2024-05-10T12:00:00Z', branches: { main: ['a2', 'a1'], feature: ['f1'] } },
+    old: { pushed_at: '2024-05-01T12:00:00Z', branches: { main: ['o1'] } }
+  }
+});
+
+const shas = (result) => result.commits.map(commit => commit.sha).sort();
+
+test('commits of a deleted branch are pruned', async () => {
+  const { first, second } = await fetchTwice(initialState(), (state) => {
+    delete state.repos.app.branches.feature;
+    state.repos.app.pushed_at = '2024-05-11T12:00:00Z';
+  });
+
+  assert.deepEqual(shas(first), ['a1', 'a2', 'f1', 'o1']);
+  assert.deepEqual(shas(second), ['a1', 'a2', 'o1']);
+  assert.equal(second.changes.deletedBranch, 1);
+  assert.deepEqual([...second.changes.deletedBranches], ['me/app/feature']);
+  assert.equal(second.changes.rewritten, 0);
+});
+
+test('commits lost to a force push are pruned', async () => {
+  const { second } = await fetchTwice(initialState(), (state) => {
+    state.repos.app.branches.main = ['a3', 'a1'];
+    state.repos.app.pushed_at = '2024-05-11T12:00:00Z';
+  });
+
+  assert.deepEqual(shas(second), ['a1', 'a3', 'f1', 'o1']);
+  assert.equal(second.changes.rewritten, 1);
+  assert.deepEqual([...second.changes.rewrittenBranches], ['me/app/main']);
+  assert.equal(second.changes.deletedBranch, 0);
+});
+
+test('commits of a removed repository are pruned', async () => {
+  const { second } = await fetchTwice(initialState(), (state) => {
+    delete state.repos.old;
+  });
+
+  assert.deepEqual(shas(second), ['a1', 'a2', 'f1']);
+  assert.equal(second.changes.removedRepo, 1);
+  assert.deepEqual(second.changes.removedRepos, ['me/old']);
+});
+
+test('repositories that were not refetched keep their commits', async () => {
+  // Same pushed_at: the cache is trusted, even though the branch moved
+  const { second } = await fetchTwice(initialState(), (state) => {
+    state.repos.app.branches.main = ['a3'];
+  });
+
+  assert.deepEqual(shas(second), ['a1', 'a2', 'f1', 'o1']);
+  assert.equal(second.changes.rewritten, 0);
+});
+
+test('--stale flag keeps lost commits and marks why they are gone', async () => {
+  const { second } = await fetchTwice(initialState(), (state) => {
+    delete state.repos.app.branches.feature;
+    state.repos.app.branches.main = ['a3', 'a1'];
+    state.repos.app.pushed_at = '2024-05-11T12:00:00Z';
+    delete state.repos.old;
+  }, { staleCommits: 'flag' });
+
+  assert.deepEqual(shas(second), ['a1', 'a2', 'a3', 'f1', 'o1']);
+  const stale = Object.fromEntries(second.commits.filter(commit => commit.stale).map(commit => [commit.sha, commit.stale.reason]));
+  assert.deepEqual(stale, { a2: 'rewritten', f1: 'deleted-branch', o1: 'removed-repo' });
+  assert.ok(second.commits.filter(commit => commit.stale).every(commit => !isNaN(Date.parse(commit.stale.since))));
+});
+
+test('--stale prune (the default) removes the same commits', async () => {
+  const { second } = await fetchTwice(initialState(), (state) => {
+    delete state.repos.app.branches.feature;
+    state.repos.app.branches.main = ['a3', 'a1'];
+    state.repos.app.pushed_at = '2024-05-11T12:00:00Z';
+    delete state.repos.old;
+  }, { staleCommits: 'prune' });
+
+  assert.deepEqual(shas(second), ['a1', 'a3']);
+  assert.ok(second.commits.every(commit => !commit.stale));
+  assert.deepEqual(
+    [second.changes.rewritten, second.changes.deletedBranch, second.changes.removedRepo],
+    [1, 1, 1]
+  );
+});
@@ -0,0 +1,146 @@
+/**
+ * Commit filters: every rule, their order and the per-rule report
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFilters, applyFilters, filterActivity, printFilterReport } from '../src/filters.js';
+import { withRuntime } from '../src/runtime.js';
+
+const commit = (sha, repo, fields = {}) => ({ sha, repo, date: '2024-05-01T12:00:00Z', message: 'Update', branch: 'main', url: '', ...fields });
+const shas = (result) => result.commits.map(c => c.sha).sort();
+const filter = (commits, rules, timezone) => applyFilters(commits, parseFilters(rules, 'filters.json'), timezone);
+
+test('parseFilters rejects unknown rules and bad values', () => {
+  assert.throws(() => parseFilters({ skipMerge: true }, 'f.json'), /f\.json: unknown rule "skipMerge"/);
+  assert.throws(() => parseFilters({ excludeRepos: 'a/*' }, 'f.json'), /"excludeRepos" must be an array of strings/);
+  assert.throws(() => parseFilters({ excludeMessages: ['('] }, 'f.json'), /invalid "excludeMessages" pattern \(/);
+  assert.throws(() => parseFilters({ maxPerRepoPerDay: 0 }, 'f.json'), /"maxPerRepoPerDay" must be a positive whole number/);
+  assert.throws(() => parseFilters([], 'f.json'), /filters must be an object of rules/);
+});
+
+test('includeRepos and excludeRepos match case-insensitive globs', () => {
+  const commits = [
+    commit('1', 'octocat/app'),
+    commit('2', 'octocat/vendor-lodash'),
+    commit('3', 'Octocat/Vendor-React'),
+    commit('4', 'other/app'),
+    commit('5', 'octocat/app.js')
+  ];
+
+  const result = filter(commits, { includeRepos: ['octocat/*'], excludeRepos: ['octocat/vendor-*', 'octocat/app.js'] });
+
+  assert.deepEqual(shas(result), ['1']);
+  assert.equal(result.removed.includeRepos, 1);
+  assert.equal(result.removed.excludeRepos, 3);
+  // '.' is literal, not a regex wildcard
+  assert.deepEqual(shas(filter([commit('6', 'octocat/appxjs')], { excludeRepos: ['octocat/app.js'] })), ['6']);
+});
+
+test('excludeMessages are case-insensitive regular expressions', () => {
+  const commits = [
+    commit('1', 'me/app', { message: 'Initial import of the old SVN history' }),
+    commit('2', 'me/app', { message: 'Bump deps [SKIP TIMELINE]' }),
+    commit('3', 'me/app', { message: 'Fix the initial import script' })
+  ];
+
+  const result = filter(commits, { excludeMessages: ['^initial import', '\\[skip timeline\\]'] });
+
+  assert.deepEqual(shas(result), ['3']);
+  assert.equal(result.removed.excludeMessages, 2);
+});
+
+test('skipMerges drops flagged merges and merge messages of older caches', () => {
+  const commits = [
+    commit('1', 'me/app', { merge: true, message: 'Release 2.0' }),
+    commit('2', 'me/app', { message: 'Merge pull request #4 from me/feature' }),
+    commit('3', 'me/app', { merge: false, message: 'Merge branch rules into the docs' }),
+    commit('4', 'me/app', { message: 'Merge sort for the leaderboard' })
+  ];
+
+  const result = filter(commits, { skipMerges: true });
+
+  assert.deepEqual(shas(result), ['3', '4']);
+  assert.equal(result.removed.skipMerges, 2);
+  assert.deepEqual(shas(filter(commits, {})), ['1', '2', '3', '4']);
+});
+
+test('excludeCoAuthors drops commits with a matching co-author', () => {
+  const commits = [
+    commit('1', 'me/app', { coAuthors: ['dependabot[bot] <49699333+dependabot[bot]@users.noreply.github.com>'] }),
+    commit('2', 'me/app', { coAuthors: ['Renovate Bot <bot@renovateapp.com>'] }),
+    commit('3', 'me/app', { coAuthors: ['Ada <ada@example.com>'] }),
+    commit('4', 'me/app')
+  ];
+
+  const result = filter(commits, { excludeCoAuthors: ['*[bot]*', 'renovate*'] });
+
+  assert.deepEqual(shas(result), ['3', '4']);
+  assert.equal(result.removed.excludeCoAuthors, 2);
+});
+
+test('maxPerRepoPerDay keeps the earliest commits of each repository and day', () => {
+  const at = (sha, repo, date) => commit(sha, repo, { date });
+  const commits = [
+    at('late', 'me/app', '2024-05-01T20:00:00Z'),
+    at('early', 'me/app', '2024-05-01T08:00:00Z'),
+    at('noon', 'me/app', '2024-05-01T12:00:00Z'),
+    at('other-repo', 'me/lib', '2024-05-01T21:00:00Z'),
+    at('next-day', 'me/app', '2024-05-02T08:00:00Z')
+  ];
+
+  const result = filter(commits, { maxPerRepoPerDay: 2 });
+
+  assert.deepEqual(shas(result), ['early', 'next-day', 'noon', 'other-repo']);
+  assert.equal(result.removed.maxPerRepoPerDay, 1);
+
+  // Day boundaries follow the timezone: 20:00 UTC is the next day in Tokyo
+  assert.deepEqual(shas(filter(commits, { maxPerRepoPerDay: 2 }, 'Asia/Tokyo')), ['early', 'late', 'next-day', 'noon', 'other-repo']);
+});
+
+test('each commit is counted against the first rule that removes it', () => {
+  const commits = [
+    commit('1', 'me/vendor', { merge: true, message: 'Initial import' }),
+    commit('2', 'me/app', { merge: true, message: 'Initial import' }),
+    commit('3', 'me/app', { merge: true, message: 'Merge' }),
+    commit('4', 'me/app', { coAuthors: ['bot[bot]'] }),
+    commit('5', 'me/app'),
+    commit('6', 'me/app')
+  ];
+
+  const result = filter(commits, {
+    excludeRepos: ['*/vendor'],
+    excludeMessages: ['^initial import'],
+    skipMerges: true,
+    excludeCoAuthors: ['*[bot]'],
+    maxPerRepoPerDay: 1
+  });
+
+  assert.deepEqual(shas(result), ['5']);
+  assert.deepEqual(result.removed, {
+    includeRepos: 0,
+    excludeRepos: 1,
+    excludeMessages: 1,
+    skipMerges: 1,
+    excludeCoAuthors: 1,
+    maxPerRepoPerDay: 1
+  });
+});
+
+test('printFilterReport lists the rules that removed commits', () => {
+  const lines = [];
+  withRuntime({ logger: { log: (line) => lines.push(line) } }, () => {
+    printFilterReport({ includeRepos: 0, excludeRepos: 1200, excludeMessages: 0, skipMerges: 3, excludeCoAuthors: 0, maxPerRepoPerDay: 0 }, 5000);
+  });
+  assert.deepEqual(lines, ['\n🧹 Filters removed 1,203 of 5,000 commits', '   excludeRepos: 1,200', '   skipMerges: 3']);
+});
+
+test('activity only goes through the repository rules', () => {
+  const items = [
+    { id: 'a', repo: 'octocat/app', title: 'Initial import' },
+    { id: 'b', repo: 'octocat/vendor-x', title: 'Bump' },
+    { id: 'c', repo: 'other/app', title: 'Fix' }
+  ];
+  const filters = parseFilters({ includeRepos: ['octocat/*'], excludeRepos: ['*/vendor-*'], excludeMessages: ['initial'] }, 'filters.json');
+  assert.deepEqual(filterActivity(items, filters).map(item => item.id), ['a']);
+});
@@ -0,0 +1,182 @@
+/**
+ * GitHub GraphQL fetching against recorded responses
+ *
+ * The fixtures in fixtures/github-graphql/ are GraphQL v4 response bodies:
+ * a first page of several repositories (one with more branches, one branch
+ * with more history), the follow-up pages, a response where one alias
+ * failed and an error that fails the whole query.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  buildRepositoriesQuery,
+  parseRepositoriesResponse,
+  fetchCommitsGraphQL
+} from '../src/providers/github-graphql.js';
+import { fetchAllCommits } from '../src/fetch.js';
+import { withRuntime, silentLogger } from '../src/runtime.js';
+
+const fixture = (name) => JSON.parse(readFileSync(new URL(`./fixtures/github-graphql/${name}.json`, import.meta.url), 'utf-8'));
+
+const repo = (full_name) => ({ full_name, name: full_name.split('/')[1], fork: false, owner: full_name.split('/')[0], pushed_at: '2024-03-02T09:15:00Z', language: 'JavaScript' });
+const APP = repo('me/app');
+const LIB = repo('me/lib');
+const PRIVATE = repo('me/private');
+
+/**
+ * Transport answering with the given responses in order, recording the requests
+ */
+function fakeTransport(responses) {
+  const requests = [];
+  const request = async (query, variables) => {
+    requests.push({ query, variables });
+    if (requests.length > responses.length) {
+      throw new Error(`Unexpected GraphQL request #${requests.length}`);
+    }
+    return responses[requests.length - 1];
+  };
+  return { request, requests };
+}
+
+test('buildRepositoriesQuery aliases every repository', () => {
+  const query = buildRepositoriesQuery([APP, LIB]);
+  assert.match(query, /r0: repository\(owner: "me", name: "app"\)/);
+  assert.match(query, /r1: repository\(owner: "me", name: "lib"\)/);
+  assert.match(query, /history\(first: 100, author: \$author\)/);
+  assert.doesNotMatch(query, /additions/);
+  assert.match(buildRepositoriesQuery([APP], { lineStats: true }), /additions deletions/);
+});
+
+test('parseRepositoriesResponse collects commits and queues the next pages', () => {
+  const result = parseRepositoriesResponse(fixture('repositories-page'), [APP, LIB]);
+
+  assert.deepEqual(result.commits.map(commit => [commit.sha.slice(0, 7), commit.repo, commit.branch]), [
+    ['a0c1e2f', 'me/app', 'main'],
+    ['b1d2e3f', 'me/app', 'main'],
+    ['c2e3f4a', 'me/lib', 'main']
+  ]);
+  assert.equal(result.commits[0].merge, true);
+  assert.deepEqual(result.commits[1].coAuthors, ['Ada <ada@example.com>']);
+  assert.equal(result.commits[1].message, 'Add the export button');
+
+  // Branches without a commit target have no history and no head
+  assert.deepEqual(result.heads.map(({ repo, branch }) => `${repo.full_name}:${branch}`), ['me/app:main', 'me/lib:main']);
+  assert.deepEqual(result.pendingRefs, [{ repo: APP, cursor: 'Y3Vyc29yOnJlZnMtNTA=' }]);
+  assert.deepEqual(result.pendingHistories, [{ repo: APP, branch: 'main', cursor: 'a0c1e2f3a4b5c6d7e8f9a0b1c2d3e4f5a6b7c8d9 99' }]);
+  assert.deepEqual(result.failed, []);
+});
+
+test('parseRepositoriesResponse fails the aliases that came back with errors', () => {
+  const result = parseRepositoriesResponse(fixture('failed-alias'), [LIB, PRIVATE]);
+  assert.deepEqual(result.failed, [PRIVATE]);
+  assert.deepEqual(result.commits.map(commit => commit.repo), ['me/lib']);
+});
+
+test('parseRepositoriesResponse throws on errors without a path', () => {
+  assert.throws(() => parseRepositoriesResponse(fixture('query-error'), [APP]), /GitHub GraphQL error: Something went wrong/);
+});
+
+test('fetchCommitsGraphQL follows branch and history pages and merges the commits', async () => {
+  const { request, requests } = fakeTransport([fixture('repositories-page'), fixture('refs-page'), fixture('history-page')]);
+  const author = { id: 'MDQ6VXNlcjE=' };
+  const progress = [];
+
+  const result = await fetchCommitsGraphQL(request, [APP, LIB], author, (done, total) => progress.push([done, total]));
+
+  assert.equal(requests.length, 3);
+  assert.ok(requests.every(({ variables }) => variables.author === author));
+  // More branches of me/app, then the second page of its main branch
+  assert.match(requests[1].query, /r0: repository\(owner: "me", name: "app"\)/);
+  assert.match(requests[1].query, /refs\(refPrefix: "refs\/heads\/", first: 50, after: "Y3Vyc29yOnJlZnMtNTA="\)/);
+  assert.match(requests[2].query, /h0: repository\(owner: "me", name: "app"\)/);
+  assert.match(requests[2].query, /ref\(qualifiedName: "refs\/heads\/main"\)/);
+  assert.match(requests[2].query, /after: "a0c1e2f3a4b5c6d7e8f9a0b1c2d3e4f5a6b7c8d9 99"/);
+
+  assert.deepEqual(result.commits.map(commit => [commit.sha.slice(0, 7), commit.repo, commit.branch]), [
+    ['a0c1e2f', 'me/app', 'main'],
+    ['b1d2e3f', 'me/app', 'main'],
+    ['c2e3f4a', 'me/lib', 'main'],
+    ['d3f4a5b', 'me/app', 'feature'],
+    ['e4a5b6c', 'me/app', 'main']
+  ]);
+  assert.deepEqual(result.heads, {
+    'me/app': {
+      main: 'a0c1e2f3a4b5c6d7e8f9a0b1c2d3e4f5a6b7c8d9',
+      feature: 'd3f4a5b6c7d8e9f0a1b2c3d4e5f6a7b8c9d0e1f2'
+    },
+    'me/lib': { main: 'c2e3f4a5b6c7d8e9f0a1b2c3d4e5f6a7b8c9d0e1' }
+  });
+  assert.deepEqual(result.failed, []);
+  assert.deepEqual(progress, [[2, 2]]);
+});
+
+test('fetchCommitsGraphQL returns failed aliases without their partial results', async () => {
+  const { request } = fakeTransport([fixture('failed-alias')]);
+
+  const result = await fetchCommitsGraphQL(request, [LIB, PRIVATE], { id: 'MDQ6VXNlcjE=' });
+
+  assert.deepEqual(result.failed, [PRIVATE]);
+  assert.deepEqual(result.commits.map(commit => commit.repo), ['me/lib']);
+  assert.deepEqual(Object.keys(result.heads), ['me/lib']);
+});
+
+test('fetchCommitsGraphQL fails the whole batch when the query fails', async () => {
+  const { request } = fakeTransport([fixture('query-error')]);
+
+  const result = await fetchCommitsGraphQL(request, [APP, LIB], { id: 'MDQ6VXNlcjE=' });
+
+  assert.deepEqual(result.failed, [APP, LIB]);
+  assert.deepEqual(result.commits, []);
+  assert.deepEqual(result.heads, {});
+});
+
+test('fetchAllCommits fetches repositories of failed aliases via REST', async () => {
+  const json = (body) => new Response(JSON.stringify(body), { status: 200, headers: { 'content-type': 'application/json' } });
+  const restRequests = [];
+  const graphqlQueries = [];
+  const fakeFetch = async (url, init = {}) => {
+    const { pathname, search } = new URL(url);
+    if (pathname === '/graphql') {
+      const { query } = JSON.parse(init.body);
+      graphqlQueries.push(query);
+      return json(query.includes('user(login: $login)') ? { data: { user: { id: 'MDQ6VXNlcjE=' } } } : fixture('failed-alias'));
+    }
+    restRequests.push(pathname + search);
+    if (pathname === '/user') return json({ login: 'me' });
+    if (pathname === '/user/repos') {
+      return json([LIB, PRIVATE].map(({ full_name, name }) => ({ full_name, name, fork: false, owner: { login: 'me' }, pushed_at: '2024-03-02T09:15:00Z', language: 'JavaScript' })));
+    }
+    if (pathname === '/repos/me/private/branches') return json([{ name: 'main', commit: { sha: 'f5b6c7d8e9f0a1b2c3d4e5f6a7b8c9d0e1f2a3b4' } }]);
+    if (pathname === '/repos/me/private/commits') {
+      return json([{
+        sha: 'f5b6c7d8e9f0a1b2c3d4e5f6a7b8c9d0e1f2a3b4',
+        commit: { message: 'Fix the login redirect\n\nCloses #3', author: { date: '2024-01-15T10:00:00Z' } },
+        parents: [{ sha: 'e4a5b6c7d8e9f0a1b2c3d4e5f6a7b8c9d0e1f2a3' }],
+        html_url: 'https://github.com/me/private/commit/f5b6c7d8e9f0a1b2c3d4e5f6a7b8c9d0e1f2a3b4'
+      }]);
+    }
+    return new Response('Not Found', { status: 404 });
+  };
+
+  const cacheDir = mkdtempSync(join(tmpdir(), 'git-history-timeline-'));
+  try {
+    const result = await withRuntime({ logger: silentLogger, fetch: fakeFetch, cacheDir }, () =>
+      fetchAllCommits('token', null, 'owned', true, { strategy: 'graphql' })
+    );
+
+    assert.equal(graphqlQueries.length, 2);
+    assert.deepEqual(result.commits.map(commit => [commit.sha.slice(0, 7), commit.repo, commit.branch, commit.message]).sort(), [
+      ['c2e3f4a', 'me/lib', 'main', 'Initial commit'],
+      ['f5b6c7d', 'me/private', 'main', 'Fix the login redirect']
+    ]);
+    // Only the failed repository goes through REST
+    assert.ok(restRequests.some(path => path.startsWith('/repos/me/private/commits?sha=main')));
+    assert.ok(!restRequests.some(path => path.startsWith('/repos/me/lib/')));
+  } finally {
+    rmSync(cacheDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,66 @@
+/**
+ * Local clones: which branch a commit is credited to
+ *
+ * Builds a small origin and clone with the git CLI in a temporary
+ * directory: a branch ahead on the remote, a feature branch, a tag on
+ * main's history and a tag on a commit no branch contains.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fetchLocalCommits } from '../src/local.js';
+import { withRuntime, silentLogger } from '../src/runtime.js';
+
+const AUTHOR = 'me@example.com';
+const env = { ...process.env, GIT_AUTHOR_NAME: 'Me', GIT_AUTHOR_EMAIL: AUTHOR, GIT_COMMITTER_NAME: 'Me', GIT_COMMITTER_EMAIL: AUTHOR };
+
+function git(dir, ...args) {
+  return execFileSync('git', ['-C', dir, ...args], { env, encoding: 'utf-8' }).trim();
+}
+
+function commit(dir, message) {
+  git(dir, 'commit', '--quiet', '--allow-empty', '-m', message);
+}
+
+test('commits are credited to branches, tag-only commits to their tag', async () => {
+  const root = mkdtempSync(join(tmpdir(), 'git-history-timeline-local-'));
+  try {
+    const origin = join(root, 'origin');
+    const clone = join(root, 'clone');
+    execFileSync('git', ['init', '--quiet', '--initial-branch=main', origin], { env });
+    commit(origin, 'first');
+    commit(origin, 'second');
+    git(root, 'clone', '--quiet', origin, clone);
+
+    // Pushed by someone else: only on origin/main in the clone
+    commit(origin, 'upstream');
+    git(clone, 'fetch', '--quiet');
+
+    git(clone, 'tag', 'v0.9', 'HEAD~1');
+    git(clone, 'checkout', '--quiet', '-b', 'feature');
+    commit(clone, 'feature work');
+    git(clone, 'checkout', '--quiet', '--detach', 'main');
+    commit(clone, 'release fix');
+    git(clone, 'tag', 'v1.0');
+    git(clone, 'checkout', '--quiet', 'main');
+
+    assert.match(git(clone, 'symbolic-ref', 'refs/remotes/origin/HEAD'), /origin\/main$/);
+
+    const { commits } = await withRuntime({ logger: silentLogger }, () => fetchLocalCommits([clone], [AUTHOR]));
+    const branches = Object.fromEntries(commits.map(c => [c.message, c.branch]));
+
+    assert.deepEqual(branches, {
+      'first': 'main',
+      'second': 'main',
+      'upstream': 'origin/main',
+      'feature work': 'feature',
+      'release fix': 'tags/v1.0'
+    });
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,97 @@
+/**
+ * Color scales: thresholds of every strategy, weights and legend labels
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseScale, levelThresholds, thresholdLabels, computeYearThresholds, commitWeight } from '../src/scale.js';
+import { aggregateCommits, getContributionLevel } from '../src/aggregate.js';
+
+const levels = (values, thresholds) => values.map(value => getContributionLevel(value, thresholds));
+
+test('parseScale knows the strategies and custom thresholds', () => {
+  assert.deepEqual(parseScale(), { strategy: 'auto' });
+  assert.deepEqual(parseScale('log'), { strategy: 'log' });
+  assert.deepEqual(parseScale('1,3,6,10'), { strategy: 'custom', thresholds: [1, 3, 6, 10] });
+  assert.throws(() => parseScale('2,3,6,10'), /Invalid scale: 2,3,6,10/);
+  assert.throws(() => parseScale('1,3,3,10'), /Invalid scale/);
+  assert.throws(() => parseScale('1,3,6'), /Invalid scale/);
+  assert.throws(() => parseScale('linear'), /Invalid scale/);
+});
+
+test('auto uses 1-4 for quiet years and quarters of the busiest day otherwise', () => {
+  assert.deepEqual(levelThresholds([1, 2, 4], parseScale('auto')), [1, 2, 3, 4]);
+  assert.deepEqual(levelThresholds([1, 5, 20], parseScale('auto')), [1, 5, 10, 15]);
+  assert.deepEqual(levelThresholds([3, 10], parseScale('auto')), [1, 3, 5, 8]);
+  assert.deepEqual(levelThresholds([], parseScale('auto')), [1, 2, 3, 4]);
+});
+
+test('quantile puts about as many active days on every level', () => {
+  const counts = [0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 8, 8, 40];
+  const thresholds = levelThresholds(counts, parseScale('quantile'));
+  assert.deepEqual(thresholds, [1, 3, 4, 5]);
+  assert.deepEqual(levels(counts, thresholds), [0, 0, 1, 1, 1, 1, 2, 2, 3, 3, 4, 4, 4]);
+});
+
+test('quantile keeps levels apart when most days tie', () => {
+  const thresholds = levelThresholds([1, 1, 1, 1, 1, 1, 2, 9], parseScale('quantile'));
+  assert.deepEqual(thresholds, [1, 2, 3, 4]);
+  assert.deepEqual(levelThresholds([0, 0], parseScale('quantile')), [1, 2, 3, 4]);
+});
+
+test('log keeps one huge day from washing out the rest', () => {
+  assert.deepEqual(levelThresholds([1, 2, 3, 1000], parseScale('log')), [1, 6, 32, 178]);
+  assert.deepEqual(levelThresholds([1, 2, 1000], parseScale('auto')), [1, 250, 500, 750]);
+  assert.deepEqual(levelThresholds([1, 4], parseScale('log')), [1, 2, 3, 4]);
+});
+
+test('global scales every year by the busiest day of all years', () => {
+  const byYear = { 2023: { '2023-05-01': 2, '2023-05-02': 4 }, 2024: { '2024-05-01': 40 } };
+  assert.deepEqual(computeYearThresholds(byYear, parseScale('global')), { 2023: [1, 10, 20, 30], 2024: [1, 10, 20, 30] });
+  assert.deepEqual(computeYearThresholds(byYear, parseScale('auto')), { 2023: [1, 2, 3, 4], 2024: [1, 10, 20, 30] });
+});
+
+test('custom thresholds apply to every year as given', () => {
+  const byYear = { 2023: { '2023-05-01': 2 }, 2024: { '2024-05-01': 40 } };
+  assert.deepEqual(computeYearThresholds(byYear, parseScale('1,3,6,10')), { 2023: [1, 3, 6, 10], 2024: [1, 3, 6, 10] });
+  assert.deepEqual(levels([0, 1, 2, 3, 9, 10, 50], [1, 3, 6, 10]), [0, 1, 1, 2, 3, 4, 4]);
+});
+
+test('score weights commits by the log of lines changed', () => {
+  assert.equal(commitWeight({ additions: 0, deletions: 0 }, 'score'), 1);
+  assert.equal(commitWeight({ additions: 60, deletions: 39 }, 'score'), 3);
+  assert.equal(commitWeight({ additions: 9999, deletions: 0 }, 'score'), 5);
+  assert.equal(commitWeight({}, 'lines'), 1);
+  assert.equal(commitWeight({ additions: 5, deletions: 2 }, 'lines'), 7);
+  assert.equal(commitWeight({ additions: 5, deletions: 2 }), 1);
+});
+
+test('quantile thresholds of fractional scores do not collapse the levels', () => {
+  // One small commit a day: scores between 1.3 and 2.5
+  const scores = [1.3, 1.3, 1.5, 1.5, 1.8, 1.8, 2.1, 2.1, 2.5, 2.5];
+  const thresholds = levelThresholds(scores, parseScale('quantile'));
+  assert.deepEqual(thresholds, [1, 1.6, 1.9, 2.2]);
+  assert.deepEqual(levels(scores, thresholds), [1, 1, 1, 1, 2, 2, 3, 3, 4, 4]);
+  assert.deepEqual(thresholdLabels(thresholds, ['point', 'points']), ['No points', '1–1.6 points', '1.6–1.9 points', '1.9–2.2 points', '2.2+ points']);
+
+  // Tied scores still leave every level a step apart
+  assert.deepEqual(levelThresholds([1.3, 1.3, 1.3, 1.3, 1.3], parseScale('quantile')), [1, 1.4, 1.5, 1.6]);
+});
+
+test('score days are rounded to one decimal and scaled per year', () => {
+  const commit = (sha, date, additions) => ({ sha, date, additions, deletions: 0, message: '', repo: 'me/app', branch: 'main', url: '' });
+  const aggregated = aggregateCommits([
+    commit('a', '2024-01-01T10:00:00Z', 1),
+    commit('b', '2024-01-02T10:00:00Z', 99),
+    commit('c', '2024-01-03T10:00:00Z', 99),
+    commit('d', '2024-01-03T11:00:00Z', 9999)
+  ], 'UTC', parseScale('quantile'), 'score');
+
+  assert.deepEqual(aggregated.valueByYear['2024'], { '2024-01-01': 1.3, '2024-01-02': 3, '2024-01-03': 8 });
+  assert.deepEqual(aggregated.yearThresholds['2024'], [1, 1.4, 3.1, 3.2]);
+});
+
+test('labels name the range of every level', () => {
+  assert.deepEqual(thresholdLabels([1, 2, 3, 4]), ['No commits', '1 commit', '2 commits', '3 commits', '4+ commits']);
+  assert.deepEqual(thresholdLabels([1, 5, 10, 15], ['line', 'lines']), ['No lines', '1–4 lines', '5–9 lines', '10–14 lines', '15+ lines']);
+});
@@ -0,0 +1,59 @@
+/**
+ * Commit statistics: streaks, busiest periods and year-over-year growth
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeStats } from '../src/stats.js';
+
+const commits = (...dates) => dates.map((date, index) => ({ sha: String(index), date, message: '', repo: 'me/app', branch: 'main', url: '' }));
+const today = new Date('2024-06-15T12:00:00Z');
+
+test('yearOverYear compares each year with the calendar year before', () => {
+  const stats = computeStats(commits(
+    '2018-03-01T10:00:00Z', '2018-03-02T10:00:00Z',
+    '2019-03-01T10:00:00Z', '2019-03-02T10:00:00Z', '2019-03-03T10:00:00Z', '2019-03-04T10:00:00Z',
+    '2021-03-01T10:00:00Z',
+    '2022-03-01T10:00:00Z', '2022-03-02T10:00:00Z', '2022-03-03T10:00:00Z'
+  ), 'UTC', today);
+
+  assert.deepEqual(stats.yearOverYear, [
+    { year: '2018', commits: 2, change: null, partial: false },
+    { year: '2019', commits: 4, change: 100, partial: false },
+    // 2020 has no commits, so 2021 has nothing to compare with
+    { year: '2021', commits: 1, change: null, partial: false },
+    { year: '2022', commits: 3, change: 200, partial: false }
+  ]);
+});
+
+test('the current year is marked partial', () => {
+  const stats = computeStats(commits('2023-01-01T10:00:00Z', '2023-01-02T10:00:00Z', '2024-01-01T10:00:00Z'), 'UTC', today);
+  assert.deepEqual(stats.yearOverYear.map(({ year, change, partial }) => [year, change, partial]), [['2023', null, false], ['2024', -50, true]]);
+});
+
+test('streaks, busiest periods and cadence', () => {
+  const stats = computeStats(commits(
+    '2024-06-01T09:00:00Z', '2024-06-02T09:00:00Z', '2024-06-03T09:00:00Z',
+    '2024-06-03T21:00:00Z', '2024-06-03T21:30:00Z',
+    '2024-06-14T09:00:00Z', '2024-06-15T09:00:00Z'
+  ), 'UTC', today);
+
+  assert.deepEqual(stats.longestStreak, { start: '2024-06-01', end: '2024-06-03', days: 3 });
+  assert.deepEqual(stats.currentStreak, { start: '2024-06-14', end: '2024-06-15', days: 2 });
+  assert.deepEqual(stats.busiestDay, { date: '2024-06-03', commits: 3 });
+  assert.deepEqual(stats.busiestWeek, { start: '2024-06-02', commits: 4 });
+  assert.deepEqual(stats.busiestMonth, { month: '2024-06', commits: 7 });
+  assert.equal(stats.activeDays, 5);
+  assert.equal(stats.averagePerActiveDay, 1.4);
+  assert.equal(stats.hours[9], 5);
+  assert.equal(stats.hours[21], 2);
+  assert.equal(stats.weekdays[1], 3);
+});
+
+test('an empty history has no streaks or busiest periods', () => {
+  const stats = computeStats([], 'UTC', today);
+  assert.equal(stats.totalCommits, 0);
+  assert.deepEqual(stats.longestStreak, { start: null, end: null, days: 0 });
+  assert.equal(stats.busiestDay, null);
+  assert.deepEqual(stats.yearOverYear, []);
+});
@@ -0,0 +1,18 @@
+/**
+ * Team timelines: member names become cache directory names
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fetchTeamCommits } from '../src/team.js';
+import { withRuntime, silentLogger } from '../src/runtime.js';
+
+test('member names that would leave the cache directory are refused before fetching', async () => {
+  const fetch = async () => assert.fail('nothing should be fetched');
+  for (const member of ['../../etc', 'a/b', '.hidden', '']) {
+    await assert.rejects(
+      withRuntime({ logger: silentLogger, fetch }, () => fetchTeamCommits('token', ['octocat', member])),
+      { message: `Invalid team member "${member}": usernames may only contain letters, digits, "-", "_" and "." (and not start with ".")` }
+    );
+  }
+});
@@ -0,0 +1,57 @@
+/**
+ * Timezones: --timezone values and the calendar day and hour of commits
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AUTHOR_TIMEZONE, resolveTimezone, createDateBucketer, hasOffset, timezoneLabel } from '../src/timezone.js';
+import { aggregateCommits } from '../src/aggregate.js';
+
+test('resolveTimezone accepts IANA zones, UTC, local and author', () => {
+  assert.equal(resolveTimezone(), 'UTC');
+  assert.equal(resolveTimezone('Europe/Berlin'), 'Europe/Berlin');
+  assert.equal(resolveTimezone('local'), Intl.DateTimeFormat().resolvedOptions().timeZone);
+  assert.equal(resolveTimezone('author'), AUTHOR_TIMEZONE);
+  assert.throws(() => resolveTimezone('Mars/Olympus_Mons'), /Unknown timezone: Mars\/Olympus_Mons/);
+  assert.equal(timezoneLabel('author'), "author's local time");
+});
+
+test('UTC buckets by the UTC date and hour', () => {
+  const bucket = createDateBucketer('UTC');
+  assert.deepEqual(bucket('2024-01-01T23:30:00Z'), { date: '2024-01-01', hour: 23, weekday: 1, time: '23:30' });
+  // Dates with an offset are converted to UTC
+  assert.deepEqual(bucket('2024-01-02T01:30:00+02:00'), { date: '2024-01-01', hour: 23, weekday: 1, time: '23:30' });
+});
+
+test('an IANA zone follows its daylight saving change', () => {
+  const bucket = createDateBucketer('Europe/Berlin');
+  // Clocks went from 02:00 CET to 03:00 CEST on 2024-03-31 (01:00 UTC)
+  assert.equal(bucket('2024-03-31T00:30:00Z').time, '01:30');
+  assert.equal(bucket('2024-03-31T01:30:00Z').time, '03:30');
+  assert.deepEqual(bucket('2024-03-30T23:30:00Z'), { date: '2024-03-31', hour: 0, weekday: 0, time: '00:30' });
+  // Same UTC time, an hour later on the wall clock in summer
+  assert.equal(bucket('2024-07-01T22:30:00Z').date, '2024-07-02');
+  assert.equal(bucket('2024-01-01T22:30:00Z').date, '2024-01-01');
+});
+
+test('author mode uses the offset recorded with the commit', () => {
+  const bucket = createDateBucketer(AUTHOR_TIMEZONE);
+  // 23:30 in New York is already the next day in UTC
+  assert.deepEqual(bucket('2024-01-01T23:30:00-05:00'), { date: '2024-01-01', hour: 23, weekday: 1, time: '23:30 -05:00' });
+  assert.deepEqual(bucket('2024-01-02T00:15:00+0530'), { date: '2024-01-02', hour: 0, weekday: 2, time: '00:15 +05:30' });
+  // Without an offset the date stays UTC, and says so
+  assert.deepEqual(bucket('2024-01-02T04:30:00Z'), { date: '2024-01-02', hour: 4, weekday: 2, time: '04:30 UTC' });
+});
+
+test('author mode moves a commit to the author\'s day in the aggregates', () => {
+  const commits = [{ sha: 'a', date: '2024-01-01T23:30:00-05:00', message: 'Late fix', repo: 'me/app', branch: 'main', url: '' }];
+  assert.deepEqual(aggregateCommits(commits, 'UTC').byDate, { '2024-01-02': 1 });
+  assert.deepEqual(aggregateCommits(commits, AUTHOR_TIMEZONE).byDate, { '2024-01-01': 1 });
+});
+
+test('hasOffset tells recorded offsets from UTC dates', () => {
+  assert.equal(hasOffset('2024-01-01T23:30:00-05:00'), true);
+  assert.equal(hasOffset('2024-01-01T23:30:00+0200'), true);
+  assert.equal(hasOffset('2024-01-01T23:30:00Z'), false);
+  assert.equal(hasOffset('2024-01-01T23:30:00'), false);
+});
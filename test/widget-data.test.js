@@ -0,0 +1,70 @@
+/**
+ * Widget data schema: buildWidgetData() output must pass validateWidgetData()
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { aggregateCommits } from '../src/aggregate.js';
+import { buildWidgetData, validateWidgetData } from '../src/widget-data.js';
+import { renderWidget } from '../src/build-widget.js';
+import { settingsFromObject, widgetDefaults } from '../src/config.js';
+
+const commit = (sha, date) => ({ sha, date, message: 'Update', repo: 'me/app', branch: 'main', url: '' });
+
+const widgetData = (commits, username = 'octocat') =>
+  buildWidgetData(aggregateCommits(commits), { username, timezone: 'UTC' });
+
+test('buildWidgetData fills years without commits with empty days', () => {
+  const data = widgetData([commit('a', '2019-06-01T12:00:00Z'), commit('b', '2021-03-15T12:00:00Z')]);
+
+  assert.equal(validateWidgetData(data), data);
+  assert.equal(data.startDate, '2019-01-01');
+  assert.equal(data.endDate, '2021-12-31');
+  assert.equal(data.totalDays, 365 + 366 + 365);
+  const gapYear = data.commits.filter(day => day.date.startsWith('2020'));
+  assert.equal(gapYear.length, 366);
+  assert.ok(gapYear.every(day => day.count === 0 && day.level === 0));
+  assert.equal(data.totalCommits, 2);
+  assert.equal(data.daysWithCommits, 2);
+});
+
+test('buildWidgetData covers a single year from January 1 to December 31', () => {
+  const data = widgetData([commit('a', '2024-02-29T08:00:00Z'), commit('b', '2024-02-29T09:00:00Z')]);
+
+  assert.equal(validateWidgetData(data), data);
+  assert.equal(data.startDate, '2024-01-01');
+  assert.equal(data.endDate, '2024-12-31');
+  assert.equal(data.totalDays, 366);
+  assert.deepEqual(data.commits.find(day => day.date === '2024-02-29'), { date: '2024-02-29', count: 2, level: 2 });
+  assert.equal(data.scale.labels['2024'].length, 5);
+});
+
+test('buildWidgetData of an empty history has no days', () => {
+  const data = widgetData([]);
+
+  assert.equal(validateWidgetData(data), data);
+  assert.equal(data.totalDays, 0);
+  assert.deepEqual(data.commits, []);
+  assert.equal(data.startDate, null);
+  assert.equal(data.endDate, null);
+});
+
+test('validateWidgetData names what is wrong', () => {
+  const data = widgetData([commit('a', '2024-05-01T12:00:00Z')]);
+
+  assert.throws(() => validateWidgetData({ ...data, version: undefined }, 'x.json'), /x\.json: has no schema version/);
+  assert.throws(() => validateWidgetData({ ...data, totalDays: 1 }), /"commits" must be an array of "totalDays" \(1\) days/);
+  const gap = data.commits.filter(day => day.date !== '2024-05-02');
+  assert.throws(() => validateWidgetData({ ...data, commits: gap, totalDays: gap.length }), /must follow 2024-05-01 without gaps \(got 2024-05-03\)/);
+});
+
+test('renderWidget escapes </script> in the injected JSON', () => {
+  const data = widgetData([commit('a', '2024-05-01T12:00:00Z')], 'x</script><script>alert(1)</script>');
+  const html = renderWidget(data, widgetDefaults(settingsFromObject({})));
+
+  assert.doesNotMatch(html, /x<\/script>/);
+  assert.ok(html.includes('x\\u003c/script>\\u003cscript>alert(1)\\u003c/script>'));
+  // Still the same data once parsed
+  const json = html.match(/x\\u003c[^"]*"/)[0];
+  assert.equal(JSON.parse(`"${json}`), 'x</script><script>alert(1)</script>');
+});